@@ -25,6 +25,12 @@ export function buildConfig(env) {
   let GMAIL_PORT = 0;
   if (env && env.GMAIL_PORT) GMAIL_PORT = parseInt(String(env.GMAIL_PORT), 10);
 
+  let GMAIL_DAILY_LIMIT = 490;
+  if (env && env.GMAIL_DAILY_LIMIT) GMAIL_DAILY_LIMIT = parseInt(String(env.GMAIL_DAILY_LIMIT), 10) || 490;
+
+  let GMAIL_PER_MINUTE_LIMIT = 20;
+  if (env && env.GMAIL_PER_MINUTE_LIMIT) GMAIL_PER_MINUTE_LIMIT = parseInt(String(env.GMAIL_PER_MINUTE_LIMIT), 10) || 20;
+
   // Worker Email Configuration
   let WORKER_EMAIL_FROM = '';
   if (env && env.WORKER_EMAIL_FROM) WORKER_EMAIL_FROM = String(env.WORKER_EMAIL_FROM);
@@ -74,6 +80,11 @@ export function buildConfig(env) {
   let FETCH_TIMEOUT_MS = 60000;
   if (env && env.FETCH_TIMEOUT_MS) FETCH_TIMEOUT_MS = parseInt(String(env.FETCH_TIMEOUT_MS), 10) || 60000;
 
+  // excerpt: newsletters show a short excerpt and link to the post, full: the whole article
+  // (content:encoded / Atom content, sanitized for email) is included in the email
+  let FEED_CONTENT_MODE = 'excerpt';
+  if (env && env.FEED_CONTENT_MODE) FEED_CONTENT_MODE = String(env.FEED_CONTENT_MODE).toLowerCase();
+
   // Batching and Pacing
   let BATCH_SIZE = 100; // Reduced for direct SMTP sending
   if (env && env.BATCH_SIZE) BATCH_SIZE = parseInt(String(env.BATCH_SIZE), 10) || 100;
@@ -84,6 +95,29 @@ export function buildConfig(env) {
   let MAX_POSTS_PER_RUN = 1;
   if (env && env.MAX_POSTS_PER_RUN) MAX_POSTS_PER_RUN = parseInt(String(env.MAX_POSTS_PER_RUN), 10) || 1;
 
+  let QUEUE_CHUNK_SIZE = 1000; // Recipients per queue chunk record
+  if (env && env.QUEUE_CHUNK_SIZE) QUEUE_CHUNK_SIZE = parseInt(String(env.QUEUE_CHUNK_SIZE), 10) || 1000;
+
+  // individual: one personalized message per recipient, batch: one BCC message per batch,
+  // auto: individual when signed links can be built (SIGNING_SECRET and WORKER_URL), otherwise batch
+  let NEWSLETTER_SEND_MODE = 'auto';
+  if (env && env.NEWSLETTER_SEND_MODE) NEWSLETTER_SEND_MODE = String(env.NEWSLETTER_SEND_MODE).toLowerCase();
+
+  // Used for {{name}} when a subscriber has no name (and in batch sends)
+  let MERGE_TAG_DEFAULT_NAME = 'there';
+  if (env && env.MERGE_TAG_DEFAULT_NAME !== undefined) MERGE_TAG_DEFAULT_NAME = String(env.MERGE_TAG_DEFAULT_NAME);
+
+  // Subscriber import (admin CSV upload)
+  let IMPORT_BATCH_SIZE = 25; // Subscribers written to KV in parallel
+  if (env && env.IMPORT_BATCH_SIZE) IMPORT_BATCH_SIZE = parseInt(String(env.IMPORT_BATCH_SIZE), 10) || 25;
+
+  let IMPORT_MAX_ROWS = 250; // New subscribers per request (keeps KV operations under the per-invocation limit)
+  if (env && env.IMPORT_MAX_ROWS) IMPORT_MAX_ROWS = parseInt(String(env.IMPORT_MAX_ROWS), 10) || 250;
+
+  // Subscriber roster migration (adds key metadata to existing subscriber records)
+  let ROSTER_MIGRATION_BATCH = 200; // Keys rewritten per request
+  if (env && env.ROSTER_MIGRATION_BATCH) ROSTER_MIGRATION_BATCH = parseInt(String(env.ROSTER_MIGRATION_BATCH), 10) || 200;
+
   // GitHub backup removed - Data is permanently stored in D1 database
 
   // Cron Configuration
@@ -95,10 +129,18 @@ export function buildConfig(env) {
   if (env && env.PREFIX_SUBSCRIBER) PREFIX_SUBSCRIBER = String(env.PREFIX_SUBSCRIBER);
   PREFIX_SUBSCRIBER = withColon(PREFIX_SUBSCRIBER);
 
+  let PREFIX_PENDING_SUBSCRIBER = 'pending-subscriber';
+  if (env && env.PREFIX_PENDING_SUBSCRIBER) PREFIX_PENDING_SUBSCRIBER = String(env.PREFIX_PENDING_SUBSCRIBER);
+  PREFIX_PENDING_SUBSCRIBER = withColon(PREFIX_PENDING_SUBSCRIBER);
+
   let PREFIX_EMAIL_QUEUE = 'email-queue';
   if (env && env.PREFIX_EMAIL_QUEUE) PREFIX_EMAIL_QUEUE = String(env.PREFIX_EMAIL_QUEUE);
   PREFIX_EMAIL_QUEUE = withColon(PREFIX_EMAIL_QUEUE);
 
+  let PREFIX_QUEUE_CHUNK = 'queue-chunk';
+  if (env && env.PREFIX_QUEUE_CHUNK) PREFIX_QUEUE_CHUNK = String(env.PREFIX_QUEUE_CHUNK);
+  PREFIX_QUEUE_CHUNK = withColon(PREFIX_QUEUE_CHUNK);
+
   let PREFIX_NEWSLETTER_SENT = 'newsletter-sent';
   if (env && env.PREFIX_NEWSLETTER_SENT) PREFIX_NEWSLETTER_SENT = String(env.PREFIX_NEWSLETTER_SENT);
   PREFIX_NEWSLETTER_SENT = withColon(PREFIX_NEWSLETTER_SENT);
@@ -123,10 +165,54 @@ export function buildConfig(env) {
   if (env && env.PREFIX_BOT_DETECT) PREFIX_BOT_DETECT = String(env.PREFIX_BOT_DETECT);
   PREFIX_BOT_DETECT = withColon(PREFIX_BOT_DETECT);
 
+  let PREFIX_TOPICS = 'topics';
+  if (env && env.PREFIX_TOPICS) PREFIX_TOPICS = String(env.PREFIX_TOPICS);
+  PREFIX_TOPICS = withColon(PREFIX_TOPICS);
+
+  let PREFIX_SUPPRESSION = 'suppression';
+  if (env && env.PREFIX_SUPPRESSION) PREFIX_SUPPRESSION = String(env.PREFIX_SUPPRESSION);
+  PREFIX_SUPPRESSION = withColon(PREFIX_SUPPRESSION);
+
+  let PREFIX_BOUNCE = 'bounce';
+  if (env && env.PREFIX_BOUNCE) PREFIX_BOUNCE = String(env.PREFIX_BOUNCE);
+  PREFIX_BOUNCE = withColon(PREFIX_BOUNCE);
+
+  let PREFIX_COMPLAINT = 'complaint';
+  if (env && env.PREFIX_COMPLAINT) PREFIX_COMPLAINT = String(env.PREFIX_COMPLAINT);
+  PREFIX_COMPLAINT = withColon(PREFIX_COMPLAINT);
+
+  let PREFIX_SENT_BATCH = 'sent-batch';
+  if (env && env.PREFIX_SENT_BATCH) PREFIX_SENT_BATCH = String(env.PREFIX_SENT_BATCH);
+  PREFIX_SENT_BATCH = withColon(PREFIX_SENT_BATCH);
+
+  let PREFIX_DIGEST = 'digest';
+  if (env && env.PREFIX_DIGEST) PREFIX_DIGEST = String(env.PREFIX_DIGEST);
+  PREFIX_DIGEST = withColon(PREFIX_DIGEST);
+
+  let PREFIX_ERASURE = 'erasure';
+  if (env && env.PREFIX_ERASURE) PREFIX_ERASURE = String(env.PREFIX_ERASURE);
+  PREFIX_ERASURE = withColon(PREFIX_ERASURE);
+
   let PREFIX_BACKUP_CHUNK = 'backup-chunk';
   if (env && env.PREFIX_BACKUP_CHUNK) PREFIX_BACKUP_CHUNK = String(env.PREFIX_BACKUP_CHUNK);
   PREFIX_BACKUP_CHUNK = withColon(PREFIX_BACKUP_CHUNK);
 
+  let PREFIX_DOMAIN_CHECK = 'domain-check';
+  if (env && env.PREFIX_DOMAIN_CHECK) PREFIX_DOMAIN_CHECK = String(env.PREFIX_DOMAIN_CHECK);
+  PREFIX_DOMAIN_CHECK = withColon(PREFIX_DOMAIN_CHECK);
+
+  let PREFIX_BLOCKLIST = 'blocklist';
+  if (env && env.PREFIX_BLOCKLIST) PREFIX_BLOCKLIST = String(env.PREFIX_BLOCKLIST);
+  PREFIX_BLOCKLIST = withColon(PREFIX_BLOCKLIST);
+
+  let PREFIX_TEMPLATE = 'template';
+  if (env && env.PREFIX_TEMPLATE) PREFIX_TEMPLATE = String(env.PREFIX_TEMPLATE);
+  PREFIX_TEMPLATE = withColon(PREFIX_TEMPLATE);
+
+  let PREFIX_ADMIN_SESSION = 'admin-session';
+  if (env && env.PREFIX_ADMIN_SESSION) PREFIX_ADMIN_SESSION = String(env.PREFIX_ADMIN_SESSION);
+  PREFIX_ADMIN_SESSION = withColon(PREFIX_ADMIN_SESSION);
+
   // Cleanup Configuration - Additional prefixes to keep
   let KEEP_PREFIX_MAINTENANCE = 'maintenance:last-';
   if (env && env.KEEP_PREFIX_MAINTENANCE) KEEP_PREFIX_MAINTENANCE = String(env.KEEP_PREFIX_MAINTENANCE);
@@ -151,6 +237,10 @@ export function buildConfig(env) {
   let ADMIN_TOKEN = '';
   if (env && env.ADMIN_TOKEN) ADMIN_TOKEN = String(env.ADMIN_TOKEN);
 
+  // Secret used to sign links sent by email (confirmation, unsubscribe)
+  let SIGNING_SECRET = '';
+  if (env && env.SIGNING_SECRET) SIGNING_SECRET = String(env.SIGNING_SECRET);
+
   // Protection Settings (Rate limiting is handled by native Cloudflare rate limiters)
   let ABUSE_THRESHOLD = 3;
   if (env && env.ABUSE_THRESHOLD) ABUSE_THRESHOLD = parseInt(String(env.ABUSE_THRESHOLD), 10) || 3;
@@ -161,6 +251,31 @@ export function buildConfig(env) {
   let STATUS_PAGE_PROTECTION = true;
   if (env && env.STATUS_PAGE_PROTECTION !== undefined) STATUS_PAGE_PROTECTION = String(env.STATUS_PAGE_PROTECTION) === 'true';
 
+  // Extra disposable domains to reject (comma-separated) - the admin panel blocklist needs no redeploy
+  let DISPOSABLE_DOMAINS = '';
+  if (env && env.DISPOSABLE_DOMAINS) DISPOSABLE_DOMAINS = String(env.DISPOSABLE_DOMAINS);
+
+  // Email canonicalization - variants of one mailbox share a subscriber and suppression record
+  let EMAIL_DOMAIN_ALIASES = 'googlemail.com=gmail.com';
+  if (env && env.EMAIL_DOMAIN_ALIASES !== undefined) EMAIL_DOMAIN_ALIASES = String(env.EMAIL_DOMAIN_ALIASES);
+
+  let EMAIL_PLUS_TAG_DOMAINS = 'gmail.com,outlook.com,hotmail.com,live.com,icloud.com,me.com,mac.com,fastmail.com,proton.me,protonmail.com';
+  if (env && env.EMAIL_PLUS_TAG_DOMAINS !== undefined) EMAIL_PLUS_TAG_DOMAINS = String(env.EMAIL_PLUS_TAG_DOMAINS);
+
+  let EMAIL_DOT_INSENSITIVE_DOMAINS = 'gmail.com';
+  if (env && env.EMAIL_DOT_INSENSITIVE_DOMAINS !== undefined) EMAIL_DOT_INSENSITIVE_DOMAINS = String(env.EMAIL_DOT_INSENSITIVE_DOMAINS);
+
+  // Accept non-ASCII local parts (RFC 6531) - only enable if the sending provider supports SMTPUTF8
+  let EMAIL_ALLOW_SMTPUTF8 = false;
+  if (env && env.EMAIL_ALLOW_SMTPUTF8 !== undefined) EMAIL_ALLOW_SMTPUTF8 = String(env.EMAIL_ALLOW_SMTPUTF8) === 'true';
+
+  // Check that a subscriber's domain has MX (or A/AAAA) records via DNS-over-HTTPS before accepting it
+  let DOMAIN_CHECK_ENABLED = false;
+  if (env && env.DOMAIN_CHECK_ENABLED !== undefined) DOMAIN_CHECK_ENABLED = String(env.DOMAIN_CHECK_ENABLED) === 'true';
+
+  let DOMAIN_CHECK_RESOLVER_URL = 'https://cloudflare-dns.com/dns-query';
+  if (env && env.DOMAIN_CHECK_RESOLVER_URL) DOMAIN_CHECK_RESOLVER_URL = String(env.DOMAIN_CHECK_RESOLVER_URL);
+
   // TTL (Time To Live) Configuration in seconds
   let TTL_BOT_DETECT = 86400; // 24 hours
   if (env && env.TTL_BOT_DETECT) TTL_BOT_DETECT = parseInt(String(env.TTL_BOT_DETECT), 10) || 86400;
@@ -183,6 +298,41 @@ export function buildConfig(env) {
   let TTL_BACKUP_CHUNK = 604800; // 7 days
   if (env && env.TTL_BACKUP_CHUNK) TTL_BACKUP_CHUNK = parseInt(String(env.TTL_BACKUP_CHUNK), 10) || 604800;
 
+  let TTL_PENDING_SUBSCRIBER = 172800; // 48 hours
+  if (env && env.TTL_PENDING_SUBSCRIBER) TTL_PENDING_SUBSCRIBER = parseInt(String(env.TTL_PENDING_SUBSCRIBER), 10) || 172800;
+
+  let TTL_UNSUBSCRIBE_TOKEN = 7776000; // 90 days
+  if (env && env.TTL_UNSUBSCRIBE_TOKEN) TTL_UNSUBSCRIBE_TOKEN = parseInt(String(env.TTL_UNSUBSCRIBE_TOKEN), 10) || 7776000;
+
+  let TTL_MANAGE_TOKEN = 7776000; // 90 days
+  if (env && env.TTL_MANAGE_TOKEN) TTL_MANAGE_TOKEN = parseInt(String(env.TTL_MANAGE_TOKEN), 10) || 7776000;
+
+  let TTL_SOFT_BOUNCE = 2592000; // 30 days
+  if (env && env.TTL_SOFT_BOUNCE) TTL_SOFT_BOUNCE = parseInt(String(env.TTL_SOFT_BOUNCE), 10) || 2592000;
+
+  let TTL_SENT_BATCH = 604800; // 7 days
+  if (env && env.TTL_SENT_BATCH) TTL_SENT_BATCH = parseInt(String(env.TTL_SENT_BATCH), 10) || 604800;
+
+  let TTL_PRIVACY_TOKEN = 3600; // 1 hour
+  if (env && env.TTL_PRIVACY_TOKEN) TTL_PRIVACY_TOKEN = parseInt(String(env.TTL_PRIVACY_TOKEN), 10) || 3600;
+
+  let TTL_COUNTER_SNAPSHOT = 7776000; // 90 days
+  if (env && env.TTL_COUNTER_SNAPSHOT) TTL_COUNTER_SNAPSHOT = parseInt(String(env.TTL_COUNTER_SNAPSHOT), 10) || 7776000;
+
+  let TTL_DOMAIN_CHECK = 86400; // 24 hours
+  if (env && env.TTL_DOMAIN_CHECK) TTL_DOMAIN_CHECK = parseInt(String(env.TTL_DOMAIN_CHECK), 10) || 86400;
+
+  let TTL_ADMIN_SESSION = 3600; // 1 hour
+  if (env && env.TTL_ADMIN_SESSION) TTL_ADMIN_SESSION = parseInt(String(env.TTL_ADMIN_SESSION), 10) || 3600;
+
+  // Bounce Handling
+  let SOFT_BOUNCE_THRESHOLD = 3;
+  if (env && env.SOFT_BOUNCE_THRESHOLD) SOFT_BOUNCE_THRESHOLD = parseInt(String(env.SOFT_BOUNCE_THRESHOLD), 10) || 3;
+
+  // Where inbound mail that is not a bounce report is forwarded (must be a verified Email Routing destination)
+  let INBOUND_FORWARD_TO = '';
+  if (env && env.INBOUND_FORWARD_TO) INBOUND_FORWARD_TO = String(env.INBOUND_FORWARD_TO);
+
   // Backup chunk processing configuration
   let BACKUP_CHUNK_SIZE = 20; // Records to process at a time
   if (env && env.BACKUP_CHUNK_SIZE) BACKUP_CHUNK_SIZE = parseInt(String(env.BACKUP_CHUNK_SIZE), 10) || 20;
@@ -200,18 +350,36 @@ export function buildConfig(env) {
   let SUBSCRIBE_API_PATH = '/api/subscribe';
   if (env && env.SUBSCRIBE_API_PATH) SUBSCRIBE_API_PATH = String(env.SUBSCRIBE_API_PATH);
 
+  let SUBSCRIBE_CONFIRM_PATH = '/subscribe/confirm';
+  if (env && env.SUBSCRIBE_CONFIRM_PATH) SUBSCRIBE_CONFIRM_PATH = String(env.SUBSCRIBE_CONFIRM_PATH);
+
   let UNSUBSCRIBE_WEB_PATH = '/unsubscribe';
   if (env && env.UNSUBSCRIBE_WEB_PATH) UNSUBSCRIBE_WEB_PATH = String(env.UNSUBSCRIBE_WEB_PATH);
 
   let UNSUBSCRIBE_API_PATH = '/api/unsubscribe';
   if (env && env.UNSUBSCRIBE_API_PATH) UNSUBSCRIBE_API_PATH = String(env.UNSUBSCRIBE_API_PATH);
 
+  let UNSUBSCRIBE_LINK_PATH = '/unsubscribe/link';
+  if (env && env.UNSUBSCRIBE_LINK_PATH) UNSUBSCRIBE_LINK_PATH = String(env.UNSUBSCRIBE_LINK_PATH);
+
+  let PREFERENCES_WEB_PATH = '/preferences';
+  if (env && env.PREFERENCES_WEB_PATH) PREFERENCES_WEB_PATH = String(env.PREFERENCES_WEB_PATH);
+
   let CONTACT_WEB_PATH = '/contact';
   if (env && env.CONTACT_WEB_PATH) CONTACT_WEB_PATH = String(env.CONTACT_WEB_PATH);
 
   let CONTACT_API_PATH = '/api/contact';
   if (env && env.CONTACT_API_PATH) CONTACT_API_PATH = String(env.CONTACT_API_PATH);
 
+  let PRIVACY_WEB_PATH = '/privacy';
+  if (env && env.PRIVACY_WEB_PATH) PRIVACY_WEB_PATH = String(env.PRIVACY_WEB_PATH);
+
+  let PRIVACY_API_PATH = '/api/privacy';
+  if (env && env.PRIVACY_API_PATH) PRIVACY_API_PATH = String(env.PRIVACY_API_PATH);
+
+  let PRIVACY_LINK_PATH = '/privacy/verify';
+  if (env && env.PRIVACY_LINK_PATH) PRIVACY_LINK_PATH = String(env.PRIVACY_LINK_PATH);
+
   // Site Configuration
   let SITE_URL = '';
   if (env && env.SITE_URL) SITE_URL = String(env.SITE_URL);
@@ -222,6 +390,10 @@ export function buildConfig(env) {
   let SITE_OWNER = '';
   if (env && env.SITE_OWNER) SITE_OWNER = String(env.SITE_OWNER);
 
+  // Public URL of this worker, used for links in emails (falls back to request origin)
+  let WORKER_URL = '';
+  if (env && env.WORKER_URL) WORKER_URL = String(env.WORKER_URL);
+
   // GitHub Repo URL
   let GITHUB_REPO_URL = '';
   if (env && env.GITHUB_REPO_URL) GITHUB_REPO_URL = String(env.GITHUB_REPO_URL);
@@ -271,6 +443,8 @@ export function buildConfig(env) {
     GMAIL_PASSWORD,
     GMAIL_HOST,
     GMAIL_PORT,
+    GMAIL_DAILY_LIMIT,
+    GMAIL_PER_MINUTE_LIMIT,
 
     // Worker Email Config
     WORKER_EMAIL_FROM,
@@ -294,11 +468,18 @@ export function buildConfig(env) {
     RSS_FEED_URL,
     USER_AGENT,
     FETCH_TIMEOUT_MS,
+    FEED_CONTENT_MODE,
 
     // Batching
     BATCH_SIZE,
     BATCH_WAIT_MINUTES,
     MAX_POSTS_PER_RUN,
+    QUEUE_CHUNK_SIZE,
+    NEWSLETTER_SEND_MODE,
+    MERGE_TAG_DEFAULT_NAME,
+    IMPORT_BATCH_SIZE,
+    IMPORT_MAX_ROWS,
+    ROSTER_MIGRATION_BATCH,
 
     // GitHub backup removed - Data stored in D1
 
@@ -307,14 +488,27 @@ export function buildConfig(env) {
 
     // KV Prefixes
     PREFIX_SUBSCRIBER,
+    PREFIX_PENDING_SUBSCRIBER,
     PREFIX_EMAIL_QUEUE,
+    PREFIX_QUEUE_CHUNK,
     PREFIX_NEWSLETTER_SENT,
     PREFIX_NEWSLETTER_SENT_URL,
     PREFIX_CONTACT,
     PREFIX_CAPTCHA,
     PREFIX_BOT,
     PREFIX_BOT_DETECT,
+    PREFIX_SUPPRESSION,
+    PREFIX_BOUNCE,
+    PREFIX_COMPLAINT,
+    PREFIX_SENT_BATCH,
+    PREFIX_TOPICS,
+    PREFIX_DIGEST,
+    PREFIX_ERASURE,
     PREFIX_BACKUP_CHUNK,
+    PREFIX_DOMAIN_CHECK,
+    PREFIX_BLOCKLIST,
+    PREFIX_TEMPLATE,
+    PREFIX_ADMIN_SESSION,
 
     // Cleanup Keep Prefixes
     KEEP_PREFIX_MAINTENANCE,
@@ -329,10 +523,24 @@ export function buildConfig(env) {
     // Admin authentication
     ADMIN_TOKEN,
 
+    // Link signing
+    SIGNING_SECRET,
+
     // Protection Settings
     ABUSE_THRESHOLD,
     SUSPICIOUS_ACTIVITY_THRESHOLD,
     STATUS_PAGE_PROTECTION,
+    DISPOSABLE_DOMAINS,
+
+    // Email canonicalization
+    EMAIL_DOMAIN_ALIASES,
+    EMAIL_PLUS_TAG_DOMAINS,
+    EMAIL_DOT_INSENSITIVE_DOMAINS,
+    EMAIL_ALLOW_SMTPUTF8,
+
+    // Domain deliverability check
+    DOMAIN_CHECK_ENABLED,
+    DOMAIN_CHECK_RESOLVER_URL,
 
     // TTL Configuration
     TTL_BOT_DETECT,
@@ -342,6 +550,19 @@ export function buildConfig(env) {
     TTL_ERROR_LOGS,
     TTL_FEED_ERROR,
     TTL_BACKUP_CHUNK,
+    TTL_PENDING_SUBSCRIBER,
+    TTL_UNSUBSCRIBE_TOKEN,
+    TTL_MANAGE_TOKEN,
+    TTL_SOFT_BOUNCE,
+    TTL_SENT_BATCH,
+    TTL_PRIVACY_TOKEN,
+    TTL_COUNTER_SNAPSHOT,
+    TTL_DOMAIN_CHECK,
+    TTL_ADMIN_SESSION,
+
+    // Bounce Handling
+    SOFT_BOUNCE_THRESHOLD,
+    INBOUND_FORWARD_TO,
     BACKUP_CHUNK_SIZE,
     BACKUP_CHUNK_LIST_LIMIT,
     CLEANUP_BATCH_SIZE,
@@ -349,15 +570,22 @@ export function buildConfig(env) {
     // URL Paths
     SUBSCRIBE_WEB_PATH,
     SUBSCRIBE_API_PATH,
+    SUBSCRIBE_CONFIRM_PATH,
     UNSUBSCRIBE_WEB_PATH,
     UNSUBSCRIBE_API_PATH,
+    UNSUBSCRIBE_LINK_PATH,
+    PREFERENCES_WEB_PATH,
     CONTACT_WEB_PATH,
     CONTACT_API_PATH,
+    PRIVACY_WEB_PATH,
+    PRIVACY_API_PATH,
+    PRIVACY_LINK_PATH,
 
     // Site Config
     SITE_URL,
     UNSUBSCRIBE_URL,
     SITE_OWNER,
+    WORKER_URL,
     GITHUB_REPO_URL,
 
     // Turnstile URLs
@@ -405,6 +633,15 @@ export function isConfigValid(config) {
   if (!config.RSS_FEED_URL) errors.push('RSS_FEED_URL is required');
   if (!config.TURNSTILE_SITE_KEY) errors.push('TURNSTILE_SITE_KEY is required');
   if (!config.TURNSTILE_SECRET_KEY) errors.push('TURNSTILE_SECRET_KEY is required');
+  // SIGNING_SECRET is optional - without it subscriptions and signed links are disabled, not the whole worker
+
+  if (!['excerpt', 'full'].includes(config.FEED_CONTENT_MODE)) {
+    errors.push(`Invalid FEED_CONTENT_MODE: ${config.FEED_CONTENT_MODE}. Must be 'excerpt' or 'full'`);
+  }
+
+  if (!['auto', 'individual', 'batch'].includes(config.NEWSLETTER_SEND_MODE)) {
+    errors.push(`Invalid NEWSLETTER_SEND_MODE: ${config.NEWSLETTER_SEND_MODE}. Must be 'auto', 'individual', or 'batch'`);
+  }
   // ADMIN_TOKEN is now optional - API access is disabled for maximum security
 
   return {
@@ -2,11 +2,14 @@
  * Contact Form Frontend Module
  */
 
-import { validateEmail, validatePhone, validateRequired, getClientIp, sanitizeHtml } from '../utils/validation.js';
-import { verifyTurnstile, storeContact, addSubscriber } from '../utils/kv.js';
+import { validateEmail, validatePhone, validateRequired, validateSubscriberProfile, getClientIp, sanitizeHtml, canonicalizeEmail } from '../utils/validation.js';
+import { verifyTurnstile, storeContact, addPendingSubscriber, findEmailRecord } from '../utils/kv.js';
+import { getSuppression, canSelfResubscribe } from '../utils/suppression.js';
+import { sendConfirmationEmail } from '../newsletter/frontend/subscribe.js';
 import { checkNativeFormRateLimit } from '../utils/nativeRateLimit.js';
 import { EmailFactory } from '../email/emailFactory.js';
-import { replicateContactToD1, replicateSubscriberToD1 } from '../utils/d1Replication.js';
+import { replicateContactToD1 } from '../utils/d1Replication.js';
+import { getDomainBlocklist } from '../utils/domainBlocklist.js';
 
 /**
  * Handle contact form requests
@@ -64,9 +67,9 @@ async function processContactForm(request, env, config, ctx) {
       return jsonResponse({ error: nameValidation.error }, 400, config);
     }
 
-    const emailValidation = validateEmail(data.email);
+    const emailValidation = validateEmail(data.email, config, await getDomainBlocklist(env, config));
     if (!emailValidation.valid) {
-      return jsonResponse({ error: emailValidation.error }, 400, config);
+      return jsonResponse({ error: emailValidation.error, code: emailValidation.code }, 400, config);
     }
 
     const phoneValidation = validatePhone(data.phone);
@@ -105,9 +108,7 @@ async function processContactForm(request, env, config, ctx) {
     }
 
     // Check if email is subscribed
-    const subscriberKey = `${config.PREFIX_SUBSCRIBER}${emailValidation.email}`;
-    const subscriberData = await env.KV.get(subscriberKey);
-    const isSubscribed = !!subscriberData;
+    const isSubscribed = !!(await findEmailRecord(env, config, config.PREFIX_SUBSCRIBER, emailValidation.email));
 
     // Prepare contact data with IP and subscription status
     const contactData = {
@@ -131,25 +132,40 @@ async function processContactForm(request, env, config, ctx) {
 
     // Auto-subscribe to newsletter if requested and not already subscribed
     if (data.subscribe === true && !isSubscribed) {
+      // The contact name doubles as the subscriber name; attribution fields are optional
+      const { profile } = validateSubscriberProfile({ ...data, name: nameValidation.value.substring(0, 100) }, {
+        source: 'contact-form',
+        acceptLanguage: request.headers.get('accept-language')
+      });
+      let suppression = null;
       try {
-        await addSubscriber(env, config, emailValidation.email, clientIp);
+        suppression = await getSuppression(env, config, emailValidation.email);
       } catch (error) {
-        // If subscriber already exists or any error, just log it
-        console.log('Subscriber operation:', error.message || 'Already subscribed');
+        console.error('Suppression lookup error:', error);
       }
 
-      // Replicate subscriber to D1 (async, non-blocking) - wrapped in try-catch
-      try {
-        replicateSubscriberToD1(env, ctx, emailValidation.email, clientIp, new Date().toISOString());
-      } catch (error) {
-        console.error('D1 subscriber replication error (non-blocking):', error);
+      // Every address confirms by email first; previously unsubscribed/bounced/complained ones
+      // only when they may re-subscribe themselves
+      if (!suppression || canSelfResubscribe(suppression)) {
+        if (!config.SIGNING_SECRET) {
+          console.warn('SIGNING_SECRET is not configured - newsletter opt-in from the contact form skipped');
+        } else {
+          try {
+            const pendingResult = await addPendingSubscriber(env, config, emailValidation.email, clientIp, profile);
+            if (pendingResult.success) {
+              await sendConfirmationEmail(request, env, config, emailValidation.email);
+            }
+          } catch (error) {
+            console.error('Subscription confirmation error:', error);
+          }
+        }
       }
     }
 
     // Replicate contact to D1 (async, non-blocking) - wrapped in try-catch
     // This runs in background and won't affect response time
     try {
-      replicateContactToD1(env, ctx, contactData);
+      replicateContactToD1(env, ctx, { ...contactData, emailCanonical: canonicalizeEmail(contactData.email, config) });
     } catch (error) {
       console.error('D1 contact replication error (non-blocking):', error);
     }
@@ -423,7 +439,7 @@ function getContactFormHTML(config) {
         <h2>📧 Drop Me a Message</h2>
         <p class="subtitle">We'd love to hear from you! Send us a message.</p>
 
-        <form id="contactForm">
+        <form id="contactForm" novalidate>
             <div class="form-group">
                 <label for="name">Name <span class="required">*</span></label>
                 <input
@@ -492,6 +508,25 @@ function getContactFormHTML(config) {
 
     <script>
         const form = document.getElementById('contactForm');
+
+        // Attribution: UTM tags from this page's URL or the embedding page, plus locale and referrer
+        function getAttribution() {
+            const params = new URLSearchParams(window.location.search);
+            let parentParams = new URLSearchParams();
+            try {
+                parentParams = new URL(document.referrer).searchParams;
+            } catch (e) {}
+
+            const attribution = {
+                locale: navigator.language || '',
+                referrer: document.referrer || ''
+            };
+            ['source', 'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'].forEach(name => {
+                const value = params.get(name) || parentParams.get(name);
+                if (value) attribution[name] = value;
+            });
+            return attribution;
+        }
         const submitBtn = document.getElementById('submitBtn');
         const notice = document.getElementById('notice');
 
@@ -518,7 +553,8 @@ function getContactFormHTML(config) {
                         phone: formData.get('phone'),
                         message: formData.get('message'),
                         subscribe: formData.get('subscribe') === 'on',
-                        turnstileToken: turnstileResponse ? turnstileResponse.value : ''
+                        turnstileToken: turnstileResponse ? turnstileResponse.value : '',
+                        ...getAttribution()
                     })
                 });
 
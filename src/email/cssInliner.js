@@ -0,0 +1,328 @@
+/**
+ * CSS Inliner - copies <style> rules into element style attributes before an email is sent
+ * Gmail and Outlook drop or partly ignore <style> blocks, so every layout rule has to be inline.
+ * Supported selectors: tag, .class, #id and * compounds, :first-child / :last-child, and the
+ * descendant and child (>) combinators. Media queries, other at-rules and rules with selectors
+ * that cannot be inlined (:hover, attribute selectors, ...) stay in one <style> block in the head
+ */
+
+// Elements without content or closing tag
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+
+const STYLE_BLOCK_PATTERN = /<style\b[^>]*>([\s\S]*?)<\/style\s*>/gi;
+const TOKEN_PATTERN = /<!--[\s\S]*?(?:-->|$)|<![^>]*>|<\?[^>]*>|<(\/?)([a-zA-Z][a-zA-Z0-9:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/g;
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+const STYLE_ATTRIBUTE_PATTERN = /\s+style\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+)/gi;
+const COMPOUND_PATTERN = /^(\*|[a-z][a-z0-9-]*)?((?:[.#][\w-]+|:first-child|:last-child)*)$/i;
+
+// Inline declarations outrank any selector
+const INLINE_SPECIFICITY = 1000000;
+
+/**
+ * Split on a separator outside quotes and brackets (url(data:...;base64,...), :not(a, b))
+ */
+function splitTopLevel(value, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(' || char === '[') {
+      depth++;
+    } else if (char === ')' || char === ']') {
+      depth--;
+    } else if (char === separator && depth === 0) {
+      parts.push(value.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(value.slice(start));
+
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a declaration list (rule body or style attribute)
+ * @returns {Array} - [{ property, value, important }]
+ */
+function parseDeclarations(text) {
+  const declarations = [];
+
+  for (const declaration of splitTopLevel(text, ';')) {
+    const colon = declaration.indexOf(':');
+    if (colon <= 0) continue;
+
+    const property = declaration.slice(0, colon).trim().toLowerCase();
+    let value = declaration.slice(colon + 1).trim();
+    const important = /!\s*important$/i.test(value);
+    if (important) value = value.replace(/\s*!\s*important$/i, '');
+    if (property && value) declarations.push({ property, value, important });
+  }
+
+  return declarations;
+}
+
+/**
+ * Parse a selector into compounds matched right to left
+ * @returns {Object|null} - { parts, specificity }, or null when it cannot be inlined
+ */
+function parseSelector(selector) {
+  const tokens = selector.replace(/\s*>\s*/g, ' > ').trim().split(/\s+/);
+  const parts = [];
+  let combinator = ' ';
+  let specificity = 0;
+
+  for (const token of tokens) {
+    if (token === '>') {
+      if (combinator === '>' || parts.length === 0) return null;
+      combinator = '>';
+      continue;
+    }
+
+    const match = token.match(COMPOUND_PATTERN);
+    if (!match || !token) return null;
+
+    const compound = { tag: null, id: null, classes: [], pseudos: [], combinator };
+    if (match[1] && match[1] !== '*') {
+      compound.tag = match[1].toLowerCase();
+      specificity += 1;
+    }
+    for (const simple of match[2].match(/[.#][\w-]+|:[a-z-]+/gi) || []) {
+      if (simple[0] === '#') {
+        compound.id = simple.slice(1);
+        specificity += 10000;
+      } else if (simple[0] === '.') {
+        compound.classes.push(simple.slice(1));
+        specificity += 100;
+      } else {
+        compound.pseudos.push(simple.toLowerCase());
+        specificity += 100;
+      }
+    }
+
+    parts.push(compound);
+    combinator = ' ';
+  }
+
+  if (parts.length === 0 || combinator === '>') return null;
+  return { parts: parts.reverse(), specificity };
+}
+
+/**
+ * Split a stylesheet into rules that can be inlined and CSS that has to stay in a <style> block
+ * @returns {Object} - { rules: [{ selector, declarations, order }], retained } - retained is a list of CSS texts
+ */
+function parseStylesheet(css) {
+  const source = css.replace(/\/\*[\s\S]*?\*\//g, '');
+  const rules = [];
+  const retained = [];
+  let position = 0;
+
+  while (position < source.length) {
+    const open = source.indexOf('{', position);
+    const prelude = source.slice(position, open === -1 ? source.length : open).trim();
+
+    // Statement at-rules (@import, @charset) end at a semicolon
+    if (prelude.startsWith('@') && /;/.test(prelude)) {
+      const end = source.indexOf(';', position) + 1;
+      retained.push(source.slice(position, end).trim());
+      position = end;
+      continue;
+    }
+    if (open === -1) break;
+
+    // Find the matching close brace - at-rules (@media) contain nested rules
+    let depth = 0;
+    let close = open;
+    for (; close < source.length; close++) {
+      if (source[close] === '{') depth++;
+      if (source[close] === '}' && --depth === 0) break;
+    }
+    const body = source.slice(open + 1, close);
+    position = close + 1;
+
+    if (prelude.startsWith('@')) {
+      retained.push(`${prelude} {${body}}`);
+      continue;
+    }
+
+    const declarations = parseDeclarations(body);
+    if (declarations.length === 0) continue;
+
+    const unsupported = [];
+    for (const selector of splitTopLevel(prelude, ',')) {
+      const parsed = parseSelector(selector);
+      if (parsed) {
+        rules.push({ selector: parsed, declarations, order: rules.length });
+      } else {
+        unsupported.push(selector);
+      }
+    }
+    if (unsupported.length > 0) retained.push(`${unsupported.join(', ')} {${body}}`);
+  }
+
+  return { rules, retained };
+}
+
+/**
+ * Read the attributes of a start tag
+ */
+function parseAttributes(rawAttributes) {
+  const attributes = {};
+  for (const match of rawAttributes.matchAll(ATTRIBUTE_PATTERN)) {
+    const name = match[1].toLowerCase();
+    if (!(name in attributes)) attributes[name] = match[2] ?? match[3] ?? match[4] ?? '';
+  }
+  return attributes;
+}
+
+/**
+ * Build the element tree of a document (start tags only, with their position in the HTML)
+ */
+function parseElements(html) {
+  const root = { children: [] };
+  const elements = [];
+  const open = [root];
+
+  for (const match of html.matchAll(TOKEN_PATTERN)) {
+    if (!match[2]) continue;
+
+    const tag = match[2].toLowerCase();
+
+    if (match[1]) {
+      const index = open.findLastIndex(element => element.tag === tag);
+      if (index > 0) open.length = index;
+      continue;
+    }
+
+    const attributes = parseAttributes(match[3] || '');
+    const parent = open[open.length - 1];
+    const element = {
+      tag,
+      id: attributes.id || null,
+      classes: (attributes.class || '').split(/\s+/).filter(Boolean),
+      style: attributes.style || '',
+      parent,
+      children: [],
+      start: match.index,
+      end: match.index + match[0].length,
+      name: match[2],
+      rawAttributes: match[3] || '',
+      selfClosing: !!match[4]
+    };
+
+    parent.children.push(element);
+    elements.push(element);
+    if (!VOID_ELEMENTS.has(tag) && !element.selfClosing) open.push(element);
+  }
+
+  return elements;
+}
+
+function matchesCompound(element, compound) {
+  if (!element.tag) return false;
+  if (compound.tag && element.tag !== compound.tag) return false;
+  if (compound.id && element.id !== compound.id) return false;
+  if (!compound.classes.every(name => element.classes.includes(name))) return false;
+
+  const siblings = element.parent.children;
+  return compound.pseudos.every(pseudo => pseudo === ':first-child'
+    ? siblings[0] === element
+    : siblings[siblings.length - 1] === element);
+}
+
+/**
+ * Match the compounds right to left - a descendant combinator tries every ancestor
+ */
+function matchesSelector(element, parts, index = 0) {
+  if (!matchesCompound(element, parts[index])) return false;
+  if (index === parts.length - 1) return true;
+
+  let ancestor = element.parent;
+  while (ancestor && ancestor.tag) {
+    if (matchesSelector(ancestor, parts, index + 1)) return true;
+    if (parts[index].combinator === '>') return false;
+    ancestor = ancestor.parent;
+  }
+  return false;
+}
+
+function decodeStyle(value) {
+  return value.replace(/&quot;/g, '"').replace(/&#0*39;|&#x0*27;/gi, "'").replace(/&amp;/g, '&');
+}
+
+/**
+ * Combine the matching rules and the element's own style attribute, in cascade order
+ * (!important first, then specificity, then source order - the style attribute outranks rules)
+ */
+function computeStyle(element, rules) {
+  const candidates = [];
+
+  for (const rule of rules) {
+    if (!matchesSelector(element, rule.selector.parts)) continue;
+    for (const declaration of rule.declarations) {
+      candidates.push({ ...declaration, specificity: rule.selector.specificity, order: rule.order });
+    }
+  }
+  if (candidates.length === 0) return null;
+
+  for (const declaration of parseDeclarations(decodeStyle(element.style))) {
+    candidates.push({ ...declaration, specificity: INLINE_SPECIFICITY, order: rules.length });
+  }
+
+  candidates.sort((a, b) => (a.important - b.important) || (a.specificity - b.specificity) || (a.order - b.order));
+
+  // Later declarations win; moving them to the end keeps shorthand and longhand in the right order
+  const style = new Map();
+  for (const { property, value, important } of candidates) {
+    style.delete(property);
+    style.set(property, important ? `${value} !important` : value);
+  }
+
+  return [...style].map(([property, value]) => `${property}: ${value}`).join('; ');
+}
+
+/**
+ * Inline the <style> rules of an HTML email
+ * @param {string} html - Complete email HTML
+ * @returns {string} - HTML with style attributes and only media queries / non-inlinable rules in <style>
+ */
+export function inlineCss(html) {
+  const source = String(html || '');
+  const css = [...source.matchAll(STYLE_BLOCK_PATTERN)].map(match => match[1]).join('\n');
+  if (!css.trim()) return source;
+
+  const { rules, retained } = parseStylesheet(css);
+
+  // Keep the first block's place for whatever cannot be inlined
+  let first = true;
+  const document = source.replace(STYLE_BLOCK_PATTERN, () => {
+    if (!first) return '';
+    first = false;
+    return '\u0000';
+  });
+
+  const output = [];
+  let last = 0;
+  for (const element of parseElements(document)) {
+    const style = computeStyle(element, rules);
+    if (style === null) continue;
+
+    const attributes = element.rawAttributes.replace(STYLE_ATTRIBUTE_PATTERN, '');
+    output.push(document.slice(last, element.start));
+    output.push(`<${element.name}${attributes} style="${style.replace(/&/g, '&amp;').replace(/"/g, '&quot;')}"${element.selfClosing ? ' /' : ''}>`);
+    last = element.end;
+  }
+  output.push(document.slice(last));
+
+  const retainedBlock = retained.length > 0
+    ? `<style>\n${retained.map(rule => rule.replace(/\s+/g, ' ')).join('\n')}\n</style>`
+    : '';
+  return output.join('').replace('\u0000', retainedBlock);
+}
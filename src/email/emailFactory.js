@@ -5,7 +5,14 @@
 import { GmailProvider } from './gmailProvider.js';
 import { WorkerEmailProvider } from './workerEmailProvider.js';
 import { MailerLiteProvider } from './mailerLiteProvider.js';
-import { escapeHtml, sanitizeInput } from '../utils/sanitize.js';
+import { escapeHtml, sanitizeInput, createExcerpt } from '../utils/sanitize.js';
+import { getPostImage } from '../utils/feedParser.js';
+import { createUnsubscribeUrl, createManageUrl, createRecipientToken } from '../utils/token.js';
+import { htmlToText } from '../utils/htmlToText.js';
+import { getMergeTagDefaults, renderMergeTags, escapeMergeTags, breakMergeTags } from './mergeTags.js';
+import { createTemplateContext, renderTemplateField } from './templates.js';
+import { inlineCss } from './cssInliner.js';
+import { recordSentBatch } from './sentBatches.js';
 
 export class EmailFactory {
     /**
@@ -21,7 +28,7 @@ export class EmailFactory {
                 if (!gmailValidation.valid) {
                     throw new Error(`Gmail configuration errors: ${gmailValidation.errors.join(', ')}`);
                 }
-                return new GmailProvider(config);
+                return new GmailProvider(config, env);
 
             case 'worker-email':
                 // Validate Worker Email configuration
@@ -46,22 +53,141 @@ export class EmailFactory {
         }
     }
 
+    /**
+     * Final render step for every HTML body before it reaches a provider
+     * Gmail and Outlook strip or partly ignore <style> blocks, so the rules are inlined
+     */
+    static renderHtml(html) {
+        return inlineCss(html);
+    }
+
     /**
      * Send newsletter email
+     * @param {Object} template - Stored template (see templates.js), or null for the built-in layout
+     */
+    static async sendNewsletter(config, env, { recipients, post: feedPost, template = null }) {
+        const post = this.withoutMergeTags(feedPost);
+        const content = {
+            recipients,
+            subject: post.title,
+            postId: post.slug || post.url,
+            createHtml: (options) => this.createNewsletterHtml(post, config, options),
+            createText: (options) => this.createNewsletterText(post, config, options)
+        };
+
+        return await this.sendToSubscribers(config, env,
+            template ? this.withTemplate(template, config, { post }, content) : content);
+    }
+
+    /**
+     * Send weekly digest email covering several posts
+     * @param {Object} template - Stored template (see templates.js), or null for the built-in layout
+     */
+    static async sendDigest(config, env, { recipients, posts: feedPosts, template = null }) {
+        const posts = feedPosts.map(post => this.withoutMergeTags(post));
+        const content = {
+            recipients,
+            subject: this.createDigestSubject(posts, config),
+            postId: 'digest',
+            createHtml: (options) => this.createDigestHtml(posts, config, options),
+            createText: (options) => this.createDigestText(posts, config, options)
+        };
+
+        return await this.sendToSubscribers(config, env,
+            template ? this.withTemplate(template, config, { posts }, content) : content);
+    }
+
+    /**
+     * Feed fields can contain {{...}} (a post about templating) - break it up so the per-recipient
+     * pass does not fill it in. The article is handled where it is rendered (escapeMergeTags, breakMergeTags)
+     */
+    static withoutMergeTags(post) {
+        return {
+            ...post,
+            title: breakMergeTags(post.title),
+            description: breakMergeTags(post.description),
+            author: breakMergeTags(post.author),
+            categories: (post.categories || []).map(breakMergeTags)
+        };
+    }
+
+    /**
+     * Replace the built-in content with a stored template
+     * The subject and text fall back to the built-in ones when the template leaves them empty
+     * @param {Object} data - { post } or { posts }, see createTemplateContext
+     */
+    static withTemplate(template, config, data, content) {
+        const render = (source, options, html) =>
+            renderTemplateField(source, createTemplateContext(config, data, options), html);
+
+        return {
+            ...content,
+            subject: template.subject ? render(template.subject, {}).replace(/\s+/g, ' ').trim() : content.subject,
+            createHtml: (options) => render(template.html, options, true),
+            createText: (options) => template.text ? render(template.text, options) : content.createText(options)
+        };
+    }
+
+    /**
+     * Send a subscriber email
+     * In individual mode each recipient gets their own message with merge tags filled in
+     * ({{name}}, {{email}}, {{unsubscribe_url}}, {{manage_url}}) and signed links when available.
+     * In batch mode one BCC message goes to the whole batch and merge tags get their defaults; its
+     * recipients are recorded so bounces of the message can be matched to them
+     * postId is sent in an identifying header so spam complaints can be traced to the email
+     * @param {Array} recipients - Email addresses or { email, name } objects
+     * @returns {Object} - Provider result with sentRecipients and failedRecipients (email addresses)
      */
-    static async sendNewsletter(config, env, { recipients, post }) {
+    static async sendToSubscribers(config, env, { recipients, subject, postId, createHtml, createText }) {
         const provider = this.createProvider(config, env);
+        const list = recipients.map(recipient => typeof recipient === 'string' ? { email: recipient } : recipient);
+        const defaults = getMergeTagDefaults(config);
+        const signedLinks = !!(config.SIGNING_SECRET && config.WORKER_URL);
+        const individual = config.NEWSLETTER_SEND_MODE === 'individual' ||
+            (config.NEWSLETTER_SEND_MODE !== 'batch' && signedLinks);
+
+        if (individual) {
+            // Render once with merge tags in place of the links, then fill them in per recipient
+            const linkTags = {
+                unsubscribeUrl: '{{unsubscribe_url}}',
+                manageUrl: signedLinks ? '{{manage_url}}' : ''
+            };
+            const html = this.renderHtml(createHtml(linkTags));
+            const text = createText(linkTags);
+
+            const messages = [];
+            for (const recipient of list) {
+                const values = {
+                    name: recipient.name,
+                    email: recipient.email,
+                    unsubscribe_url: await createUnsubscribeUrl(config, recipient.email),
+                    manage_url: await createManageUrl(config, recipient.email)
+                };
+
+                messages.push({
+                    to: recipient.email,
+                    subject: renderMergeTags(subject, values, defaults),
+                    html: renderMergeTags(html, values, defaults, true),
+                    text: renderMergeTags(text, values, defaults),
+                    unsubscribeUrl: values.unsubscribe_url,
+                    recipientToken: await createRecipientToken(config, recipient.email),
+                    postId: postId
+                });
+            }
+
+            return await provider.sendIndividualEmails(messages);
+        }
 
-        // Create newsletter HTML content
-        const html = this.createNewsletterHtml(post, config);
-        const text = this.createNewsletterText(post, config);
+        const emails = list.map(recipient => recipient.email);
 
         // Send using the selected provider
         return await provider.sendBatchEmail({
-            recipients: recipients,
-            subject: post.title,
-            html: html,
-            text: text
+            recipients: emails,
+            subject: renderMergeTags(subject, {}, defaults),
+            html: renderMergeTags(this.renderHtml(createHtml({})), {}, defaults, true),
+            text: renderMergeTags(createText({}), {}, defaults),
+            postId: postId,
+            batchToken: await recordSentBatch(env, config, emails)
         });
     }
 
@@ -73,7 +199,7 @@ export class EmailFactory {
 
         if (toOwner) {
             // Email to website owner
-            const html = this.createContactOwnerHtml(contactData);
+            const html = this.renderHtml(this.createContactOwnerHtml(contactData));
             const text = this.createContactOwnerText(contactData);
 
             const ownerEmail = config.EMAIL_FROM_ADDRESS || config.GMAIL_USER || config.WORKER_EMAIL_FROM;
@@ -94,7 +220,7 @@ export class EmailFactory {
             });
         } else {
             // Confirmation email to sender
-            const html = this.createContactConfirmationHtml(contactData, config);
+            const html = this.renderHtml(this.createContactConfirmationHtml(contactData, config));
             const text = this.createContactConfirmationText(contactData, config);
 
             return await provider.sendEmail({
@@ -106,10 +232,55 @@ export class EmailFactory {
         }
     }
 
+    /**
+     * Send double opt-in confirmation email
+     */
+    static async sendSubscriptionConfirmation(config, env, { email, confirmUrl }) {
+        const provider = this.createProvider(config, env);
+
+        const html = this.renderHtml(this.createSubscriptionConfirmationHtml(confirmUrl, config));
+        const text = this.createSubscriptionConfirmationText(confirmUrl, config);
+
+        return await provider.sendEmail({
+            to: email,
+            subject: `Please confirm your subscription to ${config.EMAIL_FROM_NAME || 'our newsletter'}`,
+            html: html,
+            text: text
+        });
+    }
+
+    /**
+     * Send the verification link for a data access / erasure request
+     */
+    static async sendPrivacyVerification(config, env, { email, verifyUrl }) {
+        const provider = this.createProvider(config, env);
+
+        const html = this.renderHtml(this.createPrivacyVerificationHtml(verifyUrl, config));
+        const text = this.createPrivacyVerificationText(verifyUrl, config);
+
+        return await provider.sendEmail({
+            to: email,
+            subject: `Your data request for ${config.EMAIL_FROM_NAME || 'our newsletter'}`,
+            html: html,
+            text: text
+        });
+    }
+
     /**
      * Create newsletter HTML content
+     * The featured image, author, excerpt and categories are left out when the post has none.
+     * In full-article mode post.content holds the article, already sanitized when the queue was created
      */
-    static createNewsletterHtml(post, config) {
+    static createNewsletterHtml(post, config, options = {}) {
+        const unsubscribeUrl = options.unsubscribeUrl || config.UNSUBSCRIBE_URL;
+        const article = post.content ? escapeMergeTags(post.content) : '';
+        const featuredImage = getPostImage(post);
+        // Articles usually start with their featured image - show it once
+        const image = featuredImage && !article.includes(escapeHtml(featuredImage)) ? featuredImage : '';
+        const author = sanitizeInput(post.author);
+        const excerpt = createExcerpt(post.description);
+        const categories = (post.categories || []).map(sanitizeInput).filter(Boolean);
+
         return `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -191,6 +362,51 @@ export class EmailFactory {
             word-break: break-all;
             color: #667eea;
         }
+        .featured-image {
+            display: block;
+            width: 100%;
+            max-width: 600px;
+            height: auto;
+            border: 0;
+        }
+        .content .meta {
+            font-size: 14px;
+            color: #999;
+            margin: 5px 0 15px 0;
+        }
+        .content .excerpt {
+            color: #333;
+            font-size: 16px;
+        }
+        .article {
+            color: #333;
+            overflow-wrap: break-word;
+        }
+        .article img {
+            max-width: 100%;
+            height: auto;
+        }
+        .article pre {
+            white-space: pre-wrap;
+            background-color: #f8f9fa;
+            padding: 10px;
+            border-radius: 5px;
+        }
+        .article blockquote {
+            border-left: 3px solid #667eea;
+            margin: 15px 0;
+            padding-left: 15px;
+            color: #666;
+        }
+        .chip {
+            display: inline-block;
+            padding: 2px 10px;
+            margin: 0 5px 5px 0;
+            background-color: #eef0fb;
+            color: #667eea;
+            border-radius: 12px;
+            font-size: 12px;
+        }
     </style>
 </head>
 <body>
@@ -198,12 +414,17 @@ export class EmailFactory {
         <div class="header">
             <h1>📬 ${config.EMAIL_FROM_NAME || 'Newsletter'}</h1>
         </div>
+        ${image ? `<a href="${escapeHtml(post.url)}"><img src="${escapeHtml(image)}" alt="${escapeHtml(post.title)}" width="600" class="featured-image" style="display: block; width: 100%; max-width: 600px; height: auto; border: 0;"></a>` : ''}
         <div class="content">
             <h2>New Post: <a href="${escapeHtml(post.url)}" style="text-decoration: underline;">${escapeHtml(post.title)}</a></h2>
+            ${author ? `<p class="meta">By ${escapeHtml(author)}</p>` : ''}
+            ${categories.length ? `<p>${categories.map(category => `<span class="chip">${escapeHtml(category)}</span>`).join('')}</p>` : ''}
+            ${excerpt && !article ? `<p class="excerpt">${escapeHtml(excerpt)}</p>` : ''}
+            <p>Hi {{name}},</p>
             <p>Thank you for subscribing and reading!</p>
-            <p>A new blog post has been published. Click the title above or the button below to read it.</p>
+            ${article ? `<div class="article">${article}</div>` : '<p>A new blog post has been published. Click the title above or the button below to read it.</p>'}
             <div class="button-container">
-                <a href="${escapeHtml(post.url)}" class="button" style="color: white !important; text-decoration: none;">Read Now →</a>
+                <a href="${escapeHtml(post.url)}" class="button" style="color: white !important; text-decoration: none;">${article ? 'Read on the website →' : 'Read Now →'}</a>
             </div>
             <p style="font-size: 14px; color: #999; margin-top: 20px;">
                 Article link: <a href="${escapeHtml(post.url)}" class="post-link">${escapeHtml(post.url)}</a>
@@ -212,7 +433,8 @@ export class EmailFactory {
         <div class="footer">
             <p>You're receiving this because you subscribed to this newsletter.</p>
             <p>
-                <a href="${config.UNSUBSCRIBE_URL}">Unsubscribe</a> |
+                <a href="${escapeHtml(unsubscribeUrl)}">Unsubscribe</a> |
+                ${options.manageUrl ? `<a href="${escapeHtml(options.manageUrl)}">Manage preferences</a> |` : ''}
                 <a href="${config.SITE_URL}">Visit the website</a>
             </p>
             <p style="margin-top: 15px; color: #999; font-style: italic;">
@@ -229,27 +451,303 @@ export class EmailFactory {
 
     /**
      * Create newsletter text content
+     * In full-article mode the article is converted to text with its links as footnotes
      */
-    static createNewsletterText(post, config) {
+    static createNewsletterText(post, config, options = {}) {
+        const unsubscribeUrl = options.unsubscribeUrl || config.UNSUBSCRIBE_URL;
+        const author = sanitizeInput(post.author);
+        const categories = (post.categories || []).map(sanitizeInput).filter(Boolean);
+
         return `${config.EMAIL_FROM_NAME || 'Newsletter'}
 =====================================
 
 New Post: ${sanitizeInput(post.title)}
+${author ? `By ${author}\n` : ''}${categories.length ? `Topics: ${categories.join(', ')}\n` : ''}
+Hi {{name}},
 
-${sanitizeInput(post.description) || 'We\'ve published a new article that we think you\'ll find interesting.'}
+${post.content ? breakMergeTags(htmlToText(post.content)) : createExcerpt(post.description) || 'We\'ve published a new article that we think you\'ll find interesting.'}
 
-Read the full article: ${post.url}
+${post.content ? 'Read on the website' : 'Read the full article'}: ${post.url}
 
 -------------------------------------
 
 You're receiving this because you subscribed to this newsletter.
 
-Unsubscribe: ${config.UNSUBSCRIBE_URL}
-Visit the website: ${config.SITE_URL}
+Unsubscribe: ${unsubscribeUrl}
+${options.manageUrl ? `Manage preferences: ${options.manageUrl}\n` : ''}Visit the website: ${config.SITE_URL}
 
 © ${new Date().getFullYear()} ${config.SITE_OWNER}. All rights reserved.`;
     }
 
+    /**
+     * Create weekly digest subject line
+     */
+    static createDigestSubject(posts, config) {
+        const name = config.EMAIL_FROM_NAME || 'Newsletter';
+        return `${name} weekly digest: ${posts.length} new post${posts.length === 1 ? '' : 's'}`;
+    }
+
+    /**
+     * Create weekly digest HTML content
+     */
+    static createDigestHtml(posts, config, options = {}) {
+        const unsubscribeUrl = options.unsubscribeUrl || config.UNSUBSCRIBE_URL;
+
+        const postsHtml = posts.map(post => `
+            <div class="post">
+                <h3><a href="${escapeHtml(post.url)}">${escapeHtml(post.title)}</a></h3>
+                ${post.description ? `<p>${escapeHtml(sanitizeInput(post.description))}</p>` : ''}
+                <a href="${escapeHtml(post.url)}" class="read-more">Read more →</a>
+            </div>`).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(this.createDigestSubject(posts, config))}</title>
+    <style>
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+            line-height: 1.6;
+            color: #333;
+            max-width: 600px;
+            margin: 0 auto;
+            padding: 0;
+            background-color: #f5f5f5;
+        }
+        .container {
+            background-color: #ffffff;
+            margin: 20px auto;
+            border-radius: 8px;
+            overflow: hidden;
+            box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+        }
+        .header {
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            padding: 30px 20px;
+            text-align: center;
+        }
+        .header h1 {
+            margin: 0;
+            font-size: 24px;
+            font-weight: 600;
+        }
+        .content {
+            padding: 30px 20px;
+        }
+        .content p {
+            color: #666;
+            margin: 10px 0;
+        }
+        .post {
+            padding: 15px 0;
+            border-bottom: 1px solid #e9ecef;
+        }
+        .post:last-child {
+            border-bottom: none;
+        }
+        .post h3 {
+            margin: 0 0 5px 0;
+            font-size: 18px;
+        }
+        .post h3 a {
+            color: #333;
+            text-decoration: underline;
+        }
+        .read-more {
+            color: #667eea;
+            text-decoration: none;
+            font-weight: 500;
+        }
+        .footer {
+            background-color: #f8f9fa;
+            padding: 20px;
+            text-align: center;
+            font-size: 12px;
+            color: #666;
+            border-top: 1px solid #e9ecef;
+        }
+        .footer a {
+            color: #667eea;
+            text-decoration: none;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>📬 ${config.EMAIL_FROM_NAME || 'Newsletter'} Weekly Digest</h1>
+        </div>
+        <div class="content">
+            <p>Hi {{name}}, here is everything published this week:</p>
+            ${postsHtml}
+        </div>
+        <div class="footer">
+            <p>You're receiving this weekly digest because you subscribed to this newsletter.</p>
+            <p>
+                <a href="${escapeHtml(unsubscribeUrl)}">Unsubscribe</a> |
+                ${options.manageUrl ? `<a href="${escapeHtml(options.manageUrl)}">Manage preferences</a> |` : ''}
+                <a href="${config.SITE_URL}">Visit the website</a>
+            </p>
+            <p style="margin-top: 15px; color: #999; font-style: italic;">
+                This is an automated email. Please do not reply to this email address.
+            </p>
+            <p style="margin-top: 10px; color: #999;">
+                © ${new Date().getFullYear()} ${config.SITE_OWNER}. All rights reserved.
+            </p>
+        </div>
+    </div>
+</body>
+</html>`;
+    }
+
+    /**
+     * Create weekly digest text content
+     */
+    static createDigestText(posts, config, options = {}) {
+        const unsubscribeUrl = options.unsubscribeUrl || config.UNSUBSCRIBE_URL;
+
+        const postsText = posts.map(post => {
+            const description = sanitizeInput(post.description);
+            return `* ${sanitizeInput(post.title)}
+${description ? `  ${description}\n` : ''}  ${post.url}`;
+        }).join('\n\n');
+
+        return `${config.EMAIL_FROM_NAME || 'Newsletter'} Weekly Digest
+=====================================
+
+Hi {{name}}, here is everything published this week:
+
+${postsText}
+
+-------------------------------------
+
+You're receiving this weekly digest because you subscribed to this newsletter.
+
+Unsubscribe: ${unsubscribeUrl}
+${options.manageUrl ? `Manage preferences: ${options.manageUrl}\n` : ''}Visit the website: ${config.SITE_URL}
+
+© ${new Date().getFullYear()} ${config.SITE_OWNER}. All rights reserved.`;
+    }
+
+    /**
+     * Create subscription confirmation HTML
+     */
+    static createSubscriptionConfirmationHtml(confirmUrl, config) {
+        return `<!DOCTYPE html>
+<html>
+<head>
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 20px; border-radius: 5px; text-align: center; }
+        .content { margin-top: 20px; }
+        .button { display: inline-block; padding: 12px 30px; background: #667eea; color: white !important; text-decoration: none; border-radius: 5px; font-weight: 500; }
+        .button-container { text-align: center; margin: 25px 0; }
+        .note { font-size: 12px; color: #999; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h2>Confirm Your Subscription</h2>
+        </div>
+        <div class="content">
+            <p>Thanks for subscribing to ${escapeHtml(config.EMAIL_FROM_NAME || 'our newsletter')}!</p>
+            <p>Please confirm your email address by clicking the button below. You won't receive any newsletters until you confirm.</p>
+            <div class="button-container">
+                <a href="${escapeHtml(confirmUrl)}" class="button" style="color: white !important; text-decoration: none;">Confirm Subscription</a>
+            </div>
+            <p class="note">If the button doesn't work, copy this link into your browser:<br>${escapeHtml(confirmUrl)}</p>
+            <p class="note">If you didn't request this, you can safely ignore this email. The request expires automatically.</p>
+            <p>Best regards,<br>${config.SITE_OWNER || 'The Team'}</p>
+        </div>
+    </div>
+</body>
+</html>`;
+    }
+
+    /**
+     * Create subscription confirmation text
+     */
+    static createSubscriptionConfirmationText(confirmUrl, config) {
+        return `Confirm Your Subscription
+=========================
+
+Thanks for subscribing to ${config.EMAIL_FROM_NAME || 'our newsletter'}!
+
+Please confirm your email address by opening the link below. You won't receive any newsletters until you confirm.
+
+${confirmUrl}
+
+If you didn't request this, you can safely ignore this email. The request expires automatically.
+
+Best regards,
+${config.SITE_OWNER || 'The Team'}`;
+    }
+
+    /**
+     * Create data request verification HTML
+     */
+    static createPrivacyVerificationHtml(verifyUrl, config) {
+        const minutes = Math.round(config.TTL_PRIVACY_TOKEN / 60);
+
+        return `<!DOCTYPE html>
+<html>
+<head>
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 20px; border-radius: 5px; text-align: center; }
+        .content { margin-top: 20px; }
+        .button { display: inline-block; padding: 12px 30px; background: #667eea; color: white !important; text-decoration: none; border-radius: 5px; font-weight: 500; }
+        .button-container { text-align: center; margin: 25px 0; }
+        .note { font-size: 12px; color: #999; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h2>Your Data Request</h2>
+        </div>
+        <div class="content">
+            <p>We received a request to access or erase the data ${escapeHtml(config.EMAIL_FROM_NAME || 'we')} hold about this email address.</p>
+            <p>Open the link below to download a copy of your data or to have it erased. The link is valid for ${minutes} minutes.</p>
+            <div class="button-container">
+                <a href="${escapeHtml(verifyUrl)}" class="button" style="color: white !important; text-decoration: none;">Manage My Data</a>
+            </div>
+            <p class="note">If the button doesn't work, copy this link into your browser:<br>${escapeHtml(verifyUrl)}</p>
+            <p class="note">If you didn't request this, you can safely ignore this email. Nothing happens until the link is used.</p>
+            <p>Best regards,<br>${config.SITE_OWNER || 'The Team'}</p>
+        </div>
+    </div>
+</body>
+</html>`;
+    }
+
+    /**
+     * Create data request verification text
+     */
+    static createPrivacyVerificationText(verifyUrl, config) {
+        const minutes = Math.round(config.TTL_PRIVACY_TOKEN / 60);
+
+        return `Your Data Request
+=================
+
+We received a request to access or erase the data ${config.EMAIL_FROM_NAME || 'we'} hold about this email address.
+
+Open the link below to download a copy of your data or to have it erased. The link is valid for ${minutes} minutes.
+
+${verifyUrl}
+
+If you didn't request this, you can safely ignore this email. Nothing happens until the link is used.
+
+Best regards,
+${config.SITE_OWNER || 'The Team'}`;
+    }
+
     /**
      * Create contact owner HTML
      */
@@ -0,0 +1,33 @@
+/**
+ * Identifying headers added to outgoing newsletters
+ * Spam complaint (ARF) reports return the original message, often with the recipient
+ * address redacted - these headers let the inbound handler recover who complained about what
+ */
+
+export const RECIPIENT_HEADER = 'X-Newsletter-Recipient';
+export const POST_HEADER = 'X-Newsletter-Post';
+export const BATCH_HEADER = 'X-Newsletter-Batch';
+
+/**
+ * Build identifying headers for an outgoing message
+ * @param {Object} options - { recipientToken, batchToken, postId }
+ * @returns {Object} - Header name -> value (empty when nothing to add)
+ */
+export function buildFeedbackHeaders({ recipientToken, batchToken, postId } = {}) {
+  const headers = {};
+
+  if (recipientToken) {
+    headers[RECIPIENT_HEADER] = recipientToken;
+  }
+
+  if (batchToken) {
+    headers[BATCH_HEADER] = batchToken;
+  }
+
+  if (postId) {
+    // Header values must stay on one line
+    headers[POST_HEADER] = String(postId).replace(/[\r\n]+/g, ' ').slice(0, 200);
+  }
+
+  return headers;
+}
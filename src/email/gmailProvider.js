@@ -7,10 +7,13 @@ import { withRetry, CircuitBreaker } from '../utils/retry.js';
 import { isValidEmail } from '../utils/validation.js';
 import { sanitizeInput } from '../utils/sanitize.js';
 import { canSendEmails, trackEmailSent } from '../utils/gmailRateLimit.js';
+import { buildFeedbackHeaders } from './feedbackHeaders.js';
+import { htmlToText } from '../utils/htmlToText.js';
 
 export class GmailProvider {
-  constructor(config) {
+  constructor(config, env) {
     this.config = config;
+    this.env = env;
     // Initialize circuit breaker for SMTP connections
     this.circuitBreaker = new CircuitBreaker({
       failureThreshold: 3,
@@ -21,7 +24,7 @@ export class GmailProvider {
   /**
    * Send email via Gmail SMTP using worker-mailer
    */
-  async sendEmail({ to, subject, html, text, replyTo }) {
+  async sendEmail({ to, subject, html, text, replyTo, unsubscribeUrl, recipientToken, postId }) {
     // Input validation
     if (!to || (Array.isArray(to) && to.length === 0)) {
       return {
@@ -32,7 +35,7 @@ export class GmailProvider {
 
     // Validate email addresses
     const recipients = Array.isArray(to) ? to : [to];
-    const invalidEmails = recipients.filter(email => !isValidEmail(email));
+    const invalidEmails = recipients.filter(email => !isValidEmail(email, this.config));
     if (invalidEmails.length > 0) {
       return {
         success: false,
@@ -68,10 +71,11 @@ export class GmailProvider {
           to: Array.isArray(to) ? to : [to],
           subject: subject,
           html: html,
-          text: text || this.stripHtml(html),
+          text: text || htmlToText(html),
           headers: {
-            'List-Unsubscribe': `<${this.config.UNSUBSCRIBE_URL}>`,
-            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+            'List-Unsubscribe': `<${unsubscribeUrl || this.config.UNSUBSCRIBE_URL}>`,
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+            ...buildFeedbackHeaders({ recipientToken, postId })
           }
         };
 
@@ -123,7 +127,7 @@ export class GmailProvider {
   /**
    * Send batch emails with BCC to avoid exposing recipient list
    */
-  async sendBatchEmail({ recipients, subject, html, text }) {
+  async sendBatchEmail({ recipients, subject, html, text, postId, batchToken }) {
     // Validate input
     if (!Array.isArray(recipients) || recipients.length === 0) {
       console.error('sendBatchEmail: recipients must be a non-empty array');
@@ -147,8 +151,8 @@ export class GmailProvider {
     }
 
     // Validate and filter email addresses
-    const validRecipients = recipients.filter(email => isValidEmail(email));
-    const invalidRecipients = recipients.filter(email => !isValidEmail(email));
+    const validRecipients = recipients.filter(email => isValidEmail(email, this.config));
+    const invalidRecipients = recipients.filter(email => !isValidEmail(email, this.config));
 
     if (invalidRecipients.length > 0) {
       console.warn(`Skipping ${invalidRecipients.length} invalid email addresses`);
@@ -211,10 +215,11 @@ export class GmailProvider {
             bcc: batch, // All recipients in BCC
             subject: subject,
             html: html,
-            text: text || this.stripHtml(html),
+            text: text || htmlToText(html),
             headers: {
               'List-Unsubscribe': `<${this.config.UNSUBSCRIBE_URL}>`,
               'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+              ...buildFeedbackHeaders({ postId, batchToken }),
               'Precedence': 'bulk',
               'X-Batch-Number': `${i + 1}/${batches.length}`
             }
@@ -265,11 +270,17 @@ export class GmailProvider {
       }
     }
 
+    // Batches skipped after the circuit breaker opened count as failed too
+    const sentRecipients = results.successful.flatMap(batchResult => batchResult.recipients);
+    const sent = new Set(sentRecipients);
+
     return {
       success: results.totalFailed === 0,
       message: `Sent to ${results.totalSent}/${recipients.length} recipients`,
       totalSent: results.totalSent,
       totalFailed: results.totalFailed,
+      sentRecipients,
+      failedRecipients: recipients.filter(email => !sent.has(email)),
       batches: {
         successful: results.successful.length,
         failed: results.failed.length,
@@ -280,6 +291,164 @@ export class GmailProvider {
     };
   }
 
+  /**
+   * Send individual (per-recipient) emails over a single SMTP connection
+   * Each message carries its own content and List-Unsubscribe URL. Sends are paced to
+   * GMAIL_PER_MINUTE_LIMIT and checked against the shared Gmail quota - once the daily limit is
+   * reached the remaining messages are returned in deferredRecipients, neither sent nor failed
+   * @param {Array} messages - [{ to, subject, html, text, unsubscribeUrl, recipientToken, postId }]
+   */
+  async sendIndividualEmails(messages) {
+    if (!Array.isArray(messages) || messages.length === 0) {
+      return {
+        success: false,
+        error: 'No messages provided',
+        totalSent: 0,
+        totalFailed: 0,
+        sentRecipients: [],
+        failedRecipients: [],
+        deferredRecipients: []
+      };
+    }
+
+    const sentRecipients = [];
+    const failedRecipients = [];
+    const deferredRecipients = [];
+    const validMessages = messages.filter(message => isValidEmail(message.to, this.config));
+    const delayMs = Math.ceil(60000 / (this.config.GMAIL_PER_MINUTE_LIMIT || 20));
+
+    // Sends allowed before the quota is checked again, and sends not yet counted in it
+    let allowance = 0;
+    let untracked = 0;
+
+    for (const message of messages) {
+      if (!isValidEmail(message.to, this.config)) {
+        console.warn('Skipping invalid email address in individual send');
+        failedRecipients.push(message.to);
+      }
+    }
+
+    let mailer = null;
+
+    for (let i = 0; i < validMessages.length; i++) {
+      const message = validMessages[i];
+
+      if (allowance <= 0) {
+        if (untracked > 0) {
+          await trackEmailSent(this.env, this.config, untracked);
+          untracked = 0;
+        }
+
+        let quota = await canSendEmails(this.env, this.config);
+        if (!quota.allowed && quota.waitSeconds) {
+          await new Promise(resolve => setTimeout(resolve, Math.ceil(quota.waitSeconds) * 1000));
+          quota = await canSendEmails(this.env, this.config);
+        }
+
+        if (!quota.allowed) {
+          console.warn(`Gmail quota reached (${quota.reason}) - deferring ${validMessages.length - i} messages`);
+          deferredRecipients.push(...validMessages.slice(i).map(m => m.to));
+          break;
+        }
+        allowance = Math.min(quota.usage.perMinute.remaining, quota.usage.daily.remaining);
+      }
+
+      // Pace sends to the per-minute limit, like the MailerLite provider does
+      if (i > 0) {
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+      allowance--;
+
+      try {
+        // (Re)connect lazily - a failed send may leave the connection unusable
+        if (!mailer) {
+          const connectResult = await this.circuitBreaker.execute(async () => {
+            return await withRetry(async () => {
+              return await WorkerMailer.connect({
+                credentials: {
+                  username: this.config.GMAIL_USER,
+                  password: this.config.GMAIL_PASSWORD
+                },
+                authType: 'plain',
+                host: this.config.GMAIL_HOST,
+                port: this.config.GMAIL_PORT,
+                secure: this.config.GMAIL_PORT === 465,
+                startTls: this.config.GMAIL_PORT === 587,
+                socketTimeoutMs: 30000,
+                responseTimeoutMs: 30000
+              });
+            }, {
+              maxAttempts: 3,
+              initialDelay: 3000,
+              backoffMultiplier: 2,
+              maxDelay: 30000
+            });
+          });
+
+          if (!connectResult.success) {
+            throw connectResult.error || new Error('Failed to connect to Gmail SMTP');
+          }
+          mailer = connectResult.result;
+        }
+
+        await mailer.send({
+          from: {
+            name: this.config.EMAIL_FROM_NAME || 'Newsletter',
+            email: this.config.EMAIL_FROM_ADDRESS || this.config.GMAIL_USER
+          },
+          to: message.to,
+          subject: message.subject,
+          html: message.html,
+          text: message.text || htmlToText(message.html),
+          headers: {
+            'List-Unsubscribe': `<${message.unsubscribeUrl || this.config.UNSUBSCRIBE_URL}>`,
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+            'Precedence': 'bulk',
+            ...buildFeedbackHeaders(message)
+          }
+        });
+
+        sentRecipients.push(message.to);
+        untracked++;
+      } catch (error) {
+        console.error('Individual send failed:', error.message);
+        failedRecipients.push(message.to);
+        mailer = null;
+
+        // If circuit breaker is open, mark the rest as failed and stop
+        if (this.circuitBreaker.state === 'OPEN') {
+          console.error('Circuit breaker is open, stopping individual sends');
+          const remaining = validMessages.slice(i + 1).map(m => m.to);
+          failedRecipients.push(...remaining);
+          break;
+        }
+      }
+    }
+
+    if (untracked > 0) {
+      await trackEmailSent(this.env, this.config, untracked);
+    }
+
+    if (mailer && typeof mailer.close === 'function') {
+      try {
+        await mailer.close();
+      } catch (error) {
+        console.warn('Error closing SMTP connection:', error.message);
+      }
+    }
+
+    return {
+      success: failedRecipients.length === 0 && deferredRecipients.length === 0,
+      message: `Sent to ${sentRecipients.length}/${messages.length} recipients`,
+      totalSent: sentRecipients.length,
+      totalFailed: failedRecipients.length,
+      sentRecipients,
+      failedRecipients,
+      deferredRecipients,
+      circuitBreakerState: this.circuitBreaker.state
+    };
+  }
+
   /**
    * Validate Gmail configuration
    */
@@ -307,29 +476,4 @@ export class GmailProvider {
       errors
     };
   }
-
-  /**
-   * Strip HTML tags from content
-   */
-  stripHtml(html) {
-    if (!html) return '';
-
-    // Remove HTML tags first (non-greedy, safe pattern)
-    let text = html.replace(/<[^>]+>/g, '');
-
-    // Decode HTML entities in a single pass to avoid double-decoding
-    const htmlEntities = {
-      '&nbsp;': ' ',
-      '&amp;': '&',
-      '&lt;': '<',
-      '&gt;': '>',
-      '&quot;': '"',
-      '&#39;': "'"
-    };
-
-    // Use a single regex replacement with callback
-    text = text.replace(/&(?:nbsp|amp|lt|gt|quot|#39);/g, match => htmlEntities[match] || match);
-
-    return text.trim();
-  }
 }
\ No newline at end of file
@@ -0,0 +1,246 @@
+/**
+ * Inbound Email Handler
+ * Processes mail delivered to the worker through Cloudflare Email Routing (bounces, spam complaints)
+ */
+
+import { readRawEmail } from '../utils/mime.js';
+import { parseBounce } from '../utils/dsnParser.js';
+import { parseComplaint } from '../utils/arfParser.js';
+import { removeSubscriber } from '../utils/kv.js';
+import { SUPPRESSION_REASONS } from '../utils/suppression.js';
+import { verifySignedToken } from '../utils/token.js';
+import { canonicalizeEmail } from '../utils/validation.js';
+import { replicateComplaintToD1 } from '../utils/d1Replication.js';
+import { getSentBatchMatcher } from './sentBatches.js';
+
+// Reports are small - anything bigger is not worth parsing in a worker
+const MAX_INBOUND_BYTES = 1024 * 1024;
+
+/**
+ * Handle an inbound email message
+ */
+export async function handleInboundEmail(message, env, config, ctx) {
+  const raw = await readRawEmail(message, MAX_INBOUND_BYTES);
+
+  const complaint = parseComplaint(raw);
+  if (complaint.isComplaint) {
+    await handleComplaint(complaint, env, config, ctx);
+    return;
+  }
+
+  const bounce = parseBounce(raw);
+  if (bounce.isBounce) {
+    await handleBounce(bounce, env, config, ctx);
+    return;
+  }
+
+  console.log(`Inbound email from ${message.from} is not a delivery or feedback report`);
+  await forwardOrDrop(message, config);
+}
+
+/**
+ * Find the failed recipients of a bounce that can be trusted
+ * Anyone can send a DSN naming an address in Final-Recipient, so the address comes from the signed
+ * X-Newsletter-Recipient header of individual sends, or - for BCC batch sends - a Final-Recipient
+ * must be one of the recorded recipients of the batch named by the signed X-Newsletter-Batch header
+ * @returns {Array|null} - [{ email, type, status }], null when the report carries no valid token
+ */
+async function getTrustedFailures(bounce, env, config) {
+  if (bounce.recipientToken) {
+    const verification = await verifySignedToken(config, bounce.recipientToken, 'feedback');
+    if (verification.valid) {
+      // Each message carries one recipient token - a hard failure outweighs a temporary one
+      const recipient = bounce.recipients.find(entry => entry.type === 'hard') ||
+        bounce.recipients.find(entry => entry.type === 'soft');
+      return recipient ? [{ email: verification.email, type: recipient.type, status: recipient.status }] : [];
+    }
+  }
+
+  if (bounce.batchToken) {
+    const wasInBatch = await getSentBatchMatcher(env, config, bounce.batchToken);
+    if (wasInBatch) {
+      const failures = [];
+      for (const recipient of bounce.recipients) {
+        if (!recipient.type || failures.some(entry => entry.email === recipient.email)) continue;
+        if (await wasInBatch(recipient.email)) {
+          failures.push({ email: recipient.email, type: recipient.type, status: recipient.status });
+        }
+      }
+      return failures;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Process a parsed bounce report
+ * Only reports that return a signed recipient or batch header are acted on
+ */
+async function handleBounce(bounce, env, config, ctx) {
+  const failures = await getTrustedFailures(bounce, env, config);
+
+  if (!failures) {
+    console.log('Ignoring bounce without a valid signed recipient or batch header');
+    return;
+  }
+
+  if (failures.length === 0) {
+    console.log('Ignoring delivery report without a failure for a known recipient (delayed or relayed)');
+    return;
+  }
+
+  for (const { email, type, status } of failures) {
+    try {
+      if (type === 'hard') {
+        await removeSubscriber(env, config, email, {
+          reason: SUPPRESSION_REASONS.HARD_BOUNCE,
+          source: `dsn ${status}`.trim(),
+          ctx
+        });
+        console.log(`Hard bounce (${status || 'no status'}) - suppressed ${email}`);
+      } else {
+        await recordSoftBounce(env, config, email, status, ctx);
+      }
+    } catch (error) {
+      console.error(`Error processing bounce for ${email}:`, error);
+    }
+  }
+}
+
+/**
+ * Process a parsed spam complaint (ARF feedback report)
+ * The recipient is unsubscribed and suppressed immediately, the complaint is counted per post.
+ * Only the signed X-Newsletter-Recipient header identifies the recipient - the addresses in the
+ * report are chosen by whoever sent it
+ */
+async function handleComplaint(complaint, env, config, ctx) {
+  let email = '';
+
+  if (complaint.recipientToken) {
+    const verification = await verifySignedToken(config, complaint.recipientToken, 'feedback');
+    if (verification.valid) {
+      email = verification.email;
+    }
+  }
+
+  if (!email && !complaint.postId) {
+    console.log('Ignoring complaint that cannot be traced to a recipient or newsletter');
+    return;
+  }
+
+  if (email) {
+    await removeSubscriber(env, config, email, {
+      reason: SUPPRESSION_REASONS.COMPLAINT,
+      source: `arf ${complaint.feedbackType}`,
+      ctx
+    });
+    console.log(`Spam complaint (${complaint.feedbackType}) - suppressed ${email}`);
+  } else {
+    console.log(`Spam complaint (${complaint.feedbackType}) with unknown recipient`);
+  }
+
+  await recordComplaint(env, config, complaint.postId, complaint.feedbackType);
+
+  try {
+    replicateComplaintToD1(env, ctx, {
+      email,
+      emailCanonical: email ? canonicalizeEmail(email, config) : '',
+      postId: complaint.postId,
+      feedbackType: complaint.feedbackType,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('D1 complaint replication error (non-blocking):', error);
+  }
+}
+
+/**
+ * Count a complaint against the newsletter that caused it
+ */
+async function recordComplaint(env, config, postId, feedbackType) {
+  const id = postId || 'unknown';
+  const key = `${config.PREFIX_COMPLAINT}${id}`;
+
+  let record = { postId: id, title: '', count: 0, feedbackTypes: {} };
+  const existing = await env.KV.get(key);
+  if (existing) {
+    try {
+      record = JSON.parse(existing);
+    } catch {
+      // Corrupt record - start over
+    }
+  } else if (postId) {
+    // Keep the title alongside the count for the status page
+    const sent = await env.KV.get(`${config.PREFIX_NEWSLETTER_SENT}${postId}`);
+    if (sent) {
+      try {
+        record.title = JSON.parse(sent).title || '';
+      } catch {
+        // Title is optional
+      }
+    }
+  }
+
+  record.count = (record.count || 0) + 1;
+  record.feedbackTypes = record.feedbackTypes || {};
+  record.feedbackTypes[feedbackType] = (record.feedbackTypes[feedbackType] || 0) + 1;
+  record.lastComplaintAt = new Date().toISOString();
+
+  // The status page lists complaints from key metadata (limited to 1024 bytes) without reading each record
+  await env.KV.put(key, JSON.stringify(record), {
+    metadata: { postId: record.postId, title: String(record.title || '').slice(0, 200), count: record.count }
+  });
+}
+
+/**
+ * Count a soft bounce and suppress the address once SOFT_BOUNCE_THRESHOLD is reached
+ * Counters expire after TTL_SOFT_BOUNCE so occasional temporary failures are forgotten
+ */
+async function recordSoftBounce(env, config, email, status, ctx) {
+  // Keyed like subscribers so variants of one mailbox share a counter
+  const key = `${config.PREFIX_BOUNCE}${canonicalizeEmail(email, config)}`;
+
+  let record = { email, softBounces: 0 };
+  const existing = await env.KV.get(key);
+  if (existing) {
+    try {
+      record = JSON.parse(existing);
+    } catch {
+      // Corrupt counter - start over
+    }
+  }
+
+  record.softBounces = (record.softBounces || 0) + 1;
+  record.lastStatus = status;
+  record.lastBounceAt = new Date().toISOString();
+
+  if (record.softBounces >= config.SOFT_BOUNCE_THRESHOLD) {
+    await removeSubscriber(env, config, email, {
+      reason: SUPPRESSION_REASONS.SOFT_BOUNCE,
+      source: `dsn ${record.softBounces} soft bounces`,
+      ctx
+    });
+    await env.KV.delete(key);
+    console.log(`Soft bounce threshold reached (${record.softBounces}) - suppressed ${email}`);
+    return;
+  }
+
+  await env.KV.put(key, JSON.stringify(record), {
+    expirationTtl: config.TTL_SOFT_BOUNCE
+  });
+  console.log(`Soft bounce ${record.softBounces}/${config.SOFT_BOUNCE_THRESHOLD} for ${email}`);
+}
+
+/**
+ * Forward mail that is not a report to INBOUND_FORWARD_TO, otherwise drop it
+ */
+async function forwardOrDrop(message, config) {
+  if (!config.INBOUND_FORWARD_TO) return;
+
+  try {
+    await message.forward(config.INBOUND_FORWARD_TO);
+  } catch (error) {
+    console.error('Failed to forward inbound email:', error);
+  }
+}
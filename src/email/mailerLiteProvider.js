@@ -4,6 +4,8 @@
  * API Documentation: https://developers.mailerlite.com/docs/
  */
 
+import { htmlToText } from '../utils/htmlToText.js';
+
 /**
  * MailerLite email provider class
  */
@@ -42,7 +44,7 @@ export class MailerLiteProvider {
         to: recipients.map(email => ({ email })),
         subject: subject,
         html: html,
-        text: text || this.stripHtml(html)
+        text: text || htmlToText(html)
       };
 
       // Add reply-to if provided
@@ -110,6 +112,49 @@ export class MailerLiteProvider {
     return this.sendBulkEmail({ recipients, subject, html, text, replyTo });
   }
 
+  /**
+   * Send individual (per-recipient) emails - Interface compatible with GmailProvider
+   * MailerLite does not accept custom headers, so the unsubscribe URL only appears in the content
+   * @param {Array} messages - [{ to, subject, html, text, unsubscribeUrl }]
+   */
+  async sendIndividualEmails(messages) {
+    const sentRecipients = [];
+    const failedRecipients = [];
+
+    // Pace requests to stay under the API rate limit
+    const delayMs = Math.ceil(60000 / (this.rateLimitPerMinute || 120));
+
+    for (let i = 0; i < messages.length; i++) {
+      const message = messages[i];
+      const result = await this.sendEmail({
+        to: message.to,
+        subject: message.subject,
+        html: message.html,
+        text: message.text
+      });
+
+      if (result.success) {
+        sentRecipients.push(message.to);
+      } else {
+        console.error(`MailerLite individual send failed: ${result.error}`);
+        failedRecipients.push(message.to);
+      }
+
+      if (i < messages.length - 1) {
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+    }
+
+    return {
+      success: failedRecipients.length === 0,
+      message: `Sent to ${sentRecipients.length} recipients, ${failedRecipients.length} failed`,
+      totalSent: sentRecipients.length,
+      totalFailed: failedRecipients.length,
+      sentRecipients,
+      failedRecipients
+    };
+  }
+
   /**
    * Send bulk emails with batching
    */
@@ -125,6 +170,8 @@ export class MailerLiteProvider {
       }
 
       const results = [];
+      const sentRecipients = [];
+      const failedRecipients = [];
       let totalSent = 0;
       let totalFailed = 0;
 
@@ -145,7 +192,7 @@ export class MailerLiteProvider {
             to: batch.map(email => ({ email })),
             subject: subject,
             html: html,
-            text: text || this.stripHtml(html)
+            text: text || htmlToText(html)
           };
 
           // Add reply-to if provided
@@ -181,6 +228,7 @@ export class MailerLiteProvider {
           if (response.ok) {
             const result = await response.json();
             totalSent += batch.length;
+            sentRecipients.push(...batch);
             results.push({
               batch: batch.length,
               success: true,
@@ -189,6 +237,7 @@ export class MailerLiteProvider {
           } else {
             const errorData = await response.json().catch(() => ({}));
             totalFailed += batch.length;
+            failedRecipients.push(...batch);
             results.push({
               batch: batch.length,
               success: false,
@@ -204,6 +253,7 @@ export class MailerLiteProvider {
         } catch (error) {
           console.error(`MailerLite batch error:`, error);
           totalFailed += batch.length;
+          failedRecipients.push(...batch);
           results.push({
             batch: batch.length,
             success: false,
@@ -217,6 +267,8 @@ export class MailerLiteProvider {
         message: `Sent to ${totalSent} recipients, ${totalFailed} failed`,
         totalSent,
         totalFailed,
+        sentRecipients,
+        failedRecipients,
         results
       };
     } catch (error) {
@@ -230,23 +282,6 @@ export class MailerLiteProvider {
     }
   }
 
-  /**
-   * Strip HTML tags from content
-   */
-  stripHtml(html) {
-    if (!html) return '';
-    return html
-      .replace(/<[^>]*>/g, '')
-      .replace(/&nbsp;/g, ' ')
-      .replace(/&amp;/g, '&')
-      .replace(/&lt;/g, '<')
-      .replace(/&gt;/g, '>')
-      .replace(/&quot;/g, '"')
-      .replace(/&#x27;/g, "'")
-      .replace(/&#x2F;/g, '/')
-      .trim();
-  }
-
   /**
    * Create or update a subscriber in MailerLite
    * (Optional: for syncing KV subscribers to MailerLite)
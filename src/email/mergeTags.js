@@ -0,0 +1,60 @@
+/**
+ * Merge tags - {{tag}} placeholders in subscriber emails, filled in for each recipient
+ * Supported tags: {{name}}, {{email}}, {{unsubscribe_url}} and {{manage_url}}
+ * A missing value falls back to an inline default ({{name|Reader}}), then to the configured default
+ */
+
+import { escapeHtml } from '../utils/sanitize.js';
+
+export const MERGE_TAGS = ['name', 'email', 'unsubscribe_url', 'manage_url'];
+
+const TAG_PATTERN = /\{\{\s*([a-z_]+)\s*(?:\|([^}]*))?\}\}/gi;
+
+/**
+ * Values used when a recipient has none - every recipient of a batch (BCC) send gets these
+ */
+export function getMergeTagDefaults(config) {
+  return {
+    name: config.MERGE_TAG_DEFAULT_NAME,
+    email: '',
+    unsubscribe_url: config.UNSUBSCRIBE_URL,
+    manage_url: ''
+  };
+}
+
+/**
+ * Stop {{...}} in feed HTML (a post about templating, say) from being read as merge tags
+ */
+export function escapeMergeTags(html) {
+  return String(html || '').replace(/\{\{/g, '&#123;&#123;');
+}
+
+/**
+ * Plain-text counterpart of escapeMergeTags for subjects, text bodies and feed fields -
+ * a zero-width space after each { keeps the text readable without forming a tag
+ */
+export function breakMergeTags(text) {
+  return String(text || '').replace(/\{(?=\{)/g, '{\u200B');
+}
+
+/**
+ * Replace merge tags in a template - unknown tags are left as they are
+ * @param {string} template - Subject, HTML or text content
+ * @param {Object} values - Recipient values keyed by tag name
+ * @param {Object} defaults - Fallback values from getMergeTagDefaults
+ * @param {boolean} html - Escape values for HTML (inline defaults are already part of the HTML)
+ */
+export function renderMergeTags(template, values, defaults, html = false) {
+  return String(template || '').replace(TAG_PATTERN, (match, tag, inlineDefault) => {
+    const name = tag.toLowerCase();
+    if (!MERGE_TAGS.includes(name)) return match;
+
+    if (values[name]) {
+      return html ? escapeHtml(values[name]) : values[name];
+    }
+    if (inlineDefault !== undefined && inlineDefault.trim()) {
+      return inlineDefault.trim();
+    }
+    return html ? escapeHtml(defaults[name] || '') : defaults[name] || '';
+  });
+}
@@ -0,0 +1,64 @@
+/**
+ * Sent batch records - let bounces of BCC batch sends be traced to their recipients
+ * A batch message has no per-recipient header, so it carries a signed batch token instead and the
+ * batch's recipients are kept as keyed hashes for TTL_SENT_BATCH. A bounce is only acted on for a
+ * Final-Recipient that was actually in the batch named by the returned token
+ */
+
+import { createSignedToken, verifySignedToken, hashEmail } from '../utils/token.js';
+import { canonicalizeEmail } from '../utils/validation.js';
+
+function sentBatchKey(config, id) {
+  return `${config.PREFIX_SENT_BATCH}${id}`;
+}
+
+async function hashRecipient(config, email) {
+  return await hashEmail(config, canonicalizeEmail(email, config));
+}
+
+/**
+ * Record the recipients of a batch send
+ * @returns {string|null} - Signed batch token for the message header, null when signing is not configured
+ */
+export async function recordSentBatch(env, config, recipients) {
+  if (!config.SIGNING_SECRET) {
+    return null;
+  }
+
+  const id = crypto.randomUUID();
+  const hashes = [];
+  for (const email of recipients) {
+    hashes.push(await hashRecipient(config, email));
+  }
+
+  try {
+    await env.KV.put(sentBatchKey(config, id), hashes.join('\n'), {
+      expirationTtl: config.TTL_SENT_BATCH
+    });
+  } catch (error) {
+    // Bounces of this batch will be ignored - the send itself must not fail
+    console.error('Error recording sent batch:', error);
+    return null;
+  }
+
+  return await createSignedToken(config, id, 'batch', config.TTL_SENT_BATCH);
+}
+
+/**
+ * Check which reported addresses were recipients of the batch a bounce names
+ * @returns {Function|null} - email => boolean, or null when the token or record is not valid
+ */
+export async function getSentBatchMatcher(env, config, token) {
+  const verification = await verifySignedToken(config, token, 'batch');
+  if (!verification.valid) {
+    return null;
+  }
+
+  const stored = await env.KV.get(sentBatchKey(config, verification.email));
+  if (!stored) {
+    return null;
+  }
+
+  const hashes = new Set(stored.split('\n'));
+  return async (email) => hashes.has(await hashRecipient(config, email));
+}
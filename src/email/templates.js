@@ -0,0 +1,591 @@
+/**
+ * Newsletter Templates - named HTML and text layouts stored in KV and edited from the admin panel
+ * A template is { name, subject, html, text }. The subject and text are optional and fall back to
+ * the built-in ones. Templates are assigned to feed posts and the weekly digest, and a queued
+ * send can be switched to a different template before it goes out.
+ * Merge tags ({{name}}, {{unsubscribe_url}}, ...) are left in place and filled in per recipient
+ */
+
+import { getQueuesByStatus } from '../utils/kv.js';
+import { queueTemplateKey } from '../newsletter/backend/queueStore.js';
+import { resilientFetch } from '../utils/retry.js';
+import { parseFeed, getPostImage } from '../utils/feedParser.js';
+import { sanitizeInput, createExcerpt } from '../utils/sanitize.js';
+import { htmlToText } from '../utils/htmlToText.js';
+import { getArticleContent } from '../utils/emailSanitizer.js';
+import { MERGE_TAGS, escapeMergeTags, breakMergeTags } from './mergeTags.js';
+
+export const TEMPLATE_NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+// Send types a template can be assigned to
+export const TEMPLATE_TARGETS = ['newsletter', 'digest'];
+
+// What a feed's newsletters carry - the excerpt and a link, or the sanitized article
+export const FEED_CONTENT_MODES = ['excerpt', 'full'];
+
+const MAX_TEMPLATE_SIZE = 100 * 1024;
+const PREVIEW_POSTS = 5;
+
+// Starting point for new templates in the editor
+export const STARTER_TEMPLATE = {
+  subject: '{{#if post}}{{post.title}}{{else}}{{site.name}}: {{posts.length}} new posts{{/if}}',
+  html: `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+        .post { margin: 20px 0; }
+        .meta { color: #999; font-size: 13px; }
+        .footer { margin-top: 30px; font-size: 12px; color: #666; border-top: 1px solid #eee; padding-top: 15px; }
+    </style>
+</head>
+<body>
+    <h1>{{site.name}}</h1>
+    <p>Hi {{name}},</p>
+    {{#each posts}}
+    <div class="post">
+        {{#if image}}<a href="{{url}}"><img src="{{image}}" alt="{{title}}" width="560" style="display: block; width: 100%; max-width: 560px; height: auto; border: 0;"></a>{{/if}}
+        <h2><a href="{{url}}">{{title}}</a></h2>
+        <p class="meta">{{date}}{{#if author}} by {{author}}{{/if}}{{#if categories}} · {{categories}}{{/if}}</p>
+        {{#if excerpt}}<p>{{excerpt}}</p>{{/if}}
+    </div>
+    {{/each}}
+    <div class="footer">
+        <p><a href="{{unsubscribe_url}}">Unsubscribe</a>{{#if has_manage_url}} | <a href="{{manage_url}}">Manage preferences</a>{{/if}}</p>
+        <p>© {{site.year}} {{site.owner}}</p>
+    </div>
+</body>
+</html>`,
+  text: `{{site.name}}
+
+Hi {{name}},
+{{#each posts}}
+* {{title}}
+  {{url}}
+{{/each}}
+Unsubscribe: {{unsubscribe_url}}
+{{#if has_manage_url}}Manage preferences: {{manage_url}}
+{{/if}}`
+};
+
+/**
+ * Render template source against a context
+ * Syntax: {{ path }} or {{ path | fallback }}, {{#if path}}...{{else}}...{{/if}}, {{#unless path}},
+ * {{#each path}}...{{else}}...{{/each}} (inside: the item's fields, this, @index, @number, @first, @last)
+ * and {{! comment }}. Only the context's own properties can be read and every value is escaped in HTML mode,
+ * except { __html, text } objects the worker builds from sanitized markup.
+ * Self-contained so the admin editor can run the same code in the browser for its live preview
+ * @param {Object} options - { html, keep } - keep lists names whose tags stay in place when the context has no value
+ * @returns {string}
+ * @throws {Error} - Syntax errors, with the line number
+ */
+export function renderTemplateSource(source, context, options = {}) {
+  const text = String(source || '');
+  const keep = options.keep || [];
+  const PATH = /^(this|@index|@number|@first|@last|[a-z_][a-z0-9_]*)(\.[a-z_][a-z0-9_]*)*$/i;
+  const MAX_DEPTH = 10;
+
+  const fail = (message, index) => {
+    throw new Error(`${message} on line ${text.slice(0, index).split('\n').length}`);
+  };
+
+  // Parse into text, value and block nodes - each open block collects into children, or inverse after {{else}}
+  const root = { children: [] };
+  root.list = root.children;
+  const stack = [root];
+  const tagPattern = /\{\{([\s\S]*?)\}\}/g;
+  let last = 0;
+  let match;
+
+  while ((match = tagPattern.exec(text)) !== null) {
+    const block = stack[stack.length - 1];
+    const tag = match[1].trim();
+    if (match.index > last) block.list.push({ type: 'text', value: text.slice(last, match.index) });
+    last = tagPattern.lastIndex;
+
+    if (tag.startsWith('!')) continue;
+
+    if (tag.startsWith('#')) {
+      const [, kind, path] = tag.match(/^#(\w+)\s+(\S+)$/) || [];
+      if (!['if', 'unless', 'each'].includes(kind)) fail(`Unknown block {{${tag}}}`, match.index);
+      if (!PATH.test(path)) fail(`Invalid path in {{${tag}}}`, match.index);
+      if (stack.length > MAX_DEPTH) fail('Blocks are nested too deeply', match.index);
+
+      const node = { type: kind, path, children: [], inverse: null, index: match.index };
+      node.list = node.children;
+      block.list.push(node);
+      stack.push(node);
+    } else if (tag.startsWith('/')) {
+      if (stack.length === 1 || tag.slice(1).trim() !== block.type) fail(`Unexpected {{${tag}}}`, match.index);
+      stack.pop();
+    } else if (tag === 'else') {
+      if (stack.length === 1 || block.inverse) fail('Unexpected {{else}}', match.index);
+      block.inverse = [];
+      block.list = block.inverse;
+    } else {
+      const separator = tag.indexOf('|');
+      const path = (separator === -1 ? tag : tag.slice(0, separator)).trim();
+      if (!PATH.test(path)) fail(`Invalid tag {{${tag}}}`, match.index);
+
+      block.list.push({
+        type: 'value',
+        path,
+        fallback: separator === -1 ? '' : tag.slice(separator + 1).trim(),
+        source: match[0]
+      });
+    }
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    fail(`Unclosed {{#${open.type} ${open.path}}}`, open.index);
+  }
+  if (last < text.length) root.list.push({ type: 'text', value: text.slice(last) });
+
+  const own = (object, key) => object !== null && typeof object === 'object' && Object.prototype.hasOwnProperty.call(object, key);
+
+  // Scopes run from the innermost {{#each}} item out to the context
+  const lookup = (path, scopes) => {
+    const [head, ...rest] = path.split('.');
+    let value;
+    if (head === 'this') {
+      value = scopes[0].data;
+    } else if (head.startsWith('@')) {
+      const loop = scopes.find(scope => scope.loop);
+      value = loop ? loop.loop[head.slice(1)] : undefined;
+    } else {
+      const scope = scopes.find(candidate => own(candidate.data, head));
+      value = scope ? scope.data[head] : undefined;
+    }
+
+    for (const key of rest) {
+      value = own(value, key) ? value[key] : undefined;
+    }
+    return value;
+  };
+
+  const format = (value) => {
+    if (Array.isArray(value)) return value.filter(item => item !== null && typeof item !== 'object').join(', ');
+    if (value === null || value === undefined || typeof value === 'object') return '';
+    return String(value);
+  };
+
+  const escape = (value) => value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;')
+    .replace(/\//g, '&#x2F;');
+
+  const truthy = (value) => Array.isArray(value) ? value.length > 0 : !!value;
+
+  const render = (nodes, scopes) => nodes.map(node => {
+    if (node.type === 'text') return node.value;
+
+    const value = lookup(node.path, scopes);
+
+    if (node.type === 'value') {
+      if (value === undefined && keep.includes(node.path.toLowerCase())) return node.source;
+      // Sanitized markup from the context builder ({ __html, text }) is the only unescaped output
+      if (own(value, '__html')) return String((options.html ? value.__html : value.text) || '') || node.fallback;
+      const output = format(value);
+      if (output) return options.html ? escape(output) : output;
+      return node.fallback;
+    }
+
+    if (node.type === 'each') {
+      const items = Array.isArray(value) ? value : [];
+      if (items.length === 0) return render(node.inverse || [], scopes);
+
+      return items.map((item, index) => render(node.children, [{
+        data: item,
+        loop: { index, number: index + 1, first: index === 0, last: index === items.length - 1 }
+      }, ...scopes])).join('');
+    }
+
+    const show = node.type === 'if' ? truthy(value) : !truthy(value);
+    return render(show ? node.children : node.inverse || [], scopes);
+  }).join('');
+
+  return render(root.children, [{ data: context || {} }]);
+}
+
+/**
+ * Render a template field for sending - merge tags are kept for the per-recipient pass
+ */
+export function renderTemplateField(source, context, html = false) {
+  return renderTemplateSource(source, context, { html, keep: MERGE_TAGS });
+}
+
+/**
+ * Post fields available to templates
+ */
+function toTemplatePost(post) {
+  const date = post.lastmod ? new Date(post.lastmod) : null;
+
+  return {
+    title: sanitizeInput(post.title),
+    url: post.url || '',
+    description: sanitizeInput(post.description),
+    excerpt: createExcerpt(post.description),
+    image: getPostImage(post),
+    content: post.content ? {
+      __html: escapeMergeTags(post.content),
+      text: breakMergeTags(htmlToText(post.content))
+    } : null,
+    author: sanitizeInput(post.author),
+    categories: post.categories || [],
+    date: date && !isNaN(date) ? date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }) : '',
+    enclosure: post.enclosure || ''
+  };
+}
+
+/**
+ * Build the context a template is rendered against
+ * A single post sets post and posts ([post]); a digest sets posts only, so one template can serve both
+ * @param {Object} data - { post } or { posts }
+ * @param {Object} options - Link options from sendToSubscribers - manageUrl is set when preference links exist
+ */
+export function createTemplateContext(config, { post = null, posts = null }, options = {}) {
+  return {
+    site: {
+      name: config.EMAIL_FROM_NAME || 'Newsletter',
+      url: config.SITE_URL || '',
+      owner: config.SITE_OWNER || '',
+      year: new Date().getFullYear()
+    },
+    post: post ? toTemplatePost(post) : null,
+    posts: (posts || (post ? [post] : [])).map(toTemplatePost),
+    is_digest: !post,
+    has_manage_url: !!options.manageUrl
+  };
+}
+
+/**
+ * Check a template before it is stored
+ * @returns {Array} - Error messages, empty when the template can be saved
+ */
+export function validateTemplate(template) {
+  const errors = [];
+
+  if (!TEMPLATE_NAME_PATTERN.test(template.name || '')) {
+    errors.push('Name must be 1-40 lowercase letters, digits or hyphens');
+  }
+  if (!template.html || !template.html.trim()) {
+    errors.push('HTML is required');
+  }
+
+  for (const field of ['subject', 'html', 'text']) {
+    const source = template[field] || '';
+    if (source.length > MAX_TEMPLATE_SIZE) {
+      errors.push(`${field} is larger than ${MAX_TEMPLATE_SIZE / 1024} KB`);
+      continue;
+    }
+
+    try {
+      renderTemplateSource(source, {});
+    } catch (error) {
+      errors.push(`${field}: ${error.message}`);
+    }
+  }
+
+  // Every subscriber email needs a way to unsubscribe
+  if (template.html && !/\{\{\s*unsubscribe_url\s*[|}]/i.test(template.html)) {
+    errors.push('HTML must include {{unsubscribe_url}}');
+  }
+  if (template.text && !/\{\{\s*unsubscribe_url\s*[|}]/i.test(template.text)) {
+    errors.push('Text must include {{unsubscribe_url}}');
+  }
+
+  return errors;
+}
+
+function templateKey(config, name) {
+  return `${config.PREFIX_TEMPLATE}${name}`;
+}
+
+// Stored next to the templates - "_" cannot appear in a template name
+function assignmentsKey(config) {
+  return `${config.PREFIX_TEMPLATE}_assignments`;
+}
+
+// Per-feed settings, keyed by feed URL
+function feedSettingsKey(config) {
+  return `${config.PREFIX_TEMPLATE}_feeds`;
+}
+
+/**
+ * List stored templates
+ * @returns {Array} - [{ name, updatedAt }] sorted by name
+ */
+export async function listTemplates(env, config) {
+  const templates = [];
+  let cursor = null;
+
+  do {
+    const list = await env.KV.list({ prefix: config.PREFIX_TEMPLATE, limit: 1000, cursor });
+    for (const key of list.keys) {
+      const name = key.name.slice(config.PREFIX_TEMPLATE.length);
+      if (TEMPLATE_NAME_PATTERN.test(name)) {
+        templates.push({ name, updatedAt: key.metadata?.updatedAt || null });
+      }
+    }
+    cursor = list.list_complete ? null : list.cursor;
+  } while (cursor);
+
+  return templates.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get a stored template
+ * @returns {Object|null} - { name, subject, html, text, updatedAt }
+ */
+export async function getTemplate(env, config, name) {
+  if (!TEMPLATE_NAME_PATTERN.test(name || '')) return null;
+
+  const data = await env.KV.get(templateKey(config, name));
+  return data ? JSON.parse(data) : null;
+}
+
+/**
+ * Validate and store a template, replacing one with the same name
+ * @returns {Object} - { success, message, errors }
+ */
+export async function saveTemplate(env, config, data) {
+  const template = {
+    name: String(data.name || '').trim().toLowerCase(),
+    subject: String(data.subject || ''),
+    html: String(data.html || ''),
+    text: String(data.text || ''),
+    updatedAt: new Date().toISOString()
+  };
+
+  const errors = validateTemplate(template);
+  if (errors.length > 0) {
+    return { success: false, message: 'Template has errors', errors };
+  }
+
+  try {
+    await env.KV.put(templateKey(config, template.name), JSON.stringify(template), {
+      metadata: { updatedAt: template.updatedAt }
+    });
+    console.log(`Template saved: ${template.name}`);
+    return { success: true, message: `Template "${template.name}" saved`, errors: [] };
+  } catch (error) {
+    console.error('Error saving template:', error);
+    return { success: false, message: 'Template could not be saved', errors: [] };
+  }
+}
+
+/**
+ * Delete a template - sends assigned to it fall back to the built-in layout
+ */
+export async function deleteTemplate(env, config, name) {
+  try {
+    await env.KV.delete(templateKey(config, name));
+
+    const assignments = await getTemplateAssignments(env, config);
+    const remaining = Object.fromEntries(
+      Object.entries(assignments).map(([target, assigned]) => [target, assigned === name ? '' : assigned])
+    );
+    await env.KV.put(assignmentsKey(config), JSON.stringify(remaining));
+
+    console.log(`Template deleted: ${name}`);
+    return { success: true, message: `Template "${name}" deleted` };
+  } catch (error) {
+    console.error('Error deleting template:', error);
+    return { success: false, message: 'Template could not be deleted' };
+  }
+}
+
+/**
+ * Get the template assigned to each send type - '' means the built-in layout
+ * @returns {Object} - { newsletter, digest }
+ */
+export async function getTemplateAssignments(env, config) {
+  const assignments = { newsletter: '', digest: '' };
+
+  try {
+    const data = await env.KV.get(assignmentsKey(config));
+    if (data) Object.assign(assignments, JSON.parse(data));
+  } catch (error) {
+    console.error('Error reading template assignments:', error);
+  }
+
+  return assignments;
+}
+
+/**
+ * Assign a template to a send type ('newsletter' or 'digest') or to one queued send
+ * @param {string} target - Send type, or the key of a pending or in-progress queue
+ * @param {string} name - Template name, '' for the built-in layout
+ * @returns {Object} - { success, message }
+ */
+export async function assignTemplate(env, config, target, name) {
+  try {
+    if (name && !(await getTemplate(env, config, name))) {
+      return { success: false, message: `Template "${name}" does not exist` };
+    }
+
+    const label = name ? `"${name}"` : 'the built-in layout';
+
+    if (TEMPLATE_TARGETS.includes(target)) {
+      const assignments = await getTemplateAssignments(env, config);
+      assignments[target] = name;
+      await env.KV.put(assignmentsKey(config), JSON.stringify(assignments));
+      return { success: true, message: `${target === 'digest' ? 'Weekly digests' : 'Feed posts'} now use ${label}` };
+    }
+
+    if (!String(target).startsWith(config.PREFIX_EMAIL_QUEUE)) {
+      return { success: false, message: 'Unknown target' };
+    }
+
+    const data = await env.KV.get(target);
+    const queue = data ? JSON.parse(data) : null;
+    if (!queue || !['pending', 'in-progress'].includes(queue.status)) {
+      return { success: false, message: 'Queue not found or already sent' };
+    }
+
+    // The header is rewritten by every batch, so the override gets a key of its own
+    await env.KV.put(queueTemplateKey(config, target), JSON.stringify({ name, assignedAt: new Date().toISOString() }));
+    return { success: true, message: `Queue now uses ${label} for its remaining batches` };
+  } catch (error) {
+    console.error('Error assigning template:', error);
+    return { success: false, message: 'Template could not be assigned' };
+  }
+}
+
+/**
+ * Get the content mode of a feed - set in the editor, else FEED_CONTENT_MODE
+ * @returns {string} - 'excerpt' or 'full'
+ */
+export async function getFeedContentMode(env, config, feedUrl = config.RSS_FEED_URL) {
+  try {
+    const data = await env.KV.get(feedSettingsKey(config));
+    const mode = data ? JSON.parse(data)[feedUrl]?.contentMode : null;
+    if (FEED_CONTENT_MODES.includes(mode)) return mode;
+  } catch (error) {
+    console.error('Error reading feed settings:', error);
+  }
+
+  return config.FEED_CONTENT_MODE;
+}
+
+/**
+ * Set whether a feed's newsletters carry the excerpt or the full article
+ * Applies to posts queued from now on
+ * @returns {Object} - { success, message }
+ */
+export async function setFeedContentMode(env, config, feedUrl, mode) {
+  if (!FEED_CONTENT_MODES.includes(mode)) {
+    return { success: false, message: `Content mode must be ${FEED_CONTENT_MODES.join(' or ')}` };
+  }
+  if (!feedUrl) {
+    return { success: false, message: 'No feed configured' };
+  }
+
+  try {
+    const data = await env.KV.get(feedSettingsKey(config));
+    const settings = data ? JSON.parse(data) : {};
+    settings[feedUrl] = { ...settings[feedUrl], contentMode: mode };
+    await env.KV.put(feedSettingsKey(config), JSON.stringify(settings));
+    return { success: true, message: `Feed posts now carry ${mode === 'full' ? 'the full article' : 'the excerpt'}` };
+  } catch (error) {
+    console.error('Error saving feed settings:', error);
+    return { success: false, message: 'Feed setting could not be saved' };
+  }
+}
+
+/**
+ * Get the template name chosen for a queue - an override assigned in the editor, else the one
+ * stored when the queue was created
+ * @returns {string|undefined} - undefined for queues created before templates existed
+ */
+async function getQueueTemplateName(env, config, queueKey, queue) {
+  const override = await env.KV.get(queueTemplateKey(config, queueKey));
+  return override ? JSON.parse(override).name : queue.template;
+}
+
+/**
+ * Load the template for a queue - its override or stored template, or the current assignment for
+ * queues created before templates existed
+ * @returns {Object|null} - null for the built-in layout, also when the template was deleted
+ */
+export async function getQueueTemplate(env, config, queueKey, queue) {
+  let name;
+
+  try {
+    name = await getQueueTemplateName(env, config, queueKey, queue);
+    if (name === undefined) {
+      name = (await getTemplateAssignments(env, config))[queue.type === 'digest' ? 'digest' : 'newsletter'];
+    }
+    if (!name) return null;
+
+    const template = await getTemplate(env, config, name);
+    if (!template) {
+      console.error(`Template "${name}" not found - using the built-in layout`);
+    }
+    return template;
+  } catch (error) {
+    console.error(`Error loading template "${name}":`, error);
+    return null;
+  }
+}
+
+/**
+ * Data for the editor - what can be assigned, and contexts built from the latest feed items
+ * @returns {Object} - { templates, assignments, contentMode, queues, previews: [{ label, context }] }
+ */
+export async function getTemplateEditorData(env, config) {
+  const [templates, assignments, contentMode, queues] = await Promise.all([
+    listTemplates(env, config),
+    getTemplateAssignments(env, config),
+    getFeedContentMode(env, config),
+    getQueuesByStatus(env, config, null)
+  ]);
+
+  const previews = [];
+  try {
+    const fetchResult = await resilientFetch(config.RSS_FEED_URL, {
+      headers: {
+        'User-Agent': config.USER_AGENT,
+        'Accept': 'application/rss+xml, application/atom+xml, application/xml, text/xml, application/json, */*'
+      },
+      timeout: config.FETCH_TIMEOUT_MS
+    });
+
+    if (fetchResult.success) {
+      const response = fetchResult.result;
+      const posts = parseFeed(await response.text(), response.headers.get('content-type') || '')
+        .slice(0, PREVIEW_POSTS)
+        .map(item => ({ ...item, lastmod: item.pubDate, content: getArticleContent(item, contentMode) }));
+
+      for (const post of posts) {
+        previews.push({ label: post.title || post.url, context: createTemplateContext(config, { post }, { manageUrl: true }) });
+      }
+      if (posts.length > 0) {
+        previews.push({ label: 'Weekly digest', context: createTemplateContext(config, { posts }, { manageUrl: true }) });
+      }
+    }
+  } catch (error) {
+    console.error('Error loading feed for template preview:', error);
+  }
+
+  const activeQueues = queues.filter(({ queue }) => ['pending', 'in-progress'].includes(queue.status));
+
+  return {
+    templates,
+    assignments,
+    contentMode,
+    queues: await Promise.all(activeQueues.map(async ({ key, queue }) => ({
+      key,
+      title: queue.type === 'digest' ? `Weekly digest (${(queue.posts || []).length} posts)` : queue.post?.title || key,
+      status: queue.status,
+      template: (await getQueueTemplateName(env, config, key, queue)) || ''
+    }))),
+    previews
+  };
+}
@@ -3,6 +3,9 @@
  * Requires custom domain with email routing configured
  */
 
+import { buildFeedbackHeaders } from './feedbackHeaders.js';
+import { htmlToText } from '../utils/htmlToText.js';
+
 export class WorkerEmailProvider {
   constructor(config, env) {
     this.config = config;
@@ -12,7 +15,7 @@ export class WorkerEmailProvider {
   /**
    * Send email using Cloudflare Email Routing
    */
-  async sendEmail({ to, subject, html, text, replyTo }) {
+  async sendEmail({ to, subject, html, text, replyTo, unsubscribeUrl, recipientToken, postId }) {
     try {
       // Create email message
       const message = this.createEmailMessage({
@@ -23,8 +26,11 @@ export class WorkerEmailProvider {
         to: Array.isArray(to) ? to : [to],
         subject: subject,
         html: html,
-        text: text || this.stripHtml(html),
-        replyTo: replyTo || this.config.EMAIL_REPLY_TO
+        text: text || htmlToText(html),
+        replyTo: replyTo || this.config.EMAIL_REPLY_TO,
+        unsubscribeUrl: unsubscribeUrl,
+        recipientToken: recipientToken,
+        postId: postId
       });
 
       // Note: Cloudflare Email Workers can only receive emails, not send them directly
@@ -57,7 +63,9 @@ export class WorkerEmailProvider {
         error: 'Worker Email provider is not fully implemented. Please use Gmail or MailerLite provider instead.',
         message: 'Cloudflare Email Workers can only receive emails, not send them directly',
         totalSent: 0,
-        totalFailed: recipients.length
+        totalFailed: recipients.length,
+        sentRecipients: [],
+        failedRecipients: recipients
       };
     } catch (error) {
       console.error('Worker Email batch send error:', error);
@@ -68,10 +76,27 @@ export class WorkerEmailProvider {
     }
   }
 
+  /**
+   * Send individual (per-recipient) emails
+   */
+  async sendIndividualEmails(messages) {
+    // Cloudflare Email Workers cannot send emails - return error immediately
+    console.error('WorkerEmailProvider.sendIndividualEmails() called - this provider is not implemented');
+    return {
+      success: false,
+      error: 'Worker Email provider is not fully implemented. Please use Gmail or MailerLite provider instead.',
+      message: 'Cloudflare Email Workers can only receive emails, not send them directly',
+      totalSent: 0,
+      totalFailed: messages.length,
+      sentRecipients: [],
+      failedRecipients: messages.map(message => message.to)
+    };
+  }
+
   /**
    * Create email message object
    */
-  createEmailMessage({ from, to, bcc, subject, html, text, replyTo }) {
+  createEmailMessage({ from, to, bcc, subject, html, text, replyTo, unsubscribeUrl, recipientToken, postId }) {
     const message = new MimeMessage();
 
     // Set from
@@ -111,9 +136,12 @@ export class WorkerEmailProvider {
     message.setSubject(subject);
 
     // Set headers
-    message.addHeader('List-Unsubscribe', `<${this.config.UNSUBSCRIBE_URL}>`);
+    message.addHeader('List-Unsubscribe', `<${unsubscribeUrl || this.config.UNSUBSCRIBE_URL}>`);
     message.addHeader('List-Unsubscribe-Post', 'List-Unsubscribe=One-Click');
     message.addHeader('Precedence', 'bulk');
+    for (const [name, value] of Object.entries(buildFeedbackHeaders({ recipientToken, postId }))) {
+      message.addHeader(name, value);
+    }
 
     // Set content
     if (html && text) {
@@ -121,7 +149,7 @@ export class WorkerEmailProvider {
       message.setText(text);
     } else if (html) {
       message.setHtml(html);
-      message.setText(this.stripHtml(html));
+      message.setText(htmlToText(html));
     } else {
       message.setText(text);
     }
@@ -148,31 +176,6 @@ export class WorkerEmailProvider {
       errors
     };
   }
-
-  /**
-   * Strip HTML tags from content
-   */
-  stripHtml(html) {
-    if (!html) return '';
-
-    // Remove HTML tags first (non-greedy, safe pattern)
-    let text = html.replace(/<[^>]+>/g, '');
-
-    // Decode HTML entities in a single pass to avoid double-decoding
-    const htmlEntities = {
-      '&nbsp;': ' ',
-      '&amp;': '&',
-      '&lt;': '<',
-      '&gt;': '>',
-      '&quot;': '"',
-      '&#39;': "'"
-    };
-
-    // Use a single regex replacement with callback
-    text = text.replace(/&(?:nbsp|amp|lt|gt|quot|#39);/g, match => htmlEntities[match] || match);
-
-    return text.trim();
-  }
 }
 
 /**
@@ -10,20 +10,70 @@
 
 import { buildConfig, isConfigValid } from './config/config.js';
 import { handleSubscribe } from './newsletter/frontend/subscribe.js';
-import { handleUnsubscribe } from './newsletter/frontend/unsubscribe.js';
+import { handleUnsubscribe, handleOneClickUnsubscribe } from './newsletter/frontend/unsubscribe.js';
+import { handlePreferences } from './newsletter/frontend/preferences.js';
 import { dailyRun } from './newsletter/backend/processor.js';
+import { weeklyDigestRun } from './newsletter/backend/digest.js';
+import { handleInboundEmail } from './email/inboundHandler.js';
 import { handleContact } from './contact/frontend.js';
+import { handlePrivacy } from './privacy/frontend.js';
 // Cleanup and backup imports removed - TTL handles cleanup and D1 handles persistence
 import { protectRequest, verifyTurnstileToken } from './middleware/protection.js';
 import { handleStatus } from './pages/status.js';
 import { handleAdminPanel } from './pages/admin.js';
+import { hasAdminSession } from './utils/adminSession.js';
 import { checkNativeAdminRateLimit, checkNativeNewsletterCheckLimit } from './utils/nativeRateLimit.js';
+import { addSuppression, removeSuppression, migrateSuppressionKeys, SUPPRESSION_REASONS } from './utils/suppression.js';
+import { validateEmail } from './utils/validation.js';
+import { importSubscribers, createImportReportCsv } from './newsletter/backend/importer.js';
+import { exportToCSV, exportToJSONL, parseExportCursor, EXPORT_TYPES, migrateSubscriberRoster, migrateContactKeys, findEmailRecord } from './utils/kv.js';
+import { adjustCounters, getCounters, reconcileCounters, snapshotCounters } from './utils/counters.js';
+import { getStoredBlocklist, saveDomainBlocklist } from './utils/domainBlocklist.js';
+import {
+  getTemplate,
+  saveTemplate,
+  deleteTemplate,
+  assignTemplate,
+  setFeedContentMode,
+  getTemplateEditorData
+} from './email/templates.js';
 
 /**
  * Admin endpoints are now protected by Turnstile CAPTCHA
  * Additional protection can be added via Cloudflare Zero Trust
  */
 
+/**
+ * Check the admin session and the admin API rate limit of the requested endpoint
+ * @returns {Response|null} - 401 or 429 response to return, null when the request may proceed
+ */
+async function requireAdmin(request, env, config) {
+  if (!(await hasAdminSession(request, env, config))) {
+    return new Response(JSON.stringify({ error: 'Unauthorized. Access only allowed from admin panel.' }), {
+      status: 401,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  const endpoint = new URL(request.url).pathname.split('/').pop();
+  const nativeCheck = await checkNativeAdminRateLimit(request, env, endpoint);
+  if (!nativeCheck.allowed) {
+    return new Response(JSON.stringify({
+      error: nativeCheck.reason || 'Admin API rate limit exceeded',
+      message: 'Please wait before making another request',
+      retryAfter: 60
+    }), {
+      status: 429,
+      headers: {
+        'Content-Type': 'application/json',
+        'Retry-After': '60'
+      }
+    });
+  }
+
+  return null;
+}
+
 /**
  * Main fetch handler for HTTP requests
  */
@@ -140,16 +190,35 @@ Sitemap:`, {
       });
     }
 
+    // Newsletter Preference Center (signed magic link)
+    if (url.pathname === config.PREFERENCES_WEB_PATH) {
+      return await handlePreferences(request, env, config);
+    }
+
     // Newsletter Subscribe
     if (url.pathname.startsWith(config.SUBSCRIBE_WEB_PATH) ||
-        url.pathname.startsWith(config.SUBSCRIBE_API_PATH)) {
+        url.pathname.startsWith(config.SUBSCRIBE_API_PATH) ||
+        url.pathname === config.SUBSCRIBE_CONFIRM_PATH) {
       return await handleSubscribe(request, env, config, ctx);
     }
 
+    // RFC 8058 one-click unsubscribe (POST to the List-Unsubscribe URL)
+    if (url.pathname === config.UNSUBSCRIBE_LINK_PATH && request.method === 'POST') {
+      return await handleOneClickUnsubscribe(request, env, config, ctx);
+    }
+
     // Newsletter Unsubscribe
     if (url.pathname.startsWith(config.UNSUBSCRIBE_WEB_PATH) ||
-        url.pathname.startsWith(config.UNSUBSCRIBE_API_PATH)) {
-      return await handleUnsubscribe(request, env, config);
+        url.pathname.startsWith(config.UNSUBSCRIBE_API_PATH) ||
+        url.pathname === config.UNSUBSCRIBE_LINK_PATH) {
+      return await handleUnsubscribe(request, env, config, ctx);
+    }
+
+    // Data access and erasure requests
+    if (url.pathname === config.PRIVACY_WEB_PATH ||
+        url.pathname === config.PRIVACY_API_PATH ||
+        url.pathname === config.PRIVACY_LINK_PATH) {
+      return await handlePrivacy(request, env, config, ctx);
     }
 
     // Contact Form
@@ -172,32 +241,8 @@ Sitemap:`, {
     if (url.pathname === '/admin/api/check-now' && request.method === 'POST') {
       // SECURITY: Only allow session-based access from admin panel
       // API token access is disabled for maximum security
-      const cookieHeader = request.headers.get('cookie') || '';
-      const hasValidSession = cookieHeader.includes('admin_session=');
-
-      if (!hasValidSession) {
-        return new Response(JSON.stringify({ error: 'Unauthorized. Access only allowed from admin panel.' }), {
-          status: 401,
-          headers: { 'Content-Type': 'application/json' }
-        });
-      }
-
-      // Check native rate limits (both admin and newsletter check)
-      const endpoint = url.pathname.split('/').pop(); // Get the endpoint name
-      const nativeCheck = await checkNativeAdminRateLimit(request, env, endpoint);
-      if (!nativeCheck.allowed) {
-        return new Response(JSON.stringify({
-          error: nativeCheck.reason || 'Admin API rate limit exceeded',
-          message: 'Please wait before making another request',
-          retryAfter: 60
-        }), {
-          status: 429,
-          headers: {
-            'Content-Type': 'application/json',
-            'Retry-After': '60'
-          }
-        });
-      }
+      const denied = await requireAdmin(request, env, config);
+      if (denied) return denied;
 
       // Also check newsletter-specific rate limit
       const newsletterCheck = await checkNativeNewsletterCheckLimit(request, env);
@@ -228,6 +273,229 @@ Sitemap:`, {
       });
     }
 
+    // Admin suppression list - block or unblock an address
+    if (url.pathname === '/admin/api/suppression' && request.method === 'POST') {
+      const denied = await requireAdmin(request, env, config);
+      if (denied) return denied;
+
+      let data = {};
+      try {
+        data = await request.json();
+      } catch {
+        // Invalid JSON - handled by validation below
+      }
+
+      // Only the format is checked - admins must be able to block disposable addresses too
+      const emailValidation = validateEmail(data.email, config);
+      const validFormat = emailValidation.valid || ['disposable_domain', 'invalid_domain'].includes(emailValidation.code);
+      if (!validFormat || !['block', 'unblock'].includes(data.action)) {
+        return new Response(JSON.stringify({ error: 'A valid email and action (block or unblock) are required' }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      const email = emailValidation.valid ? emailValidation.email : String(data.email).trim().toLowerCase();
+      const result = data.action === 'block'
+        ? await addSuppression(env, config, email, SUPPRESSION_REASONS.ADMIN_BLOCK, { source: 'admin', ctx })
+        : await removeSuppression(env, config, email, { source: 'admin', ctx });
+
+      // Blocked addresses must also stop receiving newsletters
+      if (data.action === 'block') {
+        const subscriber = await findEmailRecord(env, config, config.PREFIX_SUBSCRIBER, email);
+        if (subscriber) {
+          await env.KV.delete(subscriber.key);
+          await adjustCounters(env, config, { subscribers: -1 });
+        }
+      }
+
+      return new Response(JSON.stringify({
+        success: result.success,
+        message: result.message
+      }), {
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    // Admin subscriber import - CSV upload as the request body, responds with a per-row CSV report
+    if (url.pathname === '/admin/api/import' && request.method === 'POST') {
+      const denied = await requireAdmin(request, env, config);
+      if (denied) return denied;
+
+      const contentType = request.headers.get('content-type') || '';
+      if (!request.body || contentType.includes('multipart/form-data')) {
+        return new Response(JSON.stringify({ error: 'Send the CSV file as the request body (Content-Type: text/csv)' }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      const result = await importSubscribers(request.body, env, config, ctx, {
+        offset: url.searchParams.get('offset')
+      });
+
+      if (!result.success) {
+        return new Response(JSON.stringify({ error: result.message }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      console.log(`Subscriber import: ${result.message}`);
+
+      const headers = {
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="import-report-${new Date().toISOString().split('T')[0]}.csv"`,
+        'X-Import-Accepted': String(result.summary.accepted),
+        'X-Import-Duplicate': String(result.summary.duplicate),
+        'X-Import-Rejected': String(result.summary.rejected)
+      };
+      // Row limit reached - re-send the same file with ?offset= to continue
+      if (result.nextOffset !== null) {
+        headers['X-Import-Next-Offset'] = String(result.nextOffset);
+      }
+
+      return new Response(createImportReportCsv(result.rows), { headers });
+    }
+
+    // Admin data export - streams KV records as CSV or JSON Lines, one page per request
+    // The next page is requested with ?cursor= set to the X-Export-Next-Cursor response header
+    if (url.pathname === '/admin/api/export' && request.method === 'GET') {
+      const denied = await requireAdmin(request, env, config);
+      if (denied) return denied;
+
+      const format = url.searchParams.get('format') || 'csv';
+      const typeParam = url.searchParams.get('type');
+      const types = typeParam ? typeParam.split(',').map(type => type.trim()).filter(Boolean) : EXPORT_TYPES;
+      const from = parseExportDate(url.searchParams.get('from'), false);
+      const to = parseExportDate(url.searchParams.get('to'), true);
+      const cursor = url.searchParams.get('cursor') || null;
+
+      if (!['csv', 'jsonl'].includes(format) || types.some(type => !EXPORT_TYPES.includes(type)) ||
+          from === undefined || to === undefined || (cursor && !parseExportCursor(cursor))) {
+        return new Response(JSON.stringify({
+          error: `Invalid export options. format: csv or jsonl, type: ${EXPORT_TYPES.join(', ')}, from/to: YYYY-MM-DD, cursor: from X-Export-Next-Cursor`
+        }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      console.log(`Admin export: ${types.join(',')} as ${format}${cursor ? ' (next page)' : ''}`);
+
+      const options = { types, from, to, cursor };
+      const { stream, nextCursor } = format === 'jsonl'
+        ? await exportToJSONL(env, config, options)
+        : await exportToCSV(env, config, options);
+      const filename = `export-${new Date().toISOString().split('T')[0]}.${format}`;
+
+      const headers = {
+        'Content-Type': format === 'jsonl' ? 'application/x-ndjson; charset=utf-8' : 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Cache-Control': 'no-store'
+      };
+      if (nextCursor) headers['X-Export-Next-Cursor'] = nextCursor;
+
+      return new Response(stream, { headers });
+    }
+
+    // Admin counter reconcile - recounts subscribers, contacts and sent newsletters and fixes drift
+    if (url.pathname === '/admin/api/reconcile' && request.method === 'POST') {
+      const denied = await requireAdmin(request, env, config);
+      if (denied) return denied;
+
+      const result = await reconcileCounters(env, config);
+      return new Response(JSON.stringify(result), {
+        status: result.success ? 200 : 500,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    // Admin roster migration - adds key metadata and canonical keys to one page of records per request
+    // ?list=subscriber (default), ?list=suppression or ?list=contact
+    if (url.pathname === '/admin/api/migrate-roster' && request.method === 'POST') {
+      const denied = await requireAdmin(request, env, config);
+      if (denied) return denied;
+
+      // Call again with ?cursor=<nextCursor> until nextCursor is null
+      const options = { cursor: url.searchParams.get('cursor') };
+      const list = url.searchParams.get('list');
+      const result = list === 'suppression'
+        ? await migrateSuppressionKeys(env, config, options)
+        : list === 'contact'
+          ? await migrateContactKeys(env, config, options)
+          : await migrateSubscriberRoster(env, config, options);
+      return new Response(JSON.stringify(result), {
+        status: result.success ? 200 : 500,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    // Admin disposable domain blocklist - GET returns the stored list, POST saves a newline-separated
+    // list from the request body: ?mode=replace (default) or ?mode=add
+    if (url.pathname === '/admin/api/blocklist' && (request.method === 'GET' || request.method === 'POST')) {
+      const denied = await requireAdmin(request, env, config);
+      if (denied) return denied;
+
+      if (request.method === 'GET') {
+        const stored = await getStoredBlocklist(env, config);
+        return new Response(JSON.stringify(stored), {
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      const mode = url.searchParams.get('mode') === 'add' ? 'add' : 'replace';
+      const result = await saveDomainBlocklist(env, config, await request.text(), mode);
+      return new Response(JSON.stringify(result), {
+        status: result.success ? 200 : 500,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    // Admin newsletter templates - GET returns the editor data (templates, assignments, queued sends and
+    // preview contexts) or one template with ?name=; POST takes { action: save | delete | assign | content-mode, ... }
+    if (url.pathname === '/admin/api/templates' && (request.method === 'GET' || request.method === 'POST')) {
+      const denied = await requireAdmin(request, env, config);
+      if (denied) return denied;
+
+      if (request.method === 'GET') {
+        const name = url.searchParams.get('name');
+        const data = name ? await getTemplate(env, config, name) : await getTemplateEditorData(env, config);
+        return new Response(JSON.stringify(data || { error: 'Template not found' }), {
+          status: data ? 200 : 404,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      let data = {};
+      try {
+        data = await request.json();
+      } catch {
+        // Invalid JSON - handled by the action check below
+      }
+
+      let result;
+      if (data.action === 'save') {
+        result = await saveTemplate(env, config, data);
+      } else if (data.action === 'delete' && data.name) {
+        result = await deleteTemplate(env, config, String(data.name));
+      } else if (data.action === 'assign' && data.target) {
+        result = await assignTemplate(env, config, String(data.target), String(data.template || ''));
+      } else if (data.action === 'content-mode') {
+        result = await setFeedContentMode(env, config, config.RSS_FEED_URL, String(data.mode || ''));
+      } else {
+        return new Response(JSON.stringify({ error: 'A valid action (save, delete, assign or content-mode) is required' }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      return new Response(JSON.stringify(result), {
+        status: result.success ? 200 : 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
     // Maintenance and cleanup endpoints removed - TTL handles cleanup automatically
 
     // D1 Backup endpoint removed - D1 database handles backups automatically
@@ -236,8 +504,7 @@ Sitemap:`, {
     // Admin pages (require authentication)
     if (url.pathname === '/admin/status') {
       // Verify admin session
-      const cookieHeader = request.headers.get('cookie') || '';
-      if (!cookieHeader.includes('admin_session=')) {
+      if (!(await hasAdminSession(request, env, config))) {
         return new Response('Unauthorized - Please login at /admin first', {
           status: 401,
           headers: {
@@ -280,8 +547,7 @@ Sitemap:`, {
 
     if (url.pathname === '/admin/debug') {
       // Verify admin session
-      const cookieHeader = request.headers.get('cookie') || '';
-      if (!cookieHeader.includes('admin_session=')) {
+      if (!(await hasAdminSession(request, env, config))) {
         return new Response('Unauthorized - Please login at /admin first', {
           status: 401,
           headers: {
@@ -543,6 +809,18 @@ Sitemap:`, {
   }
 }
 
+/**
+ * Parse an export date filter (YYYY-MM-DD or full ISO timestamp)
+ * Date-only upper bounds include the whole day. Returns null when absent, undefined when invalid
+ */
+function parseExportDate(value, endOfDay) {
+  if (!value) return null;
+
+  const isDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(isDateOnly ? `${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z` : value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
 /**
  * Scheduled handler for cron triggers
  */
@@ -552,6 +830,26 @@ async function handleScheduled(event, env, ctx) {
   try {
     console.log('Cron triggered: ' + event.cron);
 
+    // Weekly digest cron - only queues digests, the regular newsletter cron sends them in batches
+    // Counters are recounted on the same schedule to correct drift from concurrent updates
+    if (event.cron && config.WEEKLY_CRON &&
+        event.cron.trim().toLowerCase() === config.WEEKLY_CRON.trim().toLowerCase()) {
+      ctx.waitUntil(weeklyDigestRun(env, config));
+      ctx.waitUntil(reconcileCounters(env, config));
+      return;
+    }
+
+    // First run of the day keeps a copy of the counters for day-over-day comparison
+    // Counters missing after a deploy are created here rather than by the public status page
+    try {
+      if (!(await getCounters(env, config))) {
+        ctx.waitUntil(reconcileCounters(env, config));
+      }
+      await snapshotCounters(env, config);
+    } catch (error) {
+      console.error('Counter snapshot error (non-critical):', error);
+    }
+
     const now = new Date();
 
     // Check for newsletters (lightweight)
@@ -587,6 +885,30 @@ async function handleScheduled(event, env, ctx) {
   }
 }
 
+/**
+ * Email handler for mail routed to this worker (bounce reports)
+ */
+async function handleEmail(message, env, ctx) {
+  const config = buildConfig(env);
+
+  try {
+    await handleInboundEmail(message, env, config, ctx);
+  } catch (error) {
+    console.error('Email handler error:', error);
+
+    // Store error for debugging
+    await env.KV.put('error:last', JSON.stringify({
+      type: 'email',
+      from: message.from,
+      error: error.message,
+      stack: error.stack,
+      timestamp: new Date().toISOString()
+    }), {
+      expirationTtl: config.TTL_ERROR_LOGS
+    });
+  }
+}
+
 /**
  * Get home page HTML
  */
@@ -723,6 +1045,12 @@ function getHomePage(config) {
                 <h3>Contact</h3>
                 <p>Get in touch</p>
             </a>
+
+            <a href="${config.PRIVACY_WEB_PATH}" class="link-card">
+                <div class="icon">🔒</div>
+                <h3>Your Data</h3>
+                <p>Download or erase it</p>
+            </a>
         </div>
 
         <div class="status">
@@ -760,5 +1088,6 @@ function getHomePage(config) {
 // Export the worker handlers
 export default {
   fetch: handleFetch,
-  scheduled: handleScheduled
+  scheduled: handleScheduled,
+  email: handleEmail
 };
@@ -83,6 +83,12 @@ export async function protectRequest(request, env, config) {
     });
   }
 
+  // RFC 8058 one-click unsubscribe POSTs come from mailbox provider servers on shared IPs
+  // They are authenticated by the signed token, so rate limits and bot checks must not block them
+  if (pathname === config.UNSUBSCRIBE_LINK_PATH && request.method === 'POST') {
+    return null;
+  }
+
   // LAYER 2: Check burst protection (prevents rapid-fire requests)
   rateCheckResult = await checkNativeBurstRateLimit(request, env);
   if (!rateCheckResult.allowed) {
@@ -111,8 +117,10 @@ export async function protectRequest(request, env, config) {
 
   // THIRD: Check specific endpoint rate limits
   // API endpoints (form submissions)
-  if (pathname.includes('/api/subscribe') || pathname.includes('/api/unsubscribe') || pathname.includes('/api/contact')) {
-    const formType = pathname.includes('subscribe') ? 'subscribe' :
+  if (pathname.includes('/api/subscribe') || pathname.includes('/api/unsubscribe') || pathname.includes('/api/contact') ||
+      pathname === config.PRIVACY_API_PATH) {
+    const formType = pathname === config.PRIVACY_API_PATH ? 'privacy' :
+                    pathname.includes('subscribe') ? 'subscribe' :
                     pathname.includes('unsubscribe') ? 'unsubscribe' : 'contact';
 
     // Check API rate limit
@@ -0,0 +1,134 @@
+/**
+ * Newsletter Weekly Digest
+ * Collects posts sent during the week and queues one digest email for digest subscribers
+ */
+
+import { getAllSubscriberRecords } from '../../utils/kv.js';
+import { matchesTopics } from '../../utils/topics.js';
+import { createQueue, toQueueRecipient } from './queueStore.js';
+import { getTemplateAssignments } from '../../email/templates.js';
+
+// Delivery modes stored on subscriber records
+export const DELIVERY_INSTANT = 'instant';
+export const DELIVERY_WEEKLY = 'weekly';
+
+// Keep the pending digest log bounded if the digest cron stops running
+const MAX_DIGEST_POSTS = 100;
+
+/**
+ * Check whether a subscriber receives the weekly digest instead of per-post emails
+ */
+export function isDigestSubscriber(subscriber) {
+  return subscriber?.delivery === DELIVERY_WEEKLY;
+}
+
+/**
+ * Record a sent post so it is included in the next weekly digest
+ */
+export async function addPostToDigest(env, config, post) {
+  const key = `${config.PREFIX_DIGEST}posts`;
+
+  try {
+    const posts = await getDigestPosts(env, config);
+    if (posts.some(p => p.url === post.url)) return;
+
+    posts.push({
+      url: post.url,
+      slug: post.slug,
+      title: post.title,
+      description: post.description || '',
+      author: post.author || '',
+      lastmod: post.lastmod || '',
+      image: post.image || '',
+      categories: post.categories || [],
+      sentAt: new Date().toISOString()
+    });
+
+    await env.KV.put(key, JSON.stringify(posts.slice(-MAX_DIGEST_POSTS)));
+  } catch (error) {
+    console.error('Error adding post to digest:', error);
+  }
+}
+
+/**
+ * Get posts waiting for the next weekly digest
+ */
+async function getDigestPosts(env, config) {
+  const data = await env.KV.get(`${config.PREFIX_DIGEST}posts`);
+  if (!data) return [];
+
+  try {
+    const posts = JSON.parse(data);
+    return Array.isArray(posts) ? posts : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Weekly digest job - runs on WEEKLY_CRON
+ * Creates digest queues that are sent in batches by the regular queue processor
+ */
+export async function weeklyDigestRun(env, config) {
+  console.log('Starting weekly digest run');
+
+  try {
+    const posts = await getDigestPosts(env, config);
+    if (posts.length === 0) {
+      console.log('No posts sent this week - skipping digest');
+      return;
+    }
+
+    const subscribers = (await getAllSubscriberRecords(env, config)).filter(isDigestSubscriber);
+
+    // Group subscribers by the posts matching their topics so each group shares one queue
+    const groups = new Map();
+    for (const subscriber of subscribers) {
+      const matching = posts.filter(post => matchesTopics(subscriber.topics, post.categories));
+      if (matching.length === 0) continue;
+
+      const groupKey = matching.map(post => post.url).join('\n');
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, { posts: matching, subscribers: [] });
+      }
+      groups.get(groupKey).subscribers.push(toQueueRecipient(subscriber));
+    }
+
+    const digestId = new Date().toISOString().slice(0, 10);
+    const { digest: template } = await getTemplateAssignments(env, config);
+    let index = 0;
+    for (const group of groups.values()) {
+      index++;
+      const queueKey = `${config.PREFIX_EMAIL_QUEUE}digest-${digestId}-${index}`;
+
+      await createQueue(env, config, queueKey, {
+        type: 'digest',
+        posts: group.posts,
+        template,
+        createdAt: new Date().toISOString(),
+        status: 'pending',
+        nextSendAt: ''
+      }, group.subscribers);
+    }
+
+    console.log(`Created ${groups.size} digest queue(s) for ${subscribers.length} digest subscriber(s) covering ${posts.length} post(s)`);
+
+    // Remove only the posts included in this digest - posts finalized while this ran stay for next week
+    const included = new Set(posts.map(post => post.url));
+    const remaining = (await getDigestPosts(env, config)).filter(post => !included.has(post.url));
+    if (remaining.length > 0) {
+      await env.KV.put(`${config.PREFIX_DIGEST}posts`, JSON.stringify(remaining));
+    } else {
+      await env.KV.delete(`${config.PREFIX_DIGEST}posts`);
+    }
+  } catch (error) {
+    console.error('Error in weekly digest run:', error);
+    await env.KV.put('error:weekly-digest:last', JSON.stringify({
+      error: error.message,
+      stack: error.stack,
+      timestamp: new Date().toISOString()
+    }), {
+      expirationTtl: config.TTL_ERROR_LOGS
+    });
+  }
+}
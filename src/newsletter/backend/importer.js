@@ -0,0 +1,208 @@
+/**
+ * Subscriber Import
+ * Bulk-adds subscribers from an admin CSV upload and reports the outcome of every row
+ */
+
+import { addSubscriber } from '../../utils/kv.js';
+import { getSuppressedEmails, isSuppressed } from '../../utils/suppression.js';
+import { validateEmail, isInvalidDomain, canonicalizeEmail } from '../../utils/validation.js';
+import { replicateSubscribersBatchToD1 } from '../../utils/d1Replication.js';
+import { parseCsvStream, toCsvRow } from '../../utils/csv.js';
+import { adjustCounters } from '../../utils/counters.js';
+import { getDomainBlocklist } from '../../utils/domainBlocklist.js';
+
+export const IMPORT_REPORT_HEADER = ['row', 'email', 'status', 'reason'];
+
+// Imported subscribers are attributed to the import
+const IMPORT_PROFILE = { source: 'import' };
+
+/**
+ * Find the email column from the first row
+ * @returns {Object} - { index, hasHeader } (index is -1 when no column looks like an email)
+ */
+function detectEmailColumn(firstRow) {
+  const headerIndex = firstRow.findIndex(cell => /^e-?mail(\s*address)?$/i.test(cell.trim()));
+  if (headerIndex !== -1) {
+    return { index: headerIndex, hasHeader: true };
+  }
+
+  // No header row - use the first column holding an address
+  return { index: firstRow.findIndex(cell => cell.includes('@')), hasHeader: false };
+}
+
+/**
+ * List every subscriber key once so duplicates do not cost a KV read each
+ * Keys are canonical addresses (typed addresses for records older than canonicalization)
+ */
+async function getExistingSubscriberEmails(env, config) {
+  const emails = new Set();
+  let cursor = null;
+  let hasMore = true;
+
+  while (hasMore) {
+    const list = await env.KV.list({
+      prefix: config.PREFIX_SUBSCRIBER,
+      limit: 1000,
+      cursor
+    });
+
+    if (!list || !list.keys) break;
+
+    for (const key of list.keys) {
+      emails.add(key.name.slice(config.PREFIX_SUBSCRIBER.length));
+    }
+
+    hasMore = !list.list_complete;
+    cursor = list.cursor;
+  }
+
+  return emails;
+}
+
+/**
+ * Import subscribers from a CSV stream
+ * At most IMPORT_MAX_ROWS subscribers are added per call - larger files are resumed with nextOffset
+ * @param {ReadableStream} stream - CSV upload
+ * @param {Object} options - { offset } - number of data rows already processed by earlier calls
+ * @returns {Object} - { success, message, rows, summary, nextOffset }
+ */
+export async function importSubscribers(stream, env, config, ctx, options = {}) {
+  const offset = Math.max(0, parseInt(options.offset, 10) || 0);
+  const rows = [];
+  const summary = { accepted: 0, rejected: 0, duplicate: 0 };
+  const seen = new Set();
+  const existing = await getExistingSubscriberEmails(env, config);
+  const suppressed = await getSuppressedEmails(env, config);
+  const blocklist = await getDomainBlocklist(env, config);
+
+  let column = null;
+  let rowNumber = 0;
+  let nextOffset = null;
+  let batch = [];
+
+  const report = (row, email, status, reason = '') => {
+    rows.push({ row, email, status, reason });
+    summary[status]++;
+  };
+
+  // Write a batch through addSubscriber (which re-checks existence and suppression)
+  const flush = async () => {
+    if (batch.length === 0) return;
+
+    const timestamp = new Date().toISOString();
+    const results = await Promise.all(batch.map(async ({ row, email }) => {
+      try {
+        return { row, email, result: await addSubscriber(env, config, email, '', IMPORT_PROFILE, { updateCounters: false }) };
+      } catch (error) {
+        console.error(`Import failed for ${email}:`, error);
+        return { row, email, result: { success: false, message: 'Storage error' } };
+      }
+    }));
+
+    const added = [];
+    for (const { row, email, result } of results) {
+      if (result.success) {
+        report(row, email, 'accepted');
+        added.push({
+          email,
+          emailCanonical: canonicalizeEmail(email, config),
+          ipAddress: '',
+          timestamp,
+          profile: IMPORT_PROFILE
+        });
+      } else if (result.message === 'Already subscribed') {
+        report(row, email, 'duplicate', result.message);
+      } else {
+        report(row, email, 'rejected', result.message);
+      }
+    }
+
+    try {
+      replicateSubscribersBatchToD1(env, ctx, added);
+    } catch (error) {
+      console.error('D1 replication error (non-blocking):', error);
+    }
+
+    batch = [];
+  };
+
+  for await (const fields of parseCsvStream(stream)) {
+    if (column === null) {
+      column = detectEmailColumn(fields);
+      if (column.index === -1) {
+        return { success: false, message: 'No email column found - add an "email" header row' };
+      }
+      if (column.hasHeader) continue;
+    }
+
+    rowNumber++;
+    if (rowNumber <= offset) continue;
+
+    const raw = (fields[column.index] || '').trim();
+    if (!raw && fields.every(field => !field.trim())) continue; // Blank line
+
+    // Stop once this request has queued its share of new subscribers
+    if (summary.accepted + batch.length >= config.IMPORT_MAX_ROWS) {
+      nextOffset = rowNumber - 1;
+      break;
+    }
+
+    const validation = validateEmail(raw, config, blocklist);
+    if (!validation.valid) {
+      report(rowNumber, raw, 'rejected', validation.error);
+      continue;
+    }
+
+    const email = validation.email;
+    const canonicalEmail = canonicalizeEmail(email, config);
+    if (isInvalidDomain(email, blocklist)) {
+      report(rowNumber, email, 'rejected', 'Invalid or disposable domain');
+    } else if (seen.has(canonicalEmail)) {
+      report(rowNumber, email, 'duplicate', 'Duplicate row in file');
+    } else if (existing.has(canonicalEmail) || existing.has(email)) {
+      report(rowNumber, email, 'duplicate', 'Already subscribed');
+    } else if (isSuppressed(suppressed, config, email)) {
+      report(rowNumber, email, 'rejected', 'Address is suppressed');
+    } else {
+      batch.push({ row: rowNumber, email });
+      if (batch.length >= config.IMPORT_BATCH_SIZE) {
+        await flush();
+      }
+    }
+
+    seen.add(canonicalEmail);
+  }
+
+  await flush();
+
+  // One counter update for the whole request - KV limits writes to a single key
+  if (summary.accepted > 0) {
+    await adjustCounters(env, config, { subscribers: summary.accepted, signups: summary.accepted });
+  }
+
+  if (column === null) {
+    return { success: false, message: 'The uploaded file is empty' };
+  }
+
+  // Batched rows are reported after rows rejected up front
+  rows.sort((a, b) => a.row - b.row);
+
+  return {
+    success: true,
+    message: `Imported ${summary.accepted} subscribers (${summary.duplicate} duplicate, ${summary.rejected} rejected)`,
+    rows,
+    summary,
+    nextOffset
+  };
+}
+
+/**
+ * Format an import result as a downloadable CSV report
+ */
+export function createImportReportCsv(rows) {
+  const lines = [toCsvRow(IMPORT_REPORT_HEADER)];
+  for (const { row, email, status, reason } of rows) {
+    lines.push(toCsvRow([row, email, status, reason]));
+  }
+  return lines.join('\n') + '\n';
+}
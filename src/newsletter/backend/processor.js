@@ -3,10 +3,26 @@
  * Supports RSS 2.0, RSS 1.0, Atom, RDF, and JSON Feed formats
  */
 
-import { getAllSubscribers, getQueuesByStatus } from '../../utils/kv.js';
+import { getAllSubscriberRecords, getQueuesByStatus } from '../../utils/kv.js';
 import { EmailFactory } from '../../email/emailFactory.js';
 import { withRetry, resilientFetch, DeadLetterQueue } from '../../utils/retry.js';
 import { parseFeed, detectFeedType, isValidFeedUrl } from '../../utils/feedParser.js';
+import { saveAvailableTopics, matchesTopics } from '../../utils/topics.js';
+import { addPostToDigest, isDigestSubscriber } from './digest.js';
+import { adjustCounters } from '../../utils/counters.js';
+import { getTemplateAssignments, getQueueTemplate, getFeedContentMode } from '../../email/templates.js';
+import { getArticleContent } from '../../utils/emailSanitizer.js';
+import {
+  createQueue,
+  isLegacyQueue,
+  upgradeLegacyQueue,
+  readRecipients,
+  readQueuePost,
+  recordFailedRecipients,
+  deleteQueue,
+  toQueueRecipient,
+  recipientEmail
+} from './queueStore.js';
 
 /**
  * Main daily processing function
@@ -81,8 +97,8 @@ async function discoverFromRssAndQueue(env, config) {
       return;
     }
 
-    // Get all subscribers
-    const subscribers = await getAllSubscribers(env, config);
+    // Get all subscribers (with topic preferences)
+    const subscribers = await getAllSubscriberRecords(env, config);
     if (subscribers.length === 0) {
       console.log('No subscribers found');
       return;
@@ -137,6 +153,13 @@ async function discoverFromRssAndQueue(env, config) {
 
     console.log(`Found ${items.length} items in feed (type: ${feedType})`);
 
+    // Refresh the topic list shown in the preference center
+    try {
+      await saveAvailableTopics(env, config, items);
+    } catch (error) {
+      console.error('Error saving available topics:', error);
+    }
+
     // Step 1: Find all unsent posts
     const unsentPosts = [];
     console.log(`Checking which posts have not been sent yet...`);
@@ -166,6 +189,9 @@ async function discoverFromRssAndQueue(env, config) {
     console.log(`Found ${unsentPosts.length} unsent posts out of ${items.length} total posts`);
 
     // Step 2: Create queues for unsent posts (respecting MAX_POSTS_PER_RUN)
+    // Each queue keeps the template assigned now, so later batches match earlier ones
+    const assignments = await getTemplateAssignments(env, config);
+    const contentMode = await getFeedContentMode(env, config, config.RSS_FEED_URL);
     let created = 0;
     for (const unsentPost of unsentPosts) {
       if (created >= config.MAX_POSTS_PER_RUN) {
@@ -185,7 +211,16 @@ async function discoverFromRssAndQueue(env, config) {
         continue;
       }
 
-      const queueData = {
+      // Only queue instant-delivery subscribers whose topic preferences match this post
+      // Digest subscribers receive it in the weekly digest instead
+      const recipients = subscribers
+        .filter(subscriber => !isDigestSubscriber(subscriber))
+        .filter(subscriber => matchesTopics(subscriber.topics, item.categories))
+        .map(toQueueRecipient);
+
+      console.log(`${recipients.length}/${subscribers.length} subscriber(s) match topics for: ${item.title}`);
+
+      const queueHeader = {
         post: {
           url: normUrl,
           title: item.title || postId,
@@ -194,17 +229,18 @@ async function discoverFromRssAndQueue(env, config) {
           slug: postId,
           author: item.author || '',
           categories: item.categories || [],
-          enclosure: item.enclosure || ''
+          enclosure: item.enclosure || '',
+          image: item.image || '',
+          content: getArticleContent(item, contentMode)
         },
-        subscribers: subscribers,
-        sentTo: [],
         createdAt: new Date().toISOString(),
         status: 'pending',
         nextSendAt: '',
+        template: assignments.newsletter,
         feedType: feedType // Store feed type for debugging
       };
 
-      await env.KV.put(queueKey, JSON.stringify(queueData));
+      await createQueue(env, config, queueKey, queueHeader, recipients);
       created++;
       console.log(`Created queue #${created} for post: ${item.title}`);
     }
@@ -229,25 +265,23 @@ async function processQueueBatch(env, config, queueKey, queue) {
       return { success: true, waiting: true };
     }
 
-    // Ensure arrays are initialized
-    queue.sentTo = queue.sentTo || [];
-    queue.failedRecipients = queue.failedRecipients || [];
-
-    const offset = queue.sentTo.length;
-    const total = Array.isArray(queue.subscribers) ? queue.subscribers.length : 0;
+    // Queues created before chunked storage are converted on their next batch
+    if (isLegacyQueue(queue)) {
+      queue = await upgradeLegacyQueue(env, config, queueKey, queue);
+    }
 
-    // Calculate total processed (sent + failed) for early check
-    const alreadyProcessed = queue.sentTo.length + (queue.failedRecipients?.length || 0);
+    const offset = queue.sentCount + queue.failedCount;
+    const total = queue.total;
 
     // Check if all recipients have been processed (either sent or failed)
-    if (!total || alreadyProcessed >= total) {
-      console.log(`All recipients processed. Sent: ${queue.sentTo.length}, Failed: ${queue.failedRecipients?.length || 0}`);
+    if (queue.cursor >= queue.recipientCount) {
+      console.log(`All recipients processed. Sent: ${queue.sentCount}, Failed: ${queue.failedCount}`);
       await finalizeQueue(env, config, queueKey, queue);
       return { success: true, completed: true };
     }
 
     // Get next batch of recipients
-    const nextBatch = queue.subscribers.slice(offset, Math.min(offset + config.BATCH_SIZE, total));
+    const nextBatch = await readRecipients(env, config, queueKey, queue, config.BATCH_SIZE);
 
     if (!nextBatch.length) {
       await finalizeQueue(env, config, queueKey, queue);
@@ -259,16 +293,31 @@ async function processQueueBatch(env, config, queueKey, queue) {
     // Track retry count for this batch
     queue.batchRetryCount = queue.batchRetryCount || 0;
 
+    // Entries erased by a data request are null - skipped, but still counted by the cursor
+    const recipients = nextBatch.filter(Boolean);
+    const batchEmails = recipients.map(recipientEmail);
+    const template = await getQueueTemplate(env, config, queueKey, queue);
+    const post = queue.type === 'digest' ? null : await readQueuePost(env, config, queueKey, queue);
+
     // Send emails using the email provider with retry
+    // Only a batch where nothing was sent is retried - retrying a partial send would repeat messages
     const result = await withRetry(async (attempt) => {
+      if (recipients.length === 0) return { success: true };
       console.log(`Email send attempt ${attempt} for batch ${offset}/${total}`);
 
-      const sendResult = await EmailFactory.sendNewsletter(config, env, {
-        recipients: nextBatch,
-        post: queue.post
-      });
-
-      if (!sendResult.success) {
+      const sendResult = queue.type === 'digest'
+        ? await EmailFactory.sendDigest(config, env, {
+          recipients,
+          posts: queue.posts,
+          template
+        })
+        : await EmailFactory.sendNewsletter(config, env, {
+          recipients,
+          post,
+          template
+        });
+
+      if (!sendResult.success && !(sendResult.totalSent > 0) && !(sendResult.deferredRecipients?.length > 0)) {
         throw new Error(sendResult.error || 'Failed to send emails');
       }
 
@@ -288,10 +337,9 @@ async function processQueueBatch(env, config, queueKey, queue) {
 
       // If batch has failed too many times, move failed recipients to a separate list
       if (queue.batchRetryCount >= 3) {
-        queue.failedRecipients.push(...nextBatch);
-
-        // DO NOT mark failed recipients as sent - this was causing the bug!
-        // queue.sentTo.push(...nextBatch); // REMOVED - Don't mark failed as sent
+        await recordFailedRecipients(env, config, queueKey, batchEmails);
+        queue.failedCount += batchEmails.length;
+        queue.cursor += nextBatch.length;
 
         // Reset retry count for next batch
         queue.batchRetryCount = 0;
@@ -311,54 +359,58 @@ async function processQueueBatch(env, config, queueKey, queue) {
       return { success: false, error: result.error, retryScheduled: true };
     }
 
-    // Success - Update queue status
-    // BUGFIX: withRetry returns the result directly, not wrapped in { result: ... }
-    const sentResult = result;  // Fixed: was result.result which was undefined
-    queue.sentTo = queue.sentTo || [];
+    // Success - record each recipient's outcome
+    const outcome = getRecipientOutcome(batchEmails, result.result);
 
     console.log('Email send result:', {
-      totalSent: sentResult?.totalSent,
-      totalFailed: sentResult?.totalFailed,
-      batchSize: nextBatch.length,
-      hasResult: !!sentResult
+      sent: outcome.sent.length,
+      failed: outcome.failed.length,
+      unconfirmed: outcome.unconfirmed.length,
+      batchSize: nextBatch.length
     });
 
-    // Track successfully sent recipients
-    // CRITICAL: Check for 0 explicitly - totalSent=0 is a valid failure state
-    if (sentResult && sentResult.totalSent !== undefined && sentResult.totalSent !== null) {
-      if (sentResult.totalSent > 0) {
-        const successfulRecipients = nextBatch.slice(0, sentResult.totalSent);
-        queue.sentTo.push(...successfulRecipients);
-        console.log(`Added ${successfulRecipients.length} recipients to sentTo`);
-      }
+    queue.sentCount += outcome.sent.length;
+
+    if (outcome.unconfirmed.length > 0) {
+      // Some of these recipients already have the email - they are counted but never recorded as
+      // failed, so a later resend of the failed recipients cannot send it to them twice
+      const delivered = Math.min(result.result.totalSent, outcome.unconfirmed.length);
+      queue.sentCount += delivered;
+      queue.failedCount += outcome.unconfirmed.length - delivered;
+      queue.lastError = {
+        message: `Provider sent ${delivered}/${outcome.unconfirmed.length} without reporting which recipients - not retried`,
+        batch: `${offset}-${offset + nextBatch.length}`,
+        timestamp: new Date().toISOString()
+      };
+      console.warn(`Partial batch send without per-recipient results: ${queue.lastError.message}`);
+    }
 
-      // Handle partial failures
-      if (sentResult.totalFailed > 0 && sentResult.totalSent !== undefined) {
-        // Only slice if totalSent is defined to avoid slice(undefined)
-        const failedRecipients = nextBatch.slice(sentResult.totalSent || 0);
-        queue.failedRecipients.push(...failedRecipients);
-        console.log(`Partial batch failure: ${sentResult.totalFailed} recipients failed`);
-      }
-    } else {
-      // Fallback: If no detailed result, assume all sent successfully
-      console.log(`No detailed result, assuming all ${nextBatch.length} sent successfully`);
-      queue.sentTo.push(...nextBatch);
+    if (outcome.failed.length > 0) {
+      await recordFailedRecipients(env, config, queueKey, outcome.failed);
+      queue.failedCount += outcome.failed.length;
+      console.log(`Partial batch failure: ${outcome.failed.length} recipients failed`);
+    }
+
+    // Move the cursor past the processed part of the batch - recipients the provider deferred
+    // (sending quota reached) are always the end of it and are sent with the next batch
+    const deferred = new Set(result.result?.deferredRecipients || []);
+    const firstDeferred = nextBatch.findIndex(recipient => recipient && deferred.has(recipientEmail(recipient)));
+    queue.cursor += firstDeferred === -1 ? nextBatch.length : firstDeferred;
+    if (deferred.size > 0) {
+      console.log(`${deferred.size} recipients deferred by the email provider`);
     }
 
     // Reset batch retry count on success
     queue.batchRetryCount = 0;
 
-    // Calculate total processed (sent + failed)
-    const totalProcessed = queue.sentTo.length + (queue.failedRecipients?.length || 0);
-
     // Mark as completed when all recipients have been processed (either sent or failed)
-    queue.status = totalProcessed >= total ? 'completed' : 'in-progress';
+    queue.status = queue.cursor >= queue.recipientCount ? 'completed' : 'in-progress';
     queue.lastBatchSentAt = new Date().toISOString();
     queue.stats = {
       total: total,
-      sent: queue.sentTo.length,
-      failed: (queue.failedRecipients || []).length,
-      remaining: total - totalProcessed
+      sent: queue.sentCount,
+      failed: queue.failedCount,
+      remaining: queue.recipientCount - queue.cursor
     };
 
     if (queue.status !== 'completed') {
@@ -393,11 +445,44 @@ async function processQueueBatch(env, config, queueKey, queue) {
   }
 }
 
+/**
+ * Split a batch into sent and failed addresses using the provider's per-recipient result
+ * Deferred addresses are neither - they are sent later. Providers that only report success for
+ * the whole batch count every recipient the same way. A partial send without per-recipient results
+ * leaves the batch unconfirmed - marking it failed would send it again to those who received it
+ */
+function getRecipientOutcome(emails, sendResult) {
+  if (Array.isArray(sendResult?.sentRecipients)) {
+    const sent = new Set(sendResult.sentRecipients);
+    const deferred = new Set(sendResult.deferredRecipients || []);
+    return {
+      sent: emails.filter(email => sent.has(email)),
+      failed: emails.filter(email => !sent.has(email) && !deferred.has(email)),
+      unconfirmed: []
+    };
+  }
+
+  if (sendResult?.success) {
+    return { sent: emails, failed: [], unconfirmed: [] };
+  }
+
+  return sendResult?.totalSent > 0
+    ? { sent: [], failed: [], unconfirmed: emails }
+    : { sent: [], failed: emails, unconfirmed: [] };
+}
+
 /**
  * Mark queue as complete and clean up
  */
 async function finalizeQueue(env, config, queueKey, queue) {
   try {
+    // Digest queues cover posts that were already marked as sent
+    if (queue.type === 'digest') {
+      await deleteQueue(env, config, queueKey, queue);
+      console.log(`Finalized digest queue: ${queueKey} (${queue.sentCount || 0} sent)`);
+      return;
+    }
+
     const normUrl = normalizeUrl(queue.post.url);
     const postId = postIdFromNormalizedUrl(normUrl) || queue.post.slug;
 
@@ -407,16 +492,27 @@ async function finalizeQueue(env, config, queueKey, queue) {
       title: queue.post.title,
       lastmod: queue.post.lastmod || '',
       sentAt: new Date().toISOString(),
-      recipientCount: queue.sentTo?.length || 0
+      recipientCount: queue.sentCount || 0
     };
 
+    // A re-send overwrites the existing record and must not be counted twice
+    const sentKey = `${config.PREFIX_NEWSLETTER_SENT}${postId}`;
+    const previouslySent = await env.KV.get(sentKey);
+
     // Mark as sent
     await Promise.all([
-      env.KV.put(`${config.PREFIX_NEWSLETTER_SENT}${postId}`, JSON.stringify(record)),
+      env.KV.put(sentKey, JSON.stringify(record)),
       env.KV.put(`${config.PREFIX_NEWSLETTER_SENT_URL}${encodeURIComponent(normUrl)}`, JSON.stringify(record)),
-      env.KV.delete(queueKey)
+      deleteQueue(env, config, queueKey, queue)
     ]);
 
+    if (!previouslySent) {
+      await adjustCounters(env, config, { newslettersSent: 1 });
+    }
+
+    // Include in the next weekly digest
+    await addPostToDigest(env, config, { ...queue.post, url: normUrl, slug: postId });
+
     console.log(`Finalized queue for post: ${queue.post.title}`);
   } catch (error) {
     console.error('Error in finalizeQueue:', error);
@@ -0,0 +1,212 @@
+/**
+ * Chunked Queue Storage
+ * A queue is a small header record under PREFIX_EMAIL_QUEUE plus recipient chunks of QUEUE_CHUNK_SIZE
+ * under PREFIX_QUEUE_CHUNK, so a sent batch only rewrites the header.
+ * A post's full article content is stored once in its own record, since the header is rewritten every batch.
+ * Progress is the header cursor - the number of chunked recipients already processed (sent or failed)
+ * Chunk entries are email addresses, or { email, name } when the subscriber has a name for merge tags.
+ * An entry erased by a data request is null - it keeps its position so the cursor stays valid
+ */
+
+export const QUEUE_VERSION = 2;
+
+function chunkKey(config, queueKey, index) {
+  return `${config.PREFIX_QUEUE_CHUNK}${queueKey.slice(config.PREFIX_EMAIL_QUEUE.length)}:${index}`;
+}
+
+function failedKey(config, queueKey) {
+  return `${config.PREFIX_QUEUE_CHUNK}${queueKey.slice(config.PREFIX_EMAIL_QUEUE.length)}:failed`;
+}
+
+function contentKey(config, queueKey) {
+  return `${config.PREFIX_QUEUE_CHUNK}${queueKey.slice(config.PREFIX_EMAIL_QUEUE.length)}:content`;
+}
+
+/**
+ * Key of a queue's template override - kept apart from the header, which the processor rewrites every batch
+ */
+export function queueTemplateKey(config, queueKey) {
+  return `${config.PREFIX_QUEUE_CHUNK}${queueKey.slice(config.PREFIX_EMAIL_QUEUE.length)}:template`;
+}
+
+/**
+ * Build the chunk entry for a subscriber record
+ */
+export function toQueueRecipient(subscriber) {
+  return subscriber.name ? { email: subscriber.email, name: subscriber.name } : subscriber.email;
+}
+
+/**
+ * Get the email address of a chunk entry
+ */
+export function recipientEmail(entry) {
+  return typeof entry === 'string' ? entry : entry.email;
+}
+
+/**
+ * Check for a queue stored in the original single-record format (subscribers and sentTo arrays)
+ */
+export function isLegacyQueue(queue) {
+  return queue.version !== QUEUE_VERSION;
+}
+
+/**
+ * Store a queue - recipient chunks first, then the header that makes it visible to the processor
+ * @param {Object} header - post or posts, type, status and timing fields
+ * @param {Array} recipients - Entries (see toQueueRecipient) still to be sent to
+ * @param {Object} progress - { sentCount, failedCount } carried over from a converted queue
+ * @returns {Object} - The stored header
+ */
+export async function createQueue(env, config, queueKey, header, recipients, progress = {}) {
+  const chunkSize = config.QUEUE_CHUNK_SIZE;
+  const chunkCount = Math.ceil(recipients.length / chunkSize);
+
+  for (let index = 0; index < chunkCount; index++) {
+    const chunk = recipients.slice(index * chunkSize, (index + 1) * chunkSize);
+    await env.KV.put(chunkKey(config, queueKey, index), JSON.stringify(chunk));
+  }
+
+  let queueHeader = header;
+  if (header.post?.content) {
+    const { content, ...post } = header.post;
+    await env.KV.put(contentKey(config, queueKey), JSON.stringify(content));
+    queueHeader = { ...header, post };
+  }
+
+  const sentCount = progress.sentCount || 0;
+  const failedCount = progress.failedCount || 0;
+  const queue = {
+    ...queueHeader,
+    version: QUEUE_VERSION,
+    total: recipients.length + sentCount + failedCount,
+    recipientCount: recipients.length,
+    chunkSize,
+    chunkCount,
+    cursor: 0,
+    sentCount,
+    failedCount
+  };
+
+  await env.KV.put(queueKey, JSON.stringify(queue));
+  return queue;
+}
+
+/**
+ * Convert a single-record queue to the chunked format, keeping its progress
+ * Recipients already sent to or marked as failed are not chunked again
+ */
+export async function upgradeLegacyQueue(env, config, queueKey, legacy) {
+  const { subscribers = [], sentTo = [], failedRecipients = [], ...header } = legacy;
+  const processed = new Set([...sentTo, ...failedRecipients]);
+  const remaining = subscribers.filter(email => !processed.has(email));
+
+  if (failedRecipients.length > 0) {
+    await env.KV.put(failedKey(config, queueKey), JSON.stringify(failedRecipients));
+  }
+
+  console.log(`Converting queue ${queueKey} to chunked storage (${remaining.length} recipients remaining)`);
+  return createQueue(env, config, queueKey, header, remaining, {
+    sentCount: sentTo.length,
+    failedCount: failedRecipients.length
+  });
+}
+
+/**
+ * Get a queue's post together with its stored article content
+ */
+export async function readQueuePost(env, config, queueKey, queue) {
+  if (!queue.post || queue.post.content) return queue.post;
+
+  const data = await env.KV.get(contentKey(config, queueKey));
+  return data ? { ...queue.post, content: JSON.parse(data) } : queue.post;
+}
+
+/**
+ * Read up to count recipients starting at the queue cursor
+ */
+export async function readRecipients(env, config, queueKey, queue, count) {
+  const end = Math.min(queue.cursor + count, queue.recipientCount);
+  const recipients = [];
+
+  for (let index = Math.floor(queue.cursor / queue.chunkSize); index * queue.chunkSize < end; index++) {
+    const data = await env.KV.get(chunkKey(config, queueKey, index));
+    if (!data) {
+      throw new Error(`Queue chunk ${index} missing for ${queueKey}`);
+    }
+
+    const start = index * queue.chunkSize;
+    recipients.push(...JSON.parse(data).slice(Math.max(0, queue.cursor - start), end - start));
+  }
+
+  return recipients;
+}
+
+/**
+ * Append recipients that could not be sent to the queue's failed record
+ * @param {Array<string>} recipients - Email addresses
+ */
+export async function recordFailedRecipients(env, config, queueKey, recipients) {
+  if (recipients.length === 0) return;
+
+  const key = failedKey(config, queueKey);
+  const existing = await env.KV.get(key);
+  const failed = existing ? JSON.parse(existing) : [];
+
+  failed.push(...recipients);
+  await env.KV.put(key, JSON.stringify(failed));
+}
+
+/**
+ * Remove an erased person from every queue's recipient chunks and failed records
+ * Chunk entries become null instead of being dropped so queue cursors keep pointing at the same recipients
+ * @param {Function} matches - (email) => true for the addresses to remove
+ * @returns {number} - Number of KV records rewritten
+ */
+export async function removeQueueRecipients(env, config, matches) {
+  let rewritten = 0;
+  let cursor = null;
+  let hasMore = true;
+
+  while (hasMore) {
+    const list = await env.KV.list({ prefix: config.PREFIX_QUEUE_CHUNK, limit: 1000, cursor });
+    if (!list || !list.keys) break;
+
+    for (const key of list.keys) {
+      if (key.name.endsWith(':template') || key.name.endsWith(':content')) continue;
+
+      const data = await env.KV.get(key.name);
+      const entries = data ? JSON.parse(data) : null;
+      if (!Array.isArray(entries)) continue;
+
+      const failed = key.name.endsWith(':failed');
+      let changed = false;
+      const kept = failed ? entries.filter(email => !matches(email)) : entries.map(entry => {
+        if (entry === null || !matches(recipientEmail(entry))) return entry;
+        changed = true;
+        return null;
+      });
+
+      if (changed || kept.length !== entries.length) {
+        await env.KV.put(key.name, JSON.stringify(kept));
+        rewritten++;
+      }
+    }
+
+    hasMore = !list.list_complete;
+    cursor = list.cursor;
+  }
+
+  return rewritten;
+}
+
+/**
+ * Delete a queue header together with its chunk, failed, content and template override records
+ */
+export async function deleteQueue(env, config, queueKey, queue) {
+  const keys = [queueKey, failedKey(config, queueKey), contentKey(config, queueKey), queueTemplateKey(config, queueKey)];
+  for (let index = 0; index < (queue.chunkCount || 0); index++) {
+    keys.push(chunkKey(config, queueKey, index));
+  }
+
+  await Promise.all(keys.map(key => env.KV.delete(key)));
+}
@@ -0,0 +1,383 @@
+/**
+ * Newsletter Preference Center Frontend Module
+ * Reached via a signed magic link - lets subscribers pick the topics they receive
+ * and whether posts arrive instantly or in a weekly digest
+ */
+
+import { getSubscriber, updateSubscriberPreferences } from '../../utils/kv.js';
+import { verifySignedToken } from '../../utils/token.js';
+import { getAvailableTopics, normalizeTopic } from '../../utils/topics.js';
+import { escapeHtml } from '../../utils/sanitize.js';
+import { DELIVERY_INSTANT, DELIVERY_WEEKLY } from '../backend/digest.js';
+
+// Upper bound on stored topics to keep subscriber records small
+const MAX_TOPICS = 50;
+
+/**
+ * Handle preference center requests
+ */
+export async function handlePreferences(request, env, config) {
+  const url = new URL(request.url);
+
+  if (url.pathname !== config.PREFERENCES_WEB_PATH) {
+    return new Response('Not Found', { status: 404 });
+  }
+
+  // Handle GET request - show preferences for the subscriber in the signed link
+  if (request.method === 'GET') {
+    return await showPreferences(url.searchParams.get('token'), env, config);
+  }
+
+  // Handle POST request - save preferences
+  if (request.method === 'POST') {
+    return await savePreferences(request, env, config);
+  }
+
+  return new Response('Method Not Allowed', { status: 405 });
+}
+
+/**
+ * Render preferences page for a verified token
+ */
+async function showPreferences(token, env, config, notice = null) {
+  const verification = await verifySignedToken(config, token, 'manage');
+  if (!verification.valid) {
+    return htmlResponse(getMessageHTML(
+      config,
+      'Link Not Valid',
+      `${verification.error}. Use the "Manage preferences" link in a recent newsletter to get a new one.`
+    ), 400);
+  }
+
+  try {
+    const subscriber = await getSubscriber(env, config, verification.email);
+    if (!subscriber) {
+      return htmlResponse(getMessageHTML(
+        config,
+        'Subscription Not Found',
+        'This address is not subscribed to the newsletter.'
+      ), 404);
+    }
+
+    const availableTopics = await getAvailableTopics(env, config);
+    return htmlResponse(getPreferencesHTML(config, token, subscriber, availableTopics, notice));
+  } catch (error) {
+    console.error('Preferences page error:', error);
+    return htmlResponse(getMessageHTML(
+      config,
+      'Something Went Wrong',
+      'We could not load your preferences. Please try again later.'
+    ), 500);
+  }
+}
+
+/**
+ * Save submitted topic and delivery preferences
+ */
+async function savePreferences(request, env, config) {
+  const contentType = request.headers.get('content-type') || '';
+  if (!contentType.includes('application/x-www-form-urlencoded') && !contentType.includes('multipart/form-data')) {
+    return new Response('Invalid content type', { status: 400 });
+  }
+
+  const formData = await request.formData();
+  const token = formData.get('token');
+
+  const verification = await verifySignedToken(config, token, 'manage');
+  if (!verification.valid) {
+    return showPreferences(token, env, config);
+  }
+
+  try {
+    const subscriber = await getSubscriber(env, config, verification.email);
+    if (!subscriber) {
+      return showPreferences(token, env, config);
+    }
+
+    // Only accept topics we know about (feed categories or already selected ones)
+    const availableTopics = await getAvailableTopics(env, config);
+    const allowed = new Map();
+    for (const topic of [...availableTopics, ...(subscriber.topics || [])]) {
+      allowed.set(normalizeTopic(topic), topic);
+    }
+
+    const selected = [];
+    for (const value of formData.getAll('topics')) {
+      const topic = allowed.get(normalizeTopic(value));
+      if (topic && !selected.includes(topic)) {
+        selected.push(topic);
+      }
+    }
+
+    const delivery = formData.get('delivery') === DELIVERY_WEEKLY ? DELIVERY_WEEKLY : DELIVERY_INSTANT;
+
+    await updateSubscriberPreferences(env, config, verification.email, {
+      topics: selected.slice(0, MAX_TOPICS),
+      delivery: delivery
+    });
+
+    const topicsMessage = selected.length > 0
+      ? 'You will only receive posts about the selected topics'
+      : 'You will receive every new post';
+    const deliveryMessage = delivery === DELIVERY_WEEKLY ? 'in a weekly digest' : 'as soon as they are published';
+
+    return showPreferences(token, env, config, {
+      type: 'success',
+      message: `Preferences saved. ${topicsMessage} ${deliveryMessage}.`
+    });
+  } catch (error) {
+    console.error('Save preferences error:', error);
+    return showPreferences(token, env, config, {
+      type: 'error',
+      message: 'We could not save your preferences. Please try again.'
+    });
+  }
+}
+
+/**
+ * Get preferences page HTML
+ */
+function getPreferencesHTML(config, token, subscriber, availableTopics, notice) {
+  const selected = new Set((subscriber.topics || []).map(normalizeTopic));
+  const weekly = subscriber.delivery === DELIVERY_WEEKLY;
+
+  // Keep previously selected topics visible even if they left the feed
+  const topics = [...availableTopics];
+  for (const topic of subscriber.topics || []) {
+    if (!topics.some(t => normalizeTopic(t) === normalizeTopic(topic))) {
+      topics.push(topic);
+    }
+  }
+
+  const topicsHtml = topics.length > 0
+    ? topics.map(topic => `
+                <label class="topic">
+                    <input type="checkbox" name="topics" value="${escapeHtml(topic)}"${selected.has(normalizeTopic(topic)) ? ' checked' : ''}>
+                    <span>${escapeHtml(topic)}</span>
+                </label>`).join('')
+    : '<p class="subtitle">No topics are available yet. You will receive every new post.</p>';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Newsletter Preferences</title>
+    <meta name="robots" content="noindex, nofollow, noarchive, nosnippet, noimageindex, nocache">
+    <style>
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+            background: #f5f5f5;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            min-height: 100vh;
+            padding: 20px;
+        }
+
+        .container {
+            background: white;
+            border-radius: 12px;
+            box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+            padding: 32px;
+            width: 100%;
+            max-width: 560px;
+        }
+
+        h2 {
+            color: #333;
+            margin-bottom: 8px;
+            font-size: 24px;
+            font-weight: 600;
+        }
+
+        .subtitle {
+            color: #666;
+            margin-bottom: 24px;
+            font-size: 14px;
+        }
+
+        .topics {
+            display: grid;
+            grid-template-columns: repeat(auto-fill, minmax(160px, 1fr));
+            gap: 10px;
+            margin-bottom: 24px;
+        }
+
+        .section-title {
+            color: #333;
+            font-size: 14px;
+            font-weight: 600;
+            margin-bottom: 10px;
+        }
+
+        .topic {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            padding: 10px 12px;
+            border: 1px solid #ddd;
+            border-radius: 8px;
+            font-size: 14px;
+            color: #555;
+            cursor: pointer;
+        }
+
+        button {
+            width: 100%;
+            padding: 12px 24px;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            border: none;
+            border-radius: 8px;
+            font-size: 16px;
+            font-weight: 600;
+            cursor: pointer;
+        }
+
+        .notice {
+            margin-bottom: 20px;
+            padding: 12px;
+            border-radius: 8px;
+            font-size: 14px;
+        }
+
+        .notice.success {
+            background: #d4edda;
+            color: #155724;
+            border: 1px solid #c3e6cb;
+        }
+
+        .notice.error {
+            background: #f8d7da;
+            color: #721c24;
+            border: 1px solid #f5c6cb;
+        }
+
+        .footer {
+            margin-top: 20px;
+            padding-top: 20px;
+            border-top: 1px solid #eee;
+            font-size: 12px;
+            color: #999;
+            text-align: center;
+        }
+
+        .footer a {
+            color: #667eea;
+            text-decoration: none;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h2>📬 Newsletter Preferences</h2>
+        <p class="subtitle">Managing preferences for ${escapeHtml(subscriber.email)}. Pick the topics you want to hear about (leave everything unchecked to receive every post) and how often you want to hear from us.</p>
+
+        ${notice ? `<div class="notice ${notice.type === 'success' ? 'success' : 'error'}">${escapeHtml(notice.message)}</div>` : ''}
+
+        <form method="POST" action="${escapeHtml(config.PREFERENCES_WEB_PATH)}">
+            <input type="hidden" name="token" value="${escapeHtml(token)}">
+            <p class="section-title">Topics</p>
+            <div class="topics">${topicsHtml}
+            </div>
+            <p class="section-title">Delivery</p>
+            <div class="topics">
+                <label class="topic">
+                    <input type="radio" name="delivery" value="${DELIVERY_INSTANT}"${weekly ? '' : ' checked'}>
+                    <span>Each new post</span>
+                </label>
+                <label class="topic">
+                    <input type="radio" name="delivery" value="${DELIVERY_WEEKLY}"${weekly ? ' checked' : ''}>
+                    <span>Weekly digest</span>
+                </label>
+            </div>
+            <button type="submit">Save Preferences</button>
+        </form>
+
+        <div class="footer">
+            Want to stop receiving emails entirely? <a href="${escapeHtml(config.UNSUBSCRIBE_WEB_PATH)}">Unsubscribe</a>
+        </div>
+    </div>
+</body>
+</html>`;
+}
+
+/**
+ * Get simple message page HTML
+ */
+function getMessageHTML(config, title, message) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+    <meta name="robots" content="noindex, nofollow, noarchive, nosnippet, noimageindex, nocache">
+    <style>
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+            background: #f5f5f5;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            min-height: 100vh;
+            margin: 0;
+            padding: 20px;
+        }
+
+        .container {
+            background: white;
+            border-radius: 12px;
+            box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+            padding: 32px;
+            width: 100%;
+            max-width: 480px;
+            text-align: center;
+        }
+
+        h2 {
+            color: #721c24;
+            margin-bottom: 12px;
+        }
+
+        p {
+            color: #666;
+            margin-bottom: 24px;
+        }
+
+        a {
+            color: #667eea;
+            text-decoration: none;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h2>⚠️ ${escapeHtml(title)}</h2>
+        <p>${escapeHtml(message)}</p>
+        <a href="${escapeHtml(config.SITE_URL || '/')}">Visit the website</a>
+    </div>
+</body>
+</html>`;
+}
+
+/**
+ * Create HTML response
+ */
+function htmlResponse(html, status = 200) {
+  return new Response(html, {
+    status,
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': 'no-store',
+      'X-Robots-Tag': 'noindex, nofollow, noarchive, nosnippet, noimageindex'
+    }
+  });
+}
@@ -2,15 +2,21 @@
  * Newsletter Subscribe Frontend Module
  */
 
-import { validateEmail, getClientIp } from '../../utils/validation.js';
-import { addSubscriber, verifyTurnstile } from '../../utils/kv.js';
+import { validateEmail, validateSubscriberProfile, getClientIp, canonicalizeEmail, EMAIL_ERRORS } from '../../utils/validation.js';
+import { checkEmailDomain, suggestDomain } from '../../utils/domainCheck.js';
+import { getDomainBlocklist } from '../../utils/domainBlocklist.js';
+import { addPendingSubscriber, confirmPendingSubscriber, verifyTurnstile } from '../../utils/kv.js';
 import { checkNativeFormRateLimit } from '../../utils/nativeRateLimit.js';
 import { replicateSubscriberToD1 } from '../../utils/d1Replication.js';
+import { createSignedToken, verifySignedToken, getWorkerBaseUrl, createManageUrl } from '../../utils/token.js';
+import { EmailFactory } from '../../email/emailFactory.js';
+import { escapeHtml } from '../../utils/sanitize.js';
 
 /**
  * Handle subscribe requests
+ * @param {Object} options - Optional { resolver } for the domain check (see checkEmailDomain)
  */
-export async function handleSubscribe(request, env, config, ctx) {
+export async function handleSubscribe(request, env, config, ctx, options = {}) {
   const url = new URL(request.url);
 
   // Handle GET request - return HTML form
@@ -24,9 +30,19 @@ export async function handleSubscribe(request, env, config, ctx) {
     });
   }
 
+  // Handle GET request - emailed link shows a confirm button (link scanners must not confirm)
+  if (request.method === 'GET' && url.pathname === config.SUBSCRIBE_CONFIRM_PATH) {
+    return await showConfirmation(url.searchParams.get('token'), config);
+  }
+
+  // Handle POST request - confirm subscription from the button
+  if (request.method === 'POST' && url.pathname === config.SUBSCRIBE_CONFIRM_PATH) {
+    return await processConfirmation(request, env, config, ctx);
+  }
+
   // Handle POST request - process subscription
   if (request.method === 'POST' && url.pathname === config.SUBSCRIBE_API_PATH) {
-    return await processSubscription(request, env, config, ctx);
+    return await processSubscription(request, env, config, ctx, options);
   }
 
   // Handle OPTIONS request - CORS preflight
@@ -42,7 +58,13 @@ export async function handleSubscribe(request, env, config, ctx) {
 /**
  * Process subscription request
  */
-async function processSubscription(request, env, config, ctx) {
+async function processSubscription(request, env, config, ctx, options = {}) {
+  // Double opt-in needs signed confirmation links
+  if (!config.SIGNING_SECRET) {
+    console.error('SIGNING_SECRET is not configured - subscriptions are disabled');
+    return jsonResponse({ error: 'Subscriptions are not available right now. Please try again later.' }, 503, config);
+  }
+
   try {
     // Parse request
     const contentType = request.headers.get('content-type') || '';
@@ -58,13 +80,22 @@ async function processSubscription(request, env, config, ctx) {
     }
 
     // Validate email
-    const emailValidation = validateEmail(data.email);
+    const emailValidation = validateEmail(data.email, config, await getDomainBlocklist(env, config));
     if (!emailValidation.valid) {
-      return jsonResponse({ error: emailValidation.error }, 400, config);
+      return jsonResponse({ error: emailValidation.error, code: emailValidation.code }, 400, config);
     }
 
     const email = emailValidation.email;
 
+    // Optional profile and attribution fields
+    const profileValidation = validateSubscriberProfile(data, {
+      source: 'subscribe-form',
+      acceptLanguage: request.headers.get('accept-language')
+    });
+    if (!profileValidation.valid) {
+      return jsonResponse({ error: profileValidation.error }, 400, config);
+    }
+
     // Check native rate limit for forms (already checked in protection.js, but double-check here)
     const nativeCheck = await checkNativeFormRateLimit(request, env, 'subscribe');
     if (!nativeCheck.allowed) {
@@ -90,41 +121,67 @@ async function processSubscription(request, env, config, ctx) {
       }
     }
 
-    // Add subscriber with IP address - wrapped in try-catch for resilience
-    let subscribed = false;
-    let alreadySubscribed = false;
-
-    try {
-      const result = await addSubscriber(env, config, email, clientIp);
-      subscribed = result.success;
-      alreadySubscribed = !result.success && result.message === 'Already subscribed';
-    } catch (error) {
-      console.error('KV subscription error:', error);
-      // Check if it's because they're already subscribed
-      try {
-        const existing = await env.KV.get(`${config.PREFIX_SUBSCRIBER}${email}`);
-        alreadySubscribed = !!existing;
-      } catch (e) {
-        console.error('KV check error:', e);
+    // Reject domains without a mail server before sending a confirmation that would bounce
+    if (config.DOMAIN_CHECK_ENABLED) {
+      const at = email.lastIndexOf('@');
+      const domain = email.slice(at + 1);
+      const domainCheck = await checkEmailDomain(env, config, domain, options.resolver);
+
+      if (domainCheck.deliverable === false) {
+        const suggestedDomain = suggestDomain(domain);
+        const suggestion = suggestedDomain ? `${email.slice(0, at)}@${suggestedDomain}` : null;
+        return jsonResponse({
+          error: suggestion
+            ? `${EMAIL_ERRORS.undeliverable_domain}. Did you mean ${suggestion}?`
+            : EMAIL_ERRORS.undeliverable_domain,
+          code: 'undeliverable_domain',
+          suggestion
+        }, 400, config);
       }
     }
 
-    // Replicate to D1 (async, non-blocking) - wrapped in try-catch
+    // Store pending subscription - the address only becomes a subscriber after confirmation
+    let pending = false;
+    let alreadySubscribed = false;
+    let blocked = false;
+
     try {
-      replicateSubscriberToD1(env, ctx, email, clientIp, new Date().toISOString());
+      const result = await addPendingSubscriber(env, config, email, clientIp, profileValidation.profile);
+      pending = result.success;
+      alreadySubscribed = !result.success && result.message === 'Already subscribed';
+      blocked = !result.success && result.message === 'Address is blocked';
     } catch (error) {
-      console.error('D1 replication error (non-blocking):', error);
+      console.error('KV pending subscription error:', error);
     }
 
-    // Always return success message appropriate to the situation
     if (alreadySubscribed) {
       return jsonResponse({
         message: 'You are already subscribed to our newsletter!'
       }, 200, config);
     }
 
+    if (blocked) {
+      return jsonResponse({ error: 'This address cannot be subscribed.' }, 403, config);
+    }
+
+    if (!pending) {
+      return jsonResponse({ error: 'Could not process your subscription. Please try again later.' }, 500, config);
+    }
+
+    // Send confirmation email with a signed link
+    try {
+      const sendResult = await sendConfirmationEmail(request, env, config, email);
+      if (!sendResult.success) {
+        console.error('Failed to send confirmation email:', sendResult.error);
+        return jsonResponse({ error: 'Could not send the confirmation email. Please try again later.' }, 500, config);
+      }
+    } catch (error) {
+      console.error('Confirmation email error:', error);
+      return jsonResponse({ error: 'Could not send the confirmation email. Please try again later.' }, 500, config);
+    }
+
     return jsonResponse({
-      message: 'Successfully subscribed! You will receive the next newsletter update.'
+      message: 'Almost done! Please check your inbox and click the link to confirm your subscription.'
     }, 200, config);
 
   } catch (error) {
@@ -137,6 +194,241 @@ async function processSubscription(request, env, config, ctx) {
   }
 }
 
+/**
+ * Send the double opt-in confirmation email with a signed link
+ * Used by the subscribe form and by the contact form when a suppressed address asks to re-subscribe
+ */
+export async function sendConfirmationEmail(request, env, config, email) {
+  const token = await createSignedToken(config, email, 'confirm', config.TTL_PENDING_SUBSCRIBER);
+  const confirmUrl = `${getWorkerBaseUrl(config, request)}${config.SUBSCRIBE_CONFIRM_PATH}?token=${encodeURIComponent(token)}`;
+
+  return await EmailFactory.sendSubscriptionConfirmation(config, env, { email, confirmUrl });
+}
+
+/**
+ * Render the confirm button for an emailed link
+ * Opening the link changes nothing, so mail scanners that prefetch links cannot confirm
+ */
+async function showConfirmation(token, config) {
+  const verification = await verifySignedToken(config, token, 'confirm');
+  if (!verification.valid) {
+    return htmlResponse(getConfirmationResultHTML(
+      config,
+      'Confirmation Failed',
+      `${verification.error}. Please subscribe again to receive a new confirmation link.`,
+      false
+    ), 400);
+  }
+
+  return htmlResponse(getConfirmationPromptHTML(config, token, verification.email));
+}
+
+/**
+ * Process confirmation - promote pending subscription to active subscriber
+ */
+async function processConfirmation(request, env, config, ctx) {
+  const contentType = request.headers.get('content-type') || '';
+  if (!contentType.includes('application/x-www-form-urlencoded') && !contentType.includes('multipart/form-data')) {
+    return new Response('Invalid content type', { status: 400 });
+  }
+
+  const formData = await request.formData();
+  const token = formData.get('token');
+
+  const verification = await verifySignedToken(config, token, 'confirm');
+  if (!verification.valid) {
+    return showConfirmation(token, config);
+  }
+
+  const email = verification.email;
+
+  try {
+    const result = await confirmPendingSubscriber(env, config, email, ctx);
+
+    if (!result.success) {
+      if (result.message === 'Address is blocked') {
+        return htmlResponse(getConfirmationResultHTML(
+          config,
+          'Confirmation Failed',
+          'This address cannot be subscribed to the newsletter.',
+          false
+        ), 403);
+      }
+
+      if (result.message === 'Already subscribed') {
+        return htmlResponse(getConfirmationResultHTML(
+          config,
+          'Already Confirmed',
+          'Your subscription is already active. You will receive the next newsletter update.',
+          true
+        ));
+      }
+
+      return htmlResponse(getConfirmationResultHTML(
+        config,
+        'Confirmation Failed',
+        `${result.message}. Please subscribe again to receive a new confirmation link.`,
+        false
+      ), 400);
+    }
+
+    // Replicate confirmed subscriber to D1 (async, non-blocking) - wrapped in try-catch
+    try {
+      replicateSubscriberToD1(env, ctx, email, result.ipAddress, new Date().toISOString(), result.profile,
+        canonicalizeEmail(email, config));
+    } catch (error) {
+      console.error('D1 replication error (non-blocking):', error);
+    }
+
+    const manageUrl = await createManageUrl(config, email, request);
+
+    return htmlResponse(getConfirmationResultHTML(
+      config,
+      'Subscription Confirmed',
+      'Thank you! Your subscription is now active. You will receive the next newsletter update.',
+      true,
+      manageUrl
+    ));
+  } catch (error) {
+    console.error('Subscription confirmation error:', error);
+    return htmlResponse(getConfirmationResultHTML(
+      config,
+      'Something Went Wrong',
+      'We could not confirm your subscription. Please try the link again later.',
+      false
+    ), 500);
+  }
+}
+
+/**
+ * Get confirmation prompt HTML - the button posts the token back to the confirm path
+ */
+function getConfirmationPromptHTML(config, token, email) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Confirm Your Subscription</title>
+    <meta name="robots" content="noindex, nofollow, noarchive, nosnippet, noimageindex, nocache">
+    <style>
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+            background: #f5f5f5;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            min-height: 100vh;
+            margin: 0;
+            padding: 20px;
+        }
+
+        .container {
+            background: white;
+            border-radius: 12px;
+            box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+            padding: 32px;
+            width: 100%;
+            max-width: 480px;
+            text-align: center;
+        }
+
+        h2 {
+            color: #333;
+            margin-bottom: 12px;
+        }
+
+        p {
+            color: #666;
+            margin-bottom: 24px;
+        }
+
+        button {
+            width: 100%;
+            padding: 12px 24px;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            border: none;
+            border-radius: 8px;
+            font-size: 16px;
+            font-weight: 600;
+            cursor: pointer;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h2>📬 Confirm Your Subscription</h2>
+        <p>Subscribe ${escapeHtml(email)} to the newsletter?</p>
+        <form method="POST" action="${escapeHtml(config.SUBSCRIBE_CONFIRM_PATH)}">
+            <input type="hidden" name="token" value="${escapeHtml(token)}">
+            <button type="submit">Confirm Subscription</button>
+        </form>
+    </div>
+</body>
+</html>`;
+}
+
+/**
+ * Get confirmation result HTML
+ */
+function getConfirmationResultHTML(config, title, message, success, manageUrl = null) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+    <meta name="robots" content="noindex, nofollow, noarchive, nosnippet, noimageindex, nocache">
+    <style>
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+            background: #f5f5f5;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            min-height: 100vh;
+            margin: 0;
+            padding: 20px;
+        }
+
+        .container {
+            background: white;
+            border-radius: 12px;
+            box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+            padding: 32px;
+            width: 100%;
+            max-width: 480px;
+            text-align: center;
+        }
+
+        h2 {
+            color: ${success ? '#155724' : '#721c24'};
+            margin-bottom: 12px;
+        }
+
+        p {
+            color: #666;
+            margin-bottom: 24px;
+        }
+
+        a {
+            color: #667eea;
+            text-decoration: none;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h2>${success ? '✅' : '⚠️'} ${escapeHtml(title)}</h2>
+        <p>${escapeHtml(message)}</p>
+        ${manageUrl ? `<p><a href="${escapeHtml(manageUrl)}">Choose the topics you want to receive</a></p>` : ''}
+        <a href="${escapeHtml(config.SITE_URL || '/')}">Visit the website</a>
+    </div>
+</body>
+</html>`;
+}
+
 /**
  * Get subscribe form HTML
  */
@@ -303,7 +595,7 @@ function getSubscribeFormHTML(config) {
         <h2>📬 Get New Posts in Your Inbox</h2>
         <p class="subtitle">Get the latest updates delivered directly to your inbox</p>
 
-        <form id="subscribeForm">
+        <form id="subscribeForm" novalidate>
             <div class="form-group">
                 <label for="email">Email Address</label>
                 <input
@@ -331,12 +623,32 @@ function getSubscribeFormHTML(config) {
 
         <div class="privacy">
             By subscribing, you agree to receive newsletter emails.
+            We'll send you a link to confirm your address first.
             You can unsubscribe at any time.
         </div>
     </div>
 
     <script>
         const form = document.getElementById('subscribeForm');
+
+        // Attribution: UTM tags from this page's URL or the embedding page, plus locale and referrer
+        function getAttribution() {
+            const params = new URLSearchParams(window.location.search);
+            let parentParams = new URLSearchParams();
+            try {
+                parentParams = new URL(document.referrer).searchParams;
+            } catch (e) {}
+
+            const attribution = {
+                locale: navigator.language || '',
+                referrer: document.referrer || ''
+            };
+            ['source', 'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'].forEach(name => {
+                const value = params.get(name) || parentParams.get(name);
+                if (value) attribution[name] = value;
+            });
+            return attribution;
+        }
         const submitBtn = document.getElementById('submitBtn');
         const notice = document.getElementById('notice');
         const emailInput = document.getElementById('email');
@@ -359,7 +671,8 @@ function getSubscribeFormHTML(config) {
                     },
                     body: JSON.stringify({
                         email: emailInput.value,
-                        turnstileToken: turnstileResponse ? turnstileResponse.value : ''
+                        turnstileToken: turnstileResponse ? turnstileResponse.value : '',
+                        ...getAttribution()
                     })
                 });
 
@@ -427,6 +740,20 @@ function getCORSHeaders(config) {
   };
 }
 
+/**
+ * Create HTML response
+ */
+function htmlResponse(html, status = 200) {
+  return new Response(html, {
+    status,
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': 'no-store',
+      'X-Robots-Tag': 'noindex, nofollow, noarchive, nosnippet, noimageindex'
+    }
+  });
+}
+
 /**
  * Create JSON response
  */
@@ -5,11 +5,13 @@
 import { validateEmail, getClientIp } from '../../utils/validation.js';
 import { removeSubscriber, verifyTurnstile } from '../../utils/kv.js';
 import { checkNativeFormRateLimit } from '../../utils/nativeRateLimit.js';
+import { verifySignedToken } from '../../utils/token.js';
+import { escapeHtml } from '../../utils/sanitize.js';
 
 /**
  * Handle unsubscribe requests
  */
-export async function handleUnsubscribe(request, env, config) {
+export async function handleUnsubscribe(request, env, config, ctx) {
   const url = new URL(request.url);
 
   // Handle GET request - return HTML form
@@ -23,9 +25,14 @@ export async function handleUnsubscribe(request, env, config) {
     });
   }
 
+  // Handle GET request - signed newsletter link shows a confirm button (link scanners must not unsubscribe)
+  if (request.method === 'GET' && url.pathname === config.UNSUBSCRIBE_LINK_PATH) {
+    return await showLinkUnsubscription(url.searchParams.get('token'), config);
+  }
+
   // Handle POST request - process unsubscription
   if (request.method === 'POST' && url.pathname === config.UNSUBSCRIBE_API_PATH) {
-    return await processUnsubscription(request, env, config);
+    return await processUnsubscription(request, env, config, ctx);
   }
 
   // Handle OPTIONS request - CORS preflight
@@ -38,10 +45,81 @@ export async function handleUnsubscribe(request, env, config) {
   return new Response('Not Found', { status: 404 });
 }
 
+/**
+ * Handle RFC 8058 one-click unsubscribe requests
+ * Mailbox providers (Gmail, Yahoo) POST "List-Unsubscribe=One-Click" to the List-Unsubscribe URL.
+ * The signed token in the URL identifies the recipient, so no Turnstile is involved.
+ * The confirm button of the link page posts to the same URL with only the token.
+ */
+export async function handleOneClickUnsubscribe(request, env, config, ctx) {
+  if (request.method !== 'POST') {
+    return new Response('Method Not Allowed', {
+      status: 405,
+      headers: { 'Allow': 'POST', 'Content-Type': 'text/plain' }
+    });
+  }
+
+  try {
+    const url = new URL(request.url);
+    const contentType = request.headers.get('content-type') || '';
+    let data = {};
+
+    if (contentType.includes('application/x-www-form-urlencoded') || contentType.includes('multipart/form-data')) {
+      const formData = await request.formData();
+      data = Object.fromEntries(formData);
+    } else {
+      // Some senders omit the content type - parse the raw body as a form
+      data = Object.fromEntries(new URLSearchParams(await request.text()));
+    }
+
+    // Confirm button of the link page - answer with a page instead of plain text
+    if (data['List-Unsubscribe'] !== 'One-Click' && data.token) {
+      return await processLinkUnsubscription(data.token, env, config, ctx);
+    }
+
+    if (data['List-Unsubscribe'] !== 'One-Click') {
+      return new Response('Invalid one-click unsubscribe request', {
+        status: 400,
+        headers: { 'Content-Type': 'text/plain' }
+      });
+    }
+
+    const token = url.searchParams.get('token') || data.token;
+    const verification = await verifySignedToken(config, token, 'unsubscribe');
+    if (!verification.valid) {
+      return new Response(verification.error || 'Invalid token', {
+        status: 400,
+        headers: { 'Content-Type': 'text/plain' }
+      });
+    }
+
+    const result = await removeSubscriber(env, config, verification.email, { source: 'one-click', ctx });
+
+    // An address that is no longer on the list is already unsubscribed
+    if (!result.success && result.message !== 'Email not found') {
+      throw new Error(result.message);
+    }
+
+    return new Response('Unsubscribed', {
+      status: 200,
+      headers: {
+        'Content-Type': 'text/plain',
+        'Cache-Control': 'no-store'
+      }
+    });
+  } catch (error) {
+    console.error('One-click unsubscription error:', error);
+    return new Response('An error occurred. Please try again.', {
+      status: 500,
+      headers: { 'Content-Type': 'text/plain' }
+    });
+  }
+}
+
 /**
  * Process unsubscription request
  */
-async function processUnsubscription(request, env, config) {
+async function processUnsubscription(request, env, config, ctx) {
   try {
     // Parse request
     const contentType = request.headers.get('content-type') || '';
@@ -56,13 +134,13 @@ async function processUnsubscription(request, env, config) {
       return jsonResponse({ error: 'Invalid content type' }, 400, config);
     }
 
-    // Validate email
-    const emailValidation = validateEmail(data.email);
-    if (!emailValidation.valid) {
-      return jsonResponse({ error: emailValidation.error }, 400, config);
+    // Subscribers may predate the current domain rules (blocklist), so only the format is checked here
+    const emailValidation = validateEmail(data.email, config);
+    if (!emailValidation.valid && !['disposable_domain', 'invalid_domain'].includes(emailValidation.code)) {
+      return jsonResponse({ error: emailValidation.error, code: emailValidation.code }, 400, config);
     }
 
-    const email = emailValidation.email;
+    const email = emailValidation.valid ? emailValidation.email : String(data.email).trim().toLowerCase();
 
     // Check native rate limit for forms (already checked in protection.js, but double-check here)
     const nativeCheck = await checkNativeFormRateLimit(request, env, 'unsubscribe');
@@ -90,7 +168,7 @@ async function processUnsubscription(request, env, config) {
     }
 
     // Remove subscriber
-    const result = await removeSubscriber(env, config, email);
+    const result = await removeSubscriber(env, config, email, { source: 'form', ctx });
 
     if (!result.success) {
       return jsonResponse({
@@ -108,6 +186,189 @@ async function processUnsubscription(request, env, config) {
   }
 }
 
+/**
+ * Render the confirm button for a signed per-subscriber link
+ * Opening the link changes nothing, so mail scanners that prefetch links cannot unsubscribe (RFC 8058)
+ */
+async function showLinkUnsubscription(token, config) {
+  const verification = await verifySignedToken(config, token, 'unsubscribe');
+  if (!verification.valid) {
+    return htmlResponse(getUnsubscribeResultHTML(
+      config,
+      'Link Not Valid',
+      `${verification.error}. You can still unsubscribe using the form.`,
+      false
+    ), 400);
+  }
+
+  return htmlResponse(getUnsubscribePromptHTML(config, token, verification.email));
+}
+
+/**
+ * Process unsubscription from the confirm button of a signed per-subscriber link
+ * The HMAC signature proves the link was issued for this address, so no Turnstile is needed
+ */
+async function processLinkUnsubscription(token, env, config, ctx) {
+  const verification = await verifySignedToken(config, token, 'unsubscribe');
+  if (!verification.valid) {
+    return showLinkUnsubscription(token, config);
+  }
+
+  try {
+    const result = await removeSubscriber(env, config, verification.email, { source: 'link', ctx });
+
+    // An address that is no longer on the list is already unsubscribed
+    if (!result.success && result.message !== 'Email not found') {
+      throw new Error(result.message);
+    }
+
+    return htmlResponse(getUnsubscribeResultHTML(
+      config,
+      'You Have Been Unsubscribed',
+      'You will no longer receive newsletter updates.',
+      true
+    ));
+  } catch (error) {
+    console.error('Link unsubscription error:', error);
+    return htmlResponse(getUnsubscribeResultHTML(
+      config,
+      'Something Went Wrong',
+      'We could not process your request. Please try the link again later.',
+      false
+    ), 500);
+  }
+}
+
+/**
+ * Get unsubscribe prompt HTML - the button posts the token back to the link path
+ */
+function getUnsubscribePromptHTML(config, token, email) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Unsubscribe from Newsletter</title>
+    <meta name="robots" content="noindex, nofollow, noarchive, nosnippet, noimageindex, nocache">
+    <style>
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+            background: #f5f5f5;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            min-height: 100vh;
+            margin: 0;
+            padding: 20px;
+        }
+
+        .container {
+            background: white;
+            border-radius: 12px;
+            box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+            padding: 32px;
+            width: 100%;
+            max-width: 480px;
+            text-align: center;
+        }
+
+        h2 {
+            color: #333;
+            margin-bottom: 12px;
+        }
+
+        p {
+            color: #666;
+            margin-bottom: 24px;
+        }
+
+        button {
+            width: 100%;
+            padding: 12px 24px;
+            background: linear-gradient(135deg, #dc3545 0%, #c82333 100%);
+            color: white;
+            border: none;
+            border-radius: 8px;
+            font-size: 16px;
+            font-weight: 600;
+            cursor: pointer;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h2>😔 Unsubscribe from Newsletter</h2>
+        <p>Stop sending newsletter updates to ${escapeHtml(email)}?</p>
+        <form method="POST" action="${escapeHtml(config.UNSUBSCRIBE_LINK_PATH)}">
+            <input type="hidden" name="token" value="${escapeHtml(token)}">
+            <button type="submit">Unsubscribe</button>
+        </form>
+    </div>
+</body>
+</html>`;
+}
+
+/**
+ * Get unsubscribe result HTML
+ */
+function getUnsubscribeResultHTML(config, title, message, success) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+    <meta name="robots" content="noindex, nofollow, noarchive, nosnippet, noimageindex, nocache">
+    <style>
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+            background: #f5f5f5;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            min-height: 100vh;
+            margin: 0;
+            padding: 20px;
+        }
+
+        .container {
+            background: white;
+            border-radius: 12px;
+            box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+            padding: 32px;
+            width: 100%;
+            max-width: 480px;
+            text-align: center;
+        }
+
+        h2 {
+            color: ${success ? '#155724' : '#721c24'};
+            margin-bottom: 12px;
+        }
+
+        p {
+            color: #666;
+            margin-bottom: 24px;
+        }
+
+        a {
+            color: #667eea;
+            text-decoration: none;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h2>${success ? '👋' : '⚠️'} ${escapeHtml(title)}</h2>
+        <p>${escapeHtml(message)}</p>
+        ${success
+          ? `<a href="${escapeHtml(config.SUBSCRIBE_WEB_PATH)}">Changed your mind? Subscribe again</a>`
+          : `<a href="${escapeHtml(config.UNSUBSCRIBE_WEB_PATH)}">Go to the unsubscribe form</a>`}
+    </div>
+</body>
+</html>`;
+}
+
 /**
  * Get unsubscribe form HTML
  */
@@ -292,7 +553,7 @@ function getUnsubscribeFormHTML(config) {
             You can always subscribe again later if you change your mind.
         </div>
 
-        <form id="unsubscribeForm">
+        <form id="unsubscribeForm" novalidate>
             <div class="form-group">
                 <label for="email">Email Address</label>
                 <input
@@ -427,6 +688,20 @@ function getCORSHeaders(config) {
   };
 }
 
+/**
+ * Create HTML response
+ */
+function htmlResponse(html, status = 200) {
+  return new Response(html, {
+    status,
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': 'no-store',
+      'X-Robots-Tag': 'noindex, nofollow, noarchive, nosnippet, noimageindex'
+    }
+  });
+}
+
 /**
  * Create JSON response
  */
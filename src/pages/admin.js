@@ -3,6 +3,9 @@
  * Requires Turnstile verification and can be further protected with Cloudflare Zero Trust
  */
 
+import { renderTemplateSource, STARTER_TEMPLATE } from '../email/templates.js';
+import { createAdminSession, hasAdminSession } from '../utils/adminSession.js';
+
 /**
  * Render the admin panel page with Turnstile protection
  */
@@ -163,6 +166,90 @@ export function renderAdminPanel(config, isAuthenticated = false) {
             background: #e0a800;
         }
 
+        .blocklist-editor textarea {
+            width: 100%;
+            height: 320px;
+            padding: 10px;
+            margin: 10px 0;
+            border: 1px solid #ddd;
+            border-radius: 6px;
+            font-family: 'Courier New', Courier, monospace;
+            font-size: 13px;
+        }
+
+        .blocklist-editor .status {
+            color: #666;
+            font-size: 14px;
+        }
+
+        .template-editor input[type="text"],
+        .template-editor select {
+            padding: 8px 10px;
+            border: 1px solid #ddd;
+            border-radius: 6px;
+            font-size: 14px;
+        }
+
+        .template-editor #template-subject {
+            width: 100%;
+            margin: 10px 0;
+        }
+
+        .template-editor .template-toolbar {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 10px;
+            margin: 10px 0;
+        }
+
+        .template-editor .template-columns {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(400px, 1fr));
+            gap: 20px;
+        }
+
+        .template-editor label {
+            display: block;
+            color: #666;
+            font-size: 13px;
+        }
+
+        .template-editor textarea {
+            width: 100%;
+            height: 260px;
+            padding: 10px;
+            margin: 5px 0 10px;
+            border: 1px solid #ddd;
+            border-radius: 6px;
+            font-family: 'Courier New', Courier, monospace;
+            font-size: 13px;
+        }
+
+        .template-editor iframe {
+            width: 100%;
+            height: 420px;
+            margin: 5px 0 10px;
+            border: 1px solid #ddd;
+            border-radius: 6px;
+            background: white;
+        }
+
+        .template-editor pre {
+            max-height: 200px;
+            overflow: auto;
+            padding: 10px;
+            background: #f8f9fa;
+            border-radius: 6px;
+            font-size: 13px;
+            white-space: pre-wrap;
+        }
+
+        .template-editor .status {
+            color: #666;
+            font-size: 14px;
+        }
+
         .footer {
             text-align: center;
             padding: 20px;
@@ -223,12 +310,135 @@ export function renderAdminPanel(config, isAuthenticated = false) {
                     <div class="endpoint">POST /admin/api/check-now</div>
                 </div>
 
+                <div class="admin-card" onclick="(function() {
+                    const email = prompt('Email address to block or unblock:');
+                    if (!email) return;
+                    const action = confirm('OK to BLOCK ' + email + ', Cancel to UNBLOCK') ? 'block' : 'unblock';
+                    fetch('/admin/api/suppression', {
+                        method: 'POST',
+                        credentials: 'same-origin',
+                        headers: {'Content-Type': 'application/json'},
+                        body: JSON.stringify({email: email, action: action})
+                    })
+                        .then(r => r.json())
+                        .then(d => alert(d.message || d.error))
+                        .catch(e => alert('Error: ' + e));
+                })()">
+                    <div class="icon">🚫</div>
+                    <h3>Block Address</h3>
+                    <p>Add or remove an admin block on the suppression list</p>
+                    <div class="endpoint">POST /admin/api/suppression</div>
+                </div>
+
+                <div class="admin-card" onclick="document.getElementById('import-file').click()">
+                    <div class="icon">📥</div>
+                    <h3>Import Subscribers</h3>
+                    <p>Upload a CSV with an email column and download the per-row report</p>
+                    <div class="endpoint">POST /admin/api/import</div>
+                    <input type="file" id="import-file" accept=".csv,text/csv" style="display: none;"
+                        onclick="event.stopPropagation()" onchange="importSubscribers(this)">
+                </div>
+
+                <div class="admin-card" onclick="(function() {
+                    const type = prompt('Record types (comma-separated, empty for all): subscriber, pending, contact, suppression, queue, sent, sent_url', 'subscriber');
+                    if (type === null) return;
+                    const range = prompt('Date range as YYYY-MM-DD..YYYY-MM-DD (empty for all dates):', '');
+                    if (range === null) return;
+                    const format = confirm('OK for CSV, Cancel for JSON Lines') ? 'csv' : 'jsonl';
+                    const [from, to] = range.split('..').map(d => d.trim());
+                    const params = new URLSearchParams({ format: format });
+                    if (type.trim()) params.set('type', type.replace(/\\s+/g, ''));
+                    if (from) params.set('from', from);
+                    if (to) params.set('to', to);
+                    exportData(params, format);
+                })()">
+                    <div class="icon">📤</div>
+                    <h3>Export Data</h3>
+                    <p>Download subscribers, contacts and other records as CSV or JSON Lines</p>
+                    <div class="endpoint">GET /admin/api/export</div>
+                </div>
+
+                <div class="admin-card" onclick="migrateRoster()">
+                    <div class="icon">🗂️</div>
+                    <h3>Migrate Subscriber Roster</h3>
+                    <p>Add roster metadata and canonical keys to subscribers, suppressions and contacts stored before the upgrade (run once)</p>
+                    <div class="endpoint">POST /admin/api/migrate-roster</div>
+                </div>
+
+                <div class="admin-card" onclick="openBlocklist()">
+                    <div class="icon">🧱</div>
+                    <h3>Disposable Domain Blocklist</h3>
+                    <p>Edit or bulk-upload the domains that cannot subscribe or use the contact form</p>
+                    <div class="endpoint">GET / POST /admin/api/blocklist</div>
+                </div>
+
+                <div class="admin-card" onclick="openTemplates()">
+                    <div class="icon">🎨</div>
+                    <h3>Newsletter Templates</h3>
+                    <p>Edit the email layouts, preview them with feed posts and choose one per feed, digest or queued send</p>
+                    <div class="endpoint">GET / POST /admin/api/templates</div>
+                </div>
+
             </div>
 
             <!-- Data is automatically stored in D1 database and TTL handles cleanup automatically -->
             <!-- Data Management section removed as backups and cleanup are now automatic -->
         </div>
 
+        <div class="admin-section blocklist-editor" id="blocklist-editor" style="display: none; margin-bottom: 30px;">
+            <h2>🧱 Disposable Domain Blocklist</h2>
+            <p class="status" id="blocklist-status"></p>
+            <textarea id="blocklist-domains" spellcheck="false"
+                placeholder="One domain per line - *.example.com blocks every subdomain, # starts a comment"></textarea>
+            <button class="btn" onclick="saveBlocklist()">Save</button>
+            <button class="btn btn-warning" onclick="document.getElementById('blocklist-file').click()">Add From File</button>
+            <input type="file" id="blocklist-file" accept=".txt,.csv,text/plain,text/csv" style="display: none;"
+                onchange="addBlocklistFile(this)">
+        </div>
+
+        <div class="admin-section template-editor" id="template-editor" style="display: none; margin-bottom: 30px;">
+            <h2>🎨 Newsletter Templates</h2>
+            <p class="status" id="template-status"></p>
+            <div class="template-toolbar">
+                <select id="template-select" onchange="loadTemplate(this.value)"></select>
+                <input type="text" id="template-name" placeholder="template-name" maxlength="40">
+                <button class="btn" onclick="saveTemplate()">Save</button>
+                <button class="btn btn-danger" onclick="deleteTemplate()">Delete</button>
+            </div>
+            <input type="text" id="template-subject" placeholder="Subject - empty for the built-in subject" oninput="schedulePreview()">
+            <div class="template-columns">
+                <div>
+                    <label for="template-html">HTML</label>
+                    <textarea id="template-html" spellcheck="false" oninput="schedulePreview()"></textarea>
+                    <label for="template-text">Text - empty for the built-in text version</label>
+                    <textarea id="template-text" spellcheck="false" oninput="schedulePreview()"></textarea>
+                </div>
+                <div>
+                    <label for="template-preview-item">Preview with</label>
+                    <select id="template-preview-item" onchange="updatePreview()"></select>
+                    <p class="status" id="template-preview-subject"></p>
+                    <iframe id="template-preview" sandbox="" title="Template preview"></iframe>
+                    <pre id="template-preview-text"></pre>
+                </div>
+            </div>
+            <div class="template-toolbar">
+                <label for="template-assign-template">Use</label>
+                <select id="template-assign-template"></select>
+                <label for="template-assign-target">for</label>
+                <select id="template-assign-target"></select>
+                <button class="btn btn-warning" onclick="assignTemplate()">Assign</button>
+            </div>
+            <div class="template-toolbar">
+                <label for="template-content-mode">Feed posts carry</label>
+                <select id="template-content-mode">
+                    <option value="excerpt">the excerpt and a link</option>
+                    <option value="full">the full article</option>
+                </select>
+                <button class="btn btn-warning" onclick="setContentMode()">Save</button>
+            </div>
+            <p class="status" id="template-assignments"></p>
+        </div>
+
         <div class="admin-section" style="text-align: center;">
             <a href="/" class="btn">← Back to Home</a>
         </div>
@@ -238,6 +448,388 @@ export function renderAdminPanel(config, isAuthenticated = false) {
             <p><a href="${config.GITHUB_REPO_URL}" target="_blank">Documentation</a></p>
         </div>
     </div>
+
+    <script>
+        // Admin API is rate limited - wait for Retry-After and repeat the request a few times,
+        // then return the 429 so the caller reports it
+        const ADMIN_FETCH_RETRIES = 3;
+
+        async function adminFetch(url, options) {
+            for (let attempt = 0; ; attempt++) {
+                const response = await fetch(url, Object.assign({ credentials: 'same-origin' }, options));
+                if (response.status !== 429 || attempt >= ADMIN_FETCH_RETRIES) return response;
+
+                const wait = parseInt(response.headers.get('Retry-After'), 10) || 60;
+                await new Promise(resolve => setTimeout(resolve, wait * 1000));
+            }
+        }
+
+        async function openBlocklist() {
+            const editor = document.getElementById('blocklist-editor');
+            const status = document.getElementById('blocklist-status');
+            editor.style.display = 'block';
+            editor.scrollIntoView({ behavior: 'smooth' });
+            status.textContent = 'Loading...';
+
+            try {
+                const response = await adminFetch('/admin/api/blocklist');
+                const data = await response.json();
+                if (!response.ok) throw new Error(data.error || 'HTTP ' + response.status);
+
+                document.getElementById('blocklist-domains').value = data.domains.join('\\n');
+                status.textContent = data.count + ' domains' +
+                    (data.updatedAt ? ', last saved ' + new Date(data.updatedAt).toLocaleString() : '') +
+                    ' (built-in and DISPOSABLE_DOMAINS entries always apply)';
+            } catch (e) {
+                status.textContent = 'Could not load the blocklist: ' + e.message;
+            }
+        }
+
+        // Merge a local file into the editor - nothing is stored until Save
+        async function addBlocklistFile(input) {
+            const file = input.files[0];
+            input.value = '';
+            if (!file) return;
+
+            const textarea = document.getElementById('blocklist-domains');
+            const text = await file.text();
+            textarea.value = textarea.value.trim() ? textarea.value.trim() + '\\n' + text : text;
+            document.getElementById('blocklist-status').textContent = 'Added ' + file.name + ' - review and Save';
+        }
+
+        async function saveBlocklist() {
+            const status = document.getElementById('blocklist-status');
+            status.textContent = 'Saving...';
+
+            try {
+                const response = await adminFetch('/admin/api/blocklist?mode=replace', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'text/plain' },
+                    body: document.getElementById('blocklist-domains').value
+                });
+                const data = await response.json();
+                if (!response.ok || !data.success) throw new Error(data.error || data.message || 'HTTP ' + response.status);
+
+                status.textContent = data.message + (data.rejectedCount
+                    ? ' - ' + data.rejectedCount + ' entries skipped: ' + data.rejected.slice(0, 10).join(', ')
+                    : '');
+            } catch (e) {
+                status.textContent = 'Could not save the blocklist: ' + e.message;
+            }
+        }
+
+        // Same renderer as the worker (templates.js) - bundlers that keep function names add __name() calls to it
+        const __name = (target) => target;
+        const renderTemplateSource = (${renderTemplateSource.toString()});
+        const STARTER_TEMPLATE = ${JSON.stringify(STARTER_TEMPLATE).replace(/</g, '\\u003c')};
+        const SAMPLE_RECIPIENT = { name: 'Alex', email: 'alex@example.com', unsubscribe_url: '#unsubscribe', manage_url: '#manage' };
+        let templateData = null;
+        let previewTimer = null;
+
+        function fillSelect(select, options) {
+            select.innerHTML = '';
+            for (const [value, label] of options) {
+                select.add(new Option(label, value));
+            }
+        }
+
+        function showAssignments() {
+            const label = (name) => name || 'built-in layout';
+            const lines = [
+                'Feed posts: ' + label(templateData.assignments.newsletter),
+                'Weekly digest: ' + label(templateData.assignments.digest)
+            ].concat(templateData.queues.map(queue => 'Queued "' + queue.title + '" (' + queue.status + '): ' + label(queue.template)));
+            document.getElementById('template-assignments').textContent = lines.join(' · ');
+
+            fillSelect(document.getElementById('template-assign-template'),
+                [['', 'Built-in layout']].concat(templateData.templates.map(template => [template.name, template.name])));
+            fillSelect(document.getElementById('template-assign-target'),
+                [['newsletter', 'Feed posts'], ['digest', 'Weekly digest']]
+                    .concat(templateData.queues.map(queue => [queue.key, 'Queued: ' + queue.title])));
+        }
+
+        async function openTemplates() {
+            const editor = document.getElementById('template-editor');
+            const status = document.getElementById('template-status');
+            editor.style.display = 'block';
+            editor.scrollIntoView({ behavior: 'smooth' });
+            status.textContent = 'Loading...';
+
+            try {
+                const response = await adminFetch('/admin/api/templates');
+                const data = await response.json();
+                if (!response.ok) throw new Error(data.error || 'HTTP ' + response.status);
+                templateData = data;
+
+                fillSelect(document.getElementById('template-select'),
+                    [['', '+ New template']].concat(data.templates.map(template => [template.name, template.name])));
+                fillSelect(document.getElementById('template-preview-item'),
+                    data.previews.map((preview, index) => [String(index), preview.label]));
+                showAssignments();
+                document.getElementById('template-content-mode').value = data.contentMode;
+                loadTemplate('');
+
+                status.textContent = data.templates.length + ' templates' +
+                    (data.previews.length ? '' : ' - the feed could not be loaded, so the preview has no posts');
+            } catch (e) {
+                status.textContent = 'Could not load templates: ' + e.message;
+            }
+        }
+
+        async function loadTemplate(name) {
+            const status = document.getElementById('template-status');
+            let template = STARTER_TEMPLATE;
+
+            if (name) {
+                status.textContent = 'Loading ' + name + '...';
+                try {
+                    const response = await adminFetch('/admin/api/templates?name=' + encodeURIComponent(name));
+                    template = await response.json();
+                    if (!response.ok) throw new Error(template.error || 'HTTP ' + response.status);
+                    status.textContent = name + (template.updatedAt ? ', last saved ' + new Date(template.updatedAt).toLocaleString() : '');
+                } catch (e) {
+                    status.textContent = 'Could not load ' + name + ': ' + e.message;
+                    return;
+                }
+            }
+
+            document.getElementById('template-select').value = name;
+            document.getElementById('template-name').value = name;
+            document.getElementById('template-subject').value = template.subject || '';
+            document.getElementById('template-html').value = template.html || '';
+            document.getElementById('template-text').value = template.text || '';
+            updatePreview();
+        }
+
+        function schedulePreview() {
+            clearTimeout(previewTimer);
+            previewTimer = setTimeout(updatePreview, 300);
+        }
+
+        // Rendered in the browser with a sample recipient in place of the merge tags
+        function updatePreview() {
+            const preview = templateData && templateData.previews[document.getElementById('template-preview-item').value];
+            const context = Object.assign({}, preview ? preview.context : {}, SAMPLE_RECIPIENT);
+            const subject = document.getElementById('template-subject').value;
+            const text = document.getElementById('template-text').value;
+
+            try {
+                document.getElementById('template-preview-subject').textContent = 'Subject: ' + (subject
+                    ? renderTemplateSource(subject, context)
+                    : '(built-in subject)');
+                document.getElementById('template-preview').srcdoc =
+                    renderTemplateSource(document.getElementById('template-html').value, context, { html: true });
+                document.getElementById('template-preview-text').textContent = text
+                    ? renderTemplateSource(text, context)
+                    : '(built-in text version)';
+            } catch (e) {
+                document.getElementById('template-preview-subject').textContent = 'Template error: ' + e.message;
+            }
+        }
+
+        async function postTemplateAction(body) {
+            const response = await adminFetch('/admin/api/templates', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error((data.errors && data.errors.length ? data.errors.join('; ') : '') || data.message || data.error || 'HTTP ' + response.status);
+            }
+            return data;
+        }
+
+        async function saveTemplate() {
+            const status = document.getElementById('template-status');
+            const name = document.getElementById('template-name').value.trim().toLowerCase();
+            status.textContent = 'Saving...';
+
+            try {
+                const data = await postTemplateAction({
+                    action: 'save',
+                    name: name,
+                    subject: document.getElementById('template-subject').value,
+                    html: document.getElementById('template-html').value,
+                    text: document.getElementById('template-text').value
+                });
+
+                if (!templateData.templates.some(template => template.name === name)) {
+                    templateData.templates.push({ name: name });
+                    document.getElementById('template-select').add(new Option(name, name));
+                    showAssignments();
+                }
+                document.getElementById('template-select').value = name;
+                status.textContent = data.message;
+            } catch (e) {
+                status.textContent = 'Could not save: ' + e.message;
+            }
+        }
+
+        async function deleteTemplate() {
+            const name = document.getElementById('template-select').value;
+            if (!name || !confirm('Delete template ' + name + '? Sends using it fall back to the built-in layout.')) return;
+
+            const status = document.getElementById('template-status');
+            try {
+                const data = await postTemplateAction({ action: 'delete', name: name });
+                templateData.templates = templateData.templates.filter(template => template.name !== name);
+                for (const target of ['newsletter', 'digest']) {
+                    if (templateData.assignments[target] === name) templateData.assignments[target] = '';
+                }
+                document.getElementById('template-select').remove(document.getElementById('template-select').selectedIndex);
+                showAssignments();
+                loadTemplate('');
+                status.textContent = data.message;
+            } catch (e) {
+                status.textContent = 'Could not delete: ' + e.message;
+            }
+        }
+
+        async function assignTemplate() {
+            const name = document.getElementById('template-assign-template').value;
+            const target = document.getElementById('template-assign-target').value;
+            const status = document.getElementById('template-status');
+
+            try {
+                const data = await postTemplateAction({ action: 'assign', target: target, template: name });
+                if (target in templateData.assignments) {
+                    templateData.assignments[target] = name;
+                } else {
+                    templateData.queues.filter(queue => queue.key === target).forEach(queue => { queue.template = name; });
+                }
+                showAssignments();
+                status.textContent = data.message;
+            } catch (e) {
+                status.textContent = 'Could not assign: ' + e.message;
+            }
+        }
+
+        async function setContentMode() {
+            const mode = document.getElementById('template-content-mode').value;
+            const status = document.getElementById('template-status');
+
+            try {
+                const data = await postTemplateAction({ action: 'content-mode', mode: mode });
+                templateData.contentMode = mode;
+                status.textContent = data.message + ' - reopen the editor to preview it';
+            } catch (e) {
+                status.textContent = 'Could not save: ' + e.message;
+            }
+        }
+
+        // Each request migrates one page of keys and returns the cursor of the next
+        async function migrateRoster() {
+            if (!confirm('Rewrite subscriber, suppression and contact records stored in the old format?')) return;
+
+            let migrated = 0;
+            let merged = 0;
+            const lists = ['subscriber', 'suppression', 'contact'];
+            let list = lists.shift();
+            let cursor = '';
+
+            try {
+                while (list) {
+                    const response = await adminFetch('/admin/api/migrate-roster?list=' + list + '&cursor=' + encodeURIComponent(cursor), {
+                        method: 'POST'
+                    });
+
+                    const data = await response.json();
+                    if (!response.ok || !data.success) {
+                        throw new Error(data.error || data.message || 'HTTP ' + response.status);
+                    }
+
+                    migrated += data.migrated;
+                    merged += data.merged;
+                    cursor = data.nextCursor || '';
+                    if (data.nextCursor === null) list = lists.shift();
+                }
+            } catch (e) {
+                alert('Migration stopped after ' + migrated + ' records: ' + e.message);
+                return;
+            }
+
+            alert('Migration complete - ' + migrated + ' records migrated, ' + merged + ' duplicates merged');
+        }
+
+        // Large files are imported over several requests - each response says where to continue
+        async function exportData(params, format) {
+            const pages = [];
+            let cursor = null;
+
+            try {
+                do {
+                    if (cursor) params.set('cursor', cursor);
+                    const response = await adminFetch('/admin/api/export?' + params.toString());
+
+                    if (!response.ok) {
+                        const data = await response.json().catch(() => ({}));
+                        throw new Error(data.error || 'HTTP ' + response.status);
+                    }
+
+                    pages.push(await response.text());
+                    cursor = response.headers.get('X-Export-Next-Cursor');
+                } while (cursor);
+            } catch (e) {
+                alert('Export stopped: ' + e.message + (pages.length ? ' - downloading the pages read so far' : ''));
+                if (!pages.length) return;
+            }
+
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(new Blob(pages, { type: format === 'csv' ? 'text/csv' : 'application/x-ndjson' }));
+            link.download = 'export-' + new Date().toISOString().split('T')[0] + '.' + format;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        }
+
+        async function importSubscribers(input) {
+            const file = input.files[0];
+            input.value = '';
+            if (!file || !confirm('Import subscribers from ' + file.name + '?')) return;
+
+            const totals = { accepted: 0, duplicate: 0, rejected: 0 };
+            let report = '';
+            let offset = 0;
+
+            try {
+                while (offset !== null) {
+                    const response = await adminFetch('/admin/api/import?offset=' + offset, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'text/csv' },
+                        body: file
+                    });
+
+                    if (!response.ok) {
+                        const data = await response.json().catch(() => ({}));
+                        throw new Error(data.error || 'HTTP ' + response.status);
+                    }
+
+                    const text = await response.text();
+                    // Keep the header row from the first response only
+                    report += report ? text.slice(text.indexOf('\\n') + 1) : text;
+
+                    for (const status of Object.keys(totals)) {
+                        totals[status] += parseInt(response.headers.get('X-Import-' + status[0].toUpperCase() + status.slice(1)), 10) || 0;
+                    }
+
+                    const next = response.headers.get('X-Import-Next-Offset');
+                    offset = next === null ? null : parseInt(next, 10);
+                }
+            } catch (e) {
+                alert('Import stopped: ' + e.message);
+            }
+
+            if (report) {
+                const link = document.createElement('a');
+                link.href = URL.createObjectURL(new Blob([report], { type: 'text/csv' }));
+                link.download = 'import-report.csv';
+                link.click();
+                setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+            }
+
+            alert('Accepted: ' + totals.accepted + '\\nDuplicate: ' + totals.duplicate + '\\nRejected: ' + totals.rejected);
+        }
+    </script>
 </body>
 </html>`;
 }
@@ -403,7 +995,7 @@ export async function handleAdminPanel(request, env, config) {
         const response = new Response(renderAdminPanel(config, true), {
           headers: {
             'Content-Type': 'text/html; charset=utf-8',
-            'Set-Cookie': `admin_session=${Date.now()}_${Math.random().toString(36).substring(7)}; Path=/; HttpOnly; Secure; SameSite=Strict; Max-Age=3600`
+            'Set-Cookie': await createAdminSession(env, config)
           }
         });
         return response;
@@ -419,12 +1011,11 @@ export async function handleAdminPanel(request, env, config) {
     });
   }
 
-  // Check for existing session cookie
-  const cookieHeader = request.headers.get('cookie') || '';
-  const hasAdminSession = cookieHeader.includes('admin_session=');
+  // Check for an existing session
+  const isAuthenticated = await hasAdminSession(request, env, config);
 
   // Render the appropriate page
-  return new Response(renderAdminPanel(config, hasAdminSession), {
+  return new Response(renderAdminPanel(config, isAuthenticated), {
     headers: { 'Content-Type': 'text/html; charset=utf-8' }
   });
 }
\ No newline at end of file
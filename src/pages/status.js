@@ -3,6 +3,7 @@
  */
 
 import { verifyTurnstile } from '../utils/kv.js';
+import { getCounters, getCounterSnapshot } from '../utils/counters.js';
 
 /**
  * Escape HTML special characters to prevent XSS
@@ -98,6 +99,8 @@ async function getStatusData(env, config) {
     // Activity
     dailyRequests: 0,
     todaySignups: 0,
+    subscribersChangeToday: null,
+    countersReconciledAt: null,
 
     // Last operations
     lastNewsletter: null,
@@ -105,6 +108,10 @@ async function getStatusData(env, config) {
     lastNewsletterUrl: null,
     lastRssFetch: null,
 
+    // Spam complaints per newsletter (top offenders)
+    complaintsTotal: 0,
+    topComplaints: [],
+
     // System
     systemHealth: 'Operational',
     workerVersion: config.WORKER_VERSION || '2.0.0',
@@ -114,73 +121,36 @@ async function getStatusData(env, config) {
   };
 
   try {
-    // Get exact subscriber count using pagination
-    let subscriberCount = 0;
-    let cursor = null;
-    let hasMore = true;
-
-    while (hasMore) {
-      const list = await env.KV.list({
-        prefix: config.PREFIX_SUBSCRIBER,
-        limit: 1000,
-        cursor
-      });
-
-      if (list && list.keys) {
-        subscriberCount += list.keys.length;
-      }
-
-      hasMore = list && !list.list_complete;
-      cursor = list?.cursor;
-    }
-    status.subscribersTotal = subscriberCount;
-
-    // Get exact contact count
-    let contactCount = 0;
-    cursor = null;
-    hasMore = true;
-
-    while (hasMore) {
-      const list = await env.KV.list({
-        prefix: config.PREFIX_CONTACT,
-        limit: 1000,
-        cursor
-      });
-
-      if (list && list.keys) {
-        contactCount += list.keys.length;
-      }
-
-      hasMore = list && !list.list_complete;
-      cursor = list?.cursor;
-    }
-    status.contactsTotal = contactCount;
-
-    // Get sent newsletters count
-    let sentCount = 0;
-    cursor = null;
-    hasMore = true;
-
-    while (hasMore) {
-      const list = await env.KV.list({
-        prefix: config.PREFIX_NEWSLETTER_SENT,
-        limit: 1000,
-        cursor
-      });
-
-      if (list && list.keys) {
-        sentCount += list.keys.length;
+    // Totals come from the maintained counters - until the scheduled or admin reconcile has
+    // created them they are shown as unavailable, a public page must not trigger a full KV scan
+    const counters = await getCounters(env, config);
+
+    if (!counters) {
+      status.subscribersTotal = 'Unavailable';
+      status.contactsTotal = 'Unavailable';
+      status.emailsSentTotal = 'Unavailable';
+      status.todaySignups = 'Unavailable';
+    } else {
+      status.subscribersTotal = counters.subscribers || 0;
+      status.contactsTotal = counters.contacts || 0;
+      status.emailsSentTotal = counters.newslettersSent || 0;
+      status.todaySignups = counters.signupsDate === new Date().toISOString().split('T')[0]
+        ? counters.signupsToday || 0
+        : 0;
+      status.countersReconciledAt = counters.reconciledAt
+        ? new Date(counters.reconciledAt).toLocaleString()
+        : null;
+
+      const snapshot = await getCounterSnapshot(env, config);
+      if (snapshot) {
+        status.subscribersChangeToday = status.subscribersTotal - (snapshot.subscribers || 0);
       }
-
-      hasMore = list && !list.list_complete;
-      cursor = list?.cursor;
     }
-    status.emailsSentTotal = sentCount;
 
     // Get active queues count
     let queueCount = 0;
-    cursor = null;
-    hasMore = true;
+    let cursor = null;
+    let hasMore = true;
 
     while (hasMore) {
       const list = await env.KV.list({
@@ -256,33 +226,30 @@ async function getStatusData(env, config) {
     }
 
 
-    // Get today's signups (check subscribers added in last 24 hours)
-    const now = Date.now();
-    const oneDayAgo = now - (24 * 60 * 60 * 1000);
-    let todaySignups = 0;
-
+    // Get spam complaints per newsletter - the list metadata carries what the page shows,
+    // records written before it was added are read individually
+    const complaints = [];
     cursor = null;
     hasMore = true;
 
     while (hasMore) {
       const list = await env.KV.list({
-        prefix: config.PREFIX_SUBSCRIBER,
+        prefix: config.PREFIX_COMPLAINT,
         limit: 100,
         cursor
       });
 
       if (list && list.keys) {
         for (const key of list.keys) {
+          if (key.metadata) {
+            complaints.push(key.metadata);
+            continue;
+          }
+
           try {
             const data = await env.KV.get(key.name);
             if (data) {
-              const subscriber = JSON.parse(data);
-              if (subscriber.timestamp) {
-                const subTime = new Date(subscriber.timestamp).getTime();
-                if (subTime > oneDayAgo) {
-                  todaySignups++;
-                }
-              }
+              complaints.push(JSON.parse(data));
             }
           } catch {}
         }
@@ -291,7 +258,11 @@ async function getStatusData(env, config) {
       hasMore = list && !list.list_complete;
       cursor = list?.cursor;
     }
-    status.todaySignups = todaySignups;
+    status.complaintsTotal = complaints.reduce((sum, complaint) => sum + (complaint.count || 0), 0);
+    status.topComplaints = complaints
+      .sort((a, b) => (b.count || 0) - (a.count || 0))
+      .slice(0, 5);
+
 
     // Get daily requests count (approximate)
     const dailyRequestsKey = `stats:daily:${new Date().toISOString().split('T')[0]}`;
@@ -299,6 +270,7 @@ async function getStatusData(env, config) {
     status.dailyRequests = dailyStats ? parseInt(dailyStats) : 0;
 
     // Calculate uptime (since last deployment - approximate)
+    const now = Date.now();
     const deploymentTime = await env.KV.get('deployment:timestamp');
     if (deploymentTime) {
       const deployed = new Date(deploymentTime).getTime();
@@ -717,6 +689,13 @@ function renderStatusPage(config, status, isVerified) {
             </div>
             ` : ''}
 
+            ${status.subscribersChangeToday !== null ? `
+            <div class="info-item">
+                <span class="info-label">Net Subscriber Change Today</span>
+                <span class="info-value">${status.subscribersChangeToday > 0 ? '+' : ''}${status.subscribersChangeToday}</span>
+            </div>
+            ` : ''}
+
             <div class="info-item">
                 <span class="info-label">Active Email Queues</span>
                 <span class="info-value">${status.activeQueues}</span>
@@ -729,6 +708,25 @@ function renderStatusPage(config, status, isVerified) {
         </div>
 
 
+        <div class="info-card">
+            <div class="info-title">
+                <span>🚩</span>
+                <span>Spam Complaints</span>
+            </div>
+
+            <div class="info-item">
+                <span class="info-label">Total Complaints</span>
+                <span class="info-value">${status.complaintsTotal}</span>
+            </div>
+
+            ${status.topComplaints.map(complaint => `
+            <div class="info-item">
+                <span class="info-label">${escapeHtml(complaint.title || complaint.postId)}</span>
+                <span class="info-value">${complaint.count}</span>
+            </div>
+            `).join('')}
+        </div>
+
         <div class="info-card">
             <div class="info-title">
                 <span>⚙️</span>
@@ -745,6 +743,18 @@ function renderStatusPage(config, status, isVerified) {
                 <span class="info-value">${status.uptime}</span>
             </div>
 
+            <div class="info-item">
+                <span class="info-label">Counters Reconciled</span>
+                <span class="info-value">
+                    ${status.countersReconciledAt || 'Never'}
+                    <a href="#" style="color: #667eea; margin-left: 8px;" onclick="event.preventDefault();
+                        fetch('/admin/api/reconcile', {method: 'POST', credentials: 'same-origin'})
+                            .then(r => r.json())
+                            .then(d => { alert(d.message || d.error); if (d.success) window.location.reload(); })
+                            .catch(e => alert('Error: ' + e));">Reconcile</a>
+                </span>
+            </div>
+
             <div class="info-item">
                 <span class="info-label">Daily Requests</span>
                 <span class="info-value">${status.dailyRequests.toLocaleString()}</span>
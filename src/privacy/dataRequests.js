@@ -0,0 +1,273 @@
+/**
+ * Personal data access and erasure (GDPR data subject requests)
+ * Finds every KV key and D1 row tied to an email address, exports it or erases it
+ * This is the only module that reads from D1 - access requests must cover the archive too
+ */
+
+import { getSuppression } from '../utils/suppression.js';
+import { hashEmail } from '../utils/token.js';
+import { replicateErasureToD1 } from '../utils/d1Replication.js';
+import { adjustCounters } from '../utils/counters.js';
+import { findEmailRecord } from '../utils/kv.js';
+import { canonicalizeEmail } from '../utils/validation.js';
+import { removeQueueRecipients } from '../newsletter/backend/queueStore.js';
+
+// D1 tables holding an email column
+const D1_TABLES = ['subscriber', 'contact', 'suppression', 'complaint'];
+
+// Optional tables, which may not have been created
+const OPTIONAL_D1_TABLES = ['suppression', 'complaint'];
+
+// Erasure per D1 table - suppression and complaint events are kept without the address
+const D1_ERASE_STATEMENTS = {
+  subscriber: 'DELETE FROM subscriber WHERE email = ?',
+  contact: `UPDATE contact SET email = '', email_canonical = '', name = '[erased]', phone = '', message = '[erased]',
+           ip_address = '' WHERE email = ?`,
+  suppression: `UPDATE suppression SET email = '', email_canonical = '' WHERE email = ?`,
+  complaint: `UPDATE complaint SET email = '', email_canonical = '' WHERE email = ?`
+};
+
+/**
+ * Build a check for addresses that are a variant of the same mailbox (see canonicalizeEmail)
+ */
+function sameMailbox(config, email) {
+  const canonicalEmail = canonicalizeEmail(email, config);
+  return candidate => typeof candidate === 'string' && canonicalizeEmail(candidate, config) === canonicalEmail;
+}
+
+/**
+ * LIKE patterns matching every spelling of a mailbox, for rows written before email_canonical existed
+ * Canonicalizing only drops characters (dots, plus tags), so the canonical local part with % between
+ * its characters matches every variant; one pattern per domain alias. Rows still need sameMailbox
+ */
+function getAddressPatterns(config, email) {
+  const canonicalEmail = canonicalizeEmail(email, config);
+  const at = canonicalEmail.lastIndexOf('@');
+  const domain = canonicalEmail.slice(at + 1);
+  const escape = value => value.replace(/[\\%_]/g, '\\$&');
+  const localPattern = [...canonicalEmail.slice(0, at)].map(escape).join('%');
+
+  const domains = [domain];
+  for (const alias of String(config.EMAIL_DOMAIN_ALIASES || '').split(',')) {
+    const [from, to] = alias.split('=').map(d => d.trim().toLowerCase());
+    if (from && to === domain) domains.push(from);
+  }
+
+  return domains.map(d => `${localPattern}%@${escape(d)}`);
+}
+
+/**
+ * Read the D1 rows of a table that belong to the mailbox of an address
+ * Rows are found through the indexed email_canonical column; only rows written before it was added
+ * (email_canonical NULL) are matched against the address patterns
+ */
+async function findD1Rows(env, config, table, email) {
+  const patterns = getAddressPatterns(config, email);
+  const legacy = patterns.map(() => `email LIKE ? ESCAPE '\\'`).join(' OR ');
+  const result = await env.D1.prepare(
+    `SELECT * FROM ${table} WHERE email_canonical = ? OR (email_canonical IS NULL AND (${legacy}))`
+  ).bind(canonicalizeEmail(email, config), ...patterns).all();
+
+  const matches = sameMailbox(config, email);
+  return (result.results || []).filter(row => matches(row.email));
+}
+
+/**
+ * Soft-bounce counter keys - canonical, or the typed address for counters written before canonical keys
+ */
+function getBounceKeys(config, email) {
+  return [...new Set([canonicalizeEmail(email, config), email])].map(address => `${config.PREFIX_BOUNCE}${address}`);
+}
+
+/**
+ * Find contact form submissions sent from an address (or another variant of the same mailbox)
+ * The canonical sender is kept in key metadata, so only matching contacts are read - plus
+ * contacts stored before that which have not been migrated yet
+ */
+async function findContacts(env, config, email) {
+  const canonicalEmail = canonicalizeEmail(email, config);
+  const contacts = [];
+  let cursor = null;
+  let hasMore = true;
+
+  while (hasMore) {
+    const list = await env.KV.list({ prefix: config.PREFIX_CONTACT, limit: 1000, cursor });
+    if (!list || !list.keys) break;
+
+    for (const key of list.keys) {
+      if (key.metadata?.email !== undefined && key.metadata.email !== canonicalEmail) continue;
+
+      try {
+        const value = await env.KV.get(key.name);
+        if (!value) continue;
+
+        const contact = JSON.parse(value);
+        if (canonicalizeEmail(contact.email, config) === canonicalEmail) {
+          contacts.push({ key: key.name, data: contact });
+        }
+      } catch (error) {
+        console.error(`Error reading contact ${key.name}:`, error);
+      }
+    }
+
+    hasMore = !list.list_complete;
+    cursor = list.cursor;
+  }
+
+  return contacts;
+}
+
+/**
+ * Read a KV value, parsing JSON where possible (old subscriber records are plain strings)
+ */
+function parseKvRecord(value) {
+  if (!value) return null;
+
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Read the soft-bounce counter of an address
+ */
+async function getBounceRecord(env, config, email) {
+  for (const key of getBounceKeys(config, email)) {
+    const record = parseKvRecord(await env.KV.get(key));
+    if (record) return record;
+  }
+  return null;
+}
+
+/**
+ * Collect every stored record for an email address
+ * @returns {Object} - { email, generatedAt, kv, d1 }
+ */
+export async function collectPersonalData(env, config, email) {
+  const kv = {
+    subscriber: parseKvRecord((await findEmailRecord(env, config, config.PREFIX_SUBSCRIBER, email))?.data),
+    pendingSubscriber: parseKvRecord((await findEmailRecord(env, config, config.PREFIX_PENDING_SUBSCRIBER, email))?.data),
+    suppression: await getSuppression(env, config, email),
+    bounces: await getBounceRecord(env, config, email),
+    contacts: (await findContacts(env, config, email)).map(contact => contact.data)
+  };
+
+  const d1 = {};
+  if (env.D1) {
+    for (const table of D1_TABLES) {
+      try {
+        d1[table] = await findD1Rows(env, config, table, email);
+      } catch (error) {
+        // Optional tables (suppression, complaint) may not have been created
+        console.error(`D1 read error for ${table} (non-critical):`, error.message);
+        d1[table] = [];
+      }
+    }
+  }
+
+  return {
+    email,
+    generatedAt: new Date().toISOString(),
+    kv,
+    d1
+  };
+}
+
+/**
+ * Erase every stored record for an email address
+ * Suppression entries are reduced to address and reason rather than deleted,
+ * so an earlier unsubscribe or complaint is still honoured afterwards
+ * @returns {Object} - { success, message, receipt }
+ */
+export async function erasePersonalData(env, config, email, ctx = null) {
+  let kvKeysDeleted = 0;
+  let queueRecordsUpdated = 0;
+  let d1RowsAffected = 0;
+  let suppressionKept = false;
+
+  try {
+    const subscriber = await findEmailRecord(env, config, config.PREFIX_SUBSCRIBER, email);
+    const pending = await findEmailRecord(env, config, config.PREFIX_PENDING_SUBSCRIBER, email);
+    const contacts = await findContacts(env, config, email);
+    const keys = [
+      subscriber?.key,
+      pending?.key,
+      ...getBounceKeys(config, email),
+      ...contacts.map(contact => contact.key)
+    ].filter(Boolean);
+
+    for (const key of keys) {
+      if (await env.KV.get(key)) {
+        await env.KV.delete(key);
+        kvKeysDeleted++;
+      }
+    }
+
+    await adjustCounters(env, config, {
+      subscribers: subscriber ? -1 : 0,
+      contacts: -contacts.length
+    });
+
+    // Queues that have not reached the address yet must not send to it
+    queueRecordsUpdated = await removeQueueRecipients(env, config, sameMailbox(config, email));
+
+    const suppression = await getSuppression(env, config, email);
+    if (suppression) {
+      // Reduced record replaces one still keyed by the typed address
+      const canonicalKey = `${config.PREFIX_SUPPRESSION}${canonicalizeEmail(email, config)}`;
+      if (`${config.PREFIX_SUPPRESSION}${email}` !== canonicalKey) {
+        await env.KV.delete(`${config.PREFIX_SUPPRESSION}${email}`);
+      }
+      await env.KV.put(canonicalKey, JSON.stringify({
+        email: email,
+        reason: suppression.reason,
+        source: 'erasure',
+        timestamp: suppression.timestamp,
+        history: []
+      }));
+      suppressionKept = true;
+    }
+
+    if (env.D1) {
+      for (const table of D1_TABLES) {
+        try {
+          // Every spelling of the mailbox, as stored in this table
+          const rows = await findD1Rows(env, config, table, email);
+          for (const address of new Set(rows.map(row => row.email))) {
+            const result = await env.D1.prepare(D1_ERASE_STATEMENTS[table]).bind(address).run();
+            d1RowsAffected += result.meta?.changes || 0;
+          }
+        } catch (error) {
+          if (!OPTIONAL_D1_TABLES.includes(table)) throw error;
+          console.error(`D1 erasure error for ${table} (non-critical):`, error.message);
+        }
+      }
+    }
+  } catch (error) {
+    console.error('Erasure error:', error);
+    return { success: false, message: 'Erasure could not be completed' };
+  }
+
+  // Minimal receipt: proves the erasure happened without storing the address
+  // Keyed by the canonical address so every spelling of the mailbox finds the same receipt
+  const receipt = {
+    emailHash: await hashEmail(config, canonicalizeEmail(email, config)),
+    kvKeysDeleted,
+    queueRecordsUpdated,
+    d1RowsAffected,
+    suppressionKept,
+    erasedAt: new Date().toISOString()
+  };
+
+  await env.KV.put(`${config.PREFIX_ERASURE}${receipt.emailHash}`, JSON.stringify(receipt));
+
+  try {
+    replicateErasureToD1(env, ctx, receipt);
+  } catch (error) {
+    console.error('D1 erasure receipt replication error (non-blocking):', error);
+  }
+
+  return { success: true, message: 'Your data has been erased', receipt };
+}
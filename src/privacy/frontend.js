@@ -0,0 +1,611 @@
+/**
+ * Privacy Request Frontend Module
+ * Lets subscribers and contact form senders download or erase their data
+ * Every request is verified by a signed link sent to the address first
+ */
+
+import { validateEmail, getClientIp } from '../utils/validation.js';
+import { verifyTurnstile } from '../utils/kv.js';
+import { createPrivacyUrl, verifySignedToken } from '../utils/token.js';
+import { EmailFactory } from '../email/emailFactory.js';
+import { escapeHtml } from '../utils/sanitize.js';
+import { collectPersonalData, erasePersonalData } from './dataRequests.js';
+
+/**
+ * Handle privacy request routes
+ */
+export async function handlePrivacy(request, env, config, ctx) {
+  const url = new URL(request.url);
+
+  // Handle GET request - return request form
+  if (request.method === 'GET' && url.pathname === config.PRIVACY_WEB_PATH) {
+    return new Response(getRequestFormHTML(config), {
+      headers: {
+        'Content-Type': 'text/html; charset=utf-8',
+        'Cache-Control': 'public, max-age=3600',
+        'X-Robots-Tag': 'noindex, nofollow, noarchive, nosnippet, noimageindex'
+      }
+    });
+  }
+
+  // Handle POST request - send verification link
+  if (request.method === 'POST' && url.pathname === config.PRIVACY_API_PATH) {
+    return await processPrivacyRequest(request, env, config);
+  }
+
+  // Handle OPTIONS request - CORS preflight
+  if (request.method === 'OPTIONS' && url.pathname === config.PRIVACY_API_PATH) {
+    return new Response(null, {
+      headers: getCORSHeaders(config)
+    });
+  }
+
+  // Verified link - show download and erase options
+  if (request.method === 'GET' && url.pathname === config.PRIVACY_LINK_PATH) {
+    return await showVerifiedRequest(url.searchParams.get('token'), config);
+  }
+
+  // Verified link - perform the chosen action
+  if (request.method === 'POST' && url.pathname === config.PRIVACY_LINK_PATH) {
+    return await processVerifiedRequest(request, env, config, ctx);
+  }
+
+  return new Response('Not Found', { status: 404 });
+}
+
+/**
+ * Validate the request form and email a verification link
+ */
+async function processPrivacyRequest(request, env, config) {
+  try {
+    const contentType = request.headers.get('content-type') || '';
+    let data;
+
+    if (contentType.includes('application/json')) {
+      data = await request.json();
+    } else if (contentType.includes('application/x-www-form-urlencoded')) {
+      const formData = await request.formData();
+      data = Object.fromEntries(formData);
+    } else {
+      return jsonResponse({ error: 'Invalid content type' }, 400, config);
+    }
+
+    // Existing data may predate current validation rules, so only the format is checked here
+    const emailValidation = validateEmail(data.email, config);
+    if (!emailValidation.valid && !['disposable_domain', 'invalid_domain'].includes(emailValidation.code)) {
+      return jsonResponse({ error: emailValidation.error, code: emailValidation.code }, 400, config);
+    }
+
+    const email = emailValidation.valid ? emailValidation.email : String(data.email).trim().toLowerCase();
+
+    if (config.TURNSTILE_SECRET_KEY) {
+      const token = data.turnstileToken || data['cf-turnstile-response'];
+      if (!token) {
+        return jsonResponse({ error: 'Verification token required' }, 400, config);
+      }
+
+      const isValid = await verifyTurnstile(token, getClientIp(request), config.TURNSTILE_SECRET_KEY, config.TURNSTILE_VERIFY_URL);
+      if (!isValid) {
+        return jsonResponse({ error: 'Verification failed. Please try again.' }, 400, config);
+      }
+    }
+
+    const verifyUrl = await createPrivacyUrl(config, email, request);
+    if (!verifyUrl) {
+      console.error('SIGNING_SECRET is not configured - privacy requests are disabled');
+      return jsonResponse({ error: 'Data requests are not available right now. Please contact us directly.' }, 503, config);
+    }
+    const sendResult = await EmailFactory.sendPrivacyVerification(config, env, { email, verifyUrl });
+    if (!sendResult.success) {
+      console.error('Failed to send privacy verification email:', sendResult.error);
+      return jsonResponse({ error: 'Could not send the verification email. Please try again later.' }, 500, config);
+    }
+
+    // Same answer whether or not we hold data, so the form cannot be used to probe addresses
+    console.log('Privacy request verification link sent');
+    return jsonResponse({
+      message: `Check your inbox - we have sent a link to download or erase your data. It expires in ${Math.round(config.TTL_PRIVACY_TOKEN / 60)} minutes.`
+    }, 200, config);
+  } catch (error) {
+    console.error('Privacy request error:', error);
+    return jsonResponse({ error: 'Could not process your request. Please try again later.' }, 500, config);
+  }
+}
+
+/**
+ * Render the download / erase choice for a verified link
+ */
+async function showVerifiedRequest(token, config) {
+  const verification = await verifySignedToken(config, token, 'privacy');
+  if (!verification.valid) {
+    return htmlResponse(getMessageHTML(
+      config,
+      'Link Not Valid',
+      `${verification.error}. Please submit a new request to receive a fresh link.`,
+      false
+    ), 400);
+  }
+
+  return htmlResponse(getVerifiedRequestHTML(config, token, verification.email));
+}
+
+/**
+ * Download or erase the data for a verified link
+ */
+async function processVerifiedRequest(request, env, config, ctx) {
+  const contentType = request.headers.get('content-type') || '';
+  if (!contentType.includes('application/x-www-form-urlencoded') && !contentType.includes('multipart/form-data')) {
+    return new Response('Invalid content type', { status: 400 });
+  }
+
+  const formData = await request.formData();
+  const token = formData.get('token');
+  const action = formData.get('action');
+
+  const verification = await verifySignedToken(config, token, 'privacy');
+  if (!verification.valid) {
+    return showVerifiedRequest(token, config);
+  }
+
+  const email = verification.email;
+
+  try {
+    if (action === 'download') {
+      const data = await collectPersonalData(env, config, email);
+      console.log('Privacy request: data export downloaded');
+
+      return new Response(JSON.stringify(data, null, 2), {
+        headers: {
+          'Content-Type': 'application/json; charset=utf-8',
+          'Content-Disposition': 'attachment; filename="my-data.json"',
+          'Cache-Control': 'no-store',
+          'X-Robots-Tag': 'noindex, nofollow, noarchive, nosnippet, noimageindex'
+        }
+      });
+    }
+
+    if (action === 'erase') {
+      if (formData.get('confirm') !== 'yes') {
+        return htmlResponse(getVerifiedRequestHTML(config, token, email, 'Tick the confirmation box to erase your data.'), 400);
+      }
+
+      const result = await erasePersonalData(env, config, email, ctx);
+      if (!result.success) {
+        return htmlResponse(getMessageHTML(config, 'Erasure Failed', `${result.message}. Please try the link again later.`, false), 500);
+      }
+
+      console.log(`Privacy request: data erased (receipt ${result.receipt.emailHash})`);
+
+      const suppressionNote = result.receipt.suppressionKept
+        ? ' Your address remains on our do-not-email list, with nothing but the reason, so that we never contact you again.'
+        : '';
+      return htmlResponse(getMessageHTML(
+        config,
+        'Data Erased',
+        `Your subscription, contact messages and related records have been erased.${suppressionNote} Erasure receipt: ${result.receipt.emailHash}`,
+        true
+      ));
+    }
+
+    return showVerifiedRequest(token, config);
+  } catch (error) {
+    console.error('Privacy request processing error:', error);
+    return htmlResponse(getMessageHTML(
+      config,
+      'Something Went Wrong',
+      'We could not complete your request. Please try the link again later.',
+      false
+    ), 500);
+  }
+}
+
+/**
+ * Get request form HTML
+ */
+function getRequestFormHTML(config) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Your Data</title>
+    <meta name="robots" content="noindex, nofollow, noarchive, nosnippet, noimageindex, nocache">
+    <style>
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+            background: transparent;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            min-height: 100vh;
+            padding: 20px;
+        }
+
+        .container {
+            background: white;
+            border-radius: 12px;
+            box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+            padding: 32px;
+            width: 100%;
+            max-width: 480px;
+        }
+
+        h2 {
+            color: #333;
+            margin-bottom: 8px;
+            font-size: 24px;
+            font-weight: 600;
+        }
+
+        .subtitle {
+            color: #666;
+            margin-bottom: 24px;
+            font-size: 14px;
+        }
+
+        label {
+            display: block;
+            margin-bottom: 8px;
+            color: #555;
+            font-weight: 500;
+            font-size: 14px;
+        }
+
+        input[type="email"] {
+            width: 100%;
+            padding: 12px 16px;
+            border: 1px solid #ddd;
+            border-radius: 8px;
+            font-size: 16px;
+        }
+
+        button {
+            width: 100%;
+            margin-top: 20px;
+            padding: 12px 24px;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            border: none;
+            border-radius: 8px;
+            font-size: 16px;
+            font-weight: 600;
+            cursor: pointer;
+        }
+
+        button:disabled {
+            opacity: 0.7;
+            cursor: not-allowed;
+        }
+
+        .notice {
+            margin-top: 20px;
+            padding: 12px;
+            border-radius: 8px;
+            font-size: 14px;
+            display: none;
+        }
+
+        .notice.success {
+            background: #d4edda;
+            color: #155724;
+            border: 1px solid #c3e6cb;
+            display: block;
+        }
+
+        .notice.error {
+            background: #f8d7da;
+            color: #721c24;
+            border: 1px solid #f5c6cb;
+            display: block;
+        }
+
+        .turnstile-widget {
+            margin-top: 20px;
+            display: flex;
+            justify-content: center;
+        }
+    </style>
+    <script src="${config.TURNSTILE_API_URL || 'https://challenges.cloudflare.com/turnstile/v0/api.js'}" async defer></script>
+</head>
+<body>
+    <div class="container">
+        <h2>🔒 Your Data</h2>
+        <p class="subtitle">Get a copy of the data we hold about you, or have it erased. We'll email you a link to confirm the address is yours.</p>
+
+        <form id="privacyForm" novalidate>
+            <label for="email">Email Address</label>
+            <input type="email" id="email" name="email" placeholder="your@email.com" required autocomplete="email">
+
+            <div class="turnstile-widget">
+                <div class="cf-turnstile" data-sitekey="${config.TURNSTILE_SITE_KEY}" data-theme="light" data-size="normal"></div>
+            </div>
+
+            <button type="submit" id="submitBtn">Send Verification Link</button>
+        </form>
+
+        <div id="notice" class="notice"></div>
+    </div>
+
+    <script>
+        const form = document.getElementById('privacyForm');
+        const submitBtn = document.getElementById('submitBtn');
+        const notice = document.getElementById('notice');
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            submitBtn.disabled = true;
+            notice.className = 'notice';
+            notice.textContent = '';
+
+            try {
+                const turnstileResponse = document.querySelector('[name="cf-turnstile-response"]');
+
+                const response = await fetch('${config.PRIVACY_API_PATH}', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        email: document.getElementById('email').value,
+                        turnstileToken: turnstileResponse ? turnstileResponse.value : ''
+                    })
+                });
+
+                const data = await response.json();
+                notice.className = response.ok ? 'notice success' : 'notice error';
+                notice.textContent = response.ok ? data.message : (data.error || 'Request failed. Please try again.');
+
+                if (response.ok) {
+                    form.reset();
+                }
+                if (window.turnstile) {
+                    window.turnstile.reset();
+                }
+            } catch (error) {
+                notice.className = 'notice error';
+                notice.textContent = 'Network error. Please check your connection and try again.';
+            } finally {
+                submitBtn.disabled = false;
+            }
+        });
+    </script>
+</body>
+</html>`;
+}
+
+/**
+ * Get download / erase choice HTML
+ */
+function getVerifiedRequestHTML(config, token, email, error = null) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Your Data</title>
+    <meta name="robots" content="noindex, nofollow, noarchive, nosnippet, noimageindex, nocache">
+    <style>
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+            background: #f5f5f5;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            min-height: 100vh;
+            padding: 20px;
+        }
+
+        .container {
+            background: white;
+            border-radius: 12px;
+            box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+            padding: 32px;
+            width: 100%;
+            max-width: 520px;
+        }
+
+        h2 {
+            color: #333;
+            margin-bottom: 8px;
+            font-size: 24px;
+            font-weight: 600;
+        }
+
+        h3 {
+            color: #333;
+            margin-bottom: 8px;
+            font-size: 16px;
+        }
+
+        p {
+            color: #666;
+            margin-bottom: 16px;
+            font-size: 14px;
+        }
+
+        .section {
+            padding-top: 20px;
+            margin-top: 20px;
+            border-top: 1px solid #eee;
+        }
+
+        label {
+            display: flex;
+            gap: 8px;
+            align-items: flex-start;
+            margin-bottom: 16px;
+            color: #555;
+            font-size: 14px;
+        }
+
+        button {
+            width: 100%;
+            padding: 12px 24px;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            border: none;
+            border-radius: 8px;
+            font-size: 16px;
+            font-weight: 600;
+            cursor: pointer;
+        }
+
+        button.danger {
+            background: #dc3545;
+        }
+
+        .notice {
+            margin-bottom: 20px;
+            padding: 12px;
+            border-radius: 8px;
+            font-size: 14px;
+            background: #f8d7da;
+            color: #721c24;
+            border: 1px solid #f5c6cb;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h2>🔒 Your Data</h2>
+        <p>Verified request for ${escapeHtml(email)}.</p>
+
+        ${error ? `<div class="notice">${escapeHtml(error)}</div>` : ''}
+
+        <div class="section">
+            <h3>Download a copy</h3>
+            <p>A JSON file with your subscription, preferences, contact messages and our delivery records for this address.</p>
+            <form method="POST" action="${escapeHtml(config.PRIVACY_LINK_PATH)}">
+                <input type="hidden" name="token" value="${escapeHtml(token)}">
+                <input type="hidden" name="action" value="download">
+                <button type="submit">Download My Data</button>
+            </form>
+        </div>
+
+        <div class="section">
+            <h3>Erase everything</h3>
+            <p>Unsubscribes you and deletes your subscription and contact messages, including from our archive. This cannot be undone.</p>
+            <form method="POST" action="${escapeHtml(config.PRIVACY_LINK_PATH)}">
+                <input type="hidden" name="token" value="${escapeHtml(token)}">
+                <input type="hidden" name="action" value="erase">
+                <label><input type="checkbox" name="confirm" value="yes"> I understand my data will be permanently erased</label>
+                <button type="submit" class="danger">Erase My Data</button>
+            </form>
+        </div>
+    </div>
+</body>
+</html>`;
+}
+
+/**
+ * Get simple message page HTML
+ */
+function getMessageHTML(config, title, message, success) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+    <meta name="robots" content="noindex, nofollow, noarchive, nosnippet, noimageindex, nocache">
+    <style>
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+            background: #f5f5f5;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            min-height: 100vh;
+            margin: 0;
+            padding: 20px;
+        }
+
+        .container {
+            background: white;
+            border-radius: 12px;
+            box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+            padding: 32px;
+            width: 100%;
+            max-width: 480px;
+            text-align: center;
+        }
+
+        h2 {
+            color: ${success ? '#155724' : '#721c24'};
+            margin-bottom: 12px;
+        }
+
+        p {
+            color: #666;
+            margin-bottom: 24px;
+            word-break: break-word;
+        }
+
+        a {
+            color: #667eea;
+            text-decoration: none;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h2>${success ? '✅' : '⚠️'} ${escapeHtml(title)}</h2>
+        <p>${escapeHtml(message)}</p>
+        <a href="${escapeHtml(config.SITE_URL || '/')}">Visit the website</a>
+    </div>
+</body>
+</html>`;
+}
+
+/**
+ * Get CORS headers
+ */
+function getCORSHeaders(config) {
+  // Only allow requests from the configured site URL
+  const allowedOrigin = config.SITE_URL || 'https://samirpaulb.github.io';
+  return {
+    'Access-Control-Allow-Origin': allowedOrigin,
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Credentials': 'true',
+    'Access-Control-Max-Age': '86400'
+  };
+}
+
+/**
+ * Create HTML response
+ */
+function htmlResponse(html, status = 200) {
+  return new Response(html, {
+    status,
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': 'no-store',
+      'X-Robots-Tag': 'noindex, nofollow, noarchive, nosnippet, noimageindex'
+    }
+  });
+}
+
+/**
+ * Create JSON response
+ */
+function jsonResponse(data, status = 200, config) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      ...getCORSHeaders(config)
+    }
+  });
+}
@@ -0,0 +1,56 @@
+/**
+ * Admin sessions
+ * A Turnstile-verified login creates a random session id stored in KV for TTL_ADMIN_SESSION.
+ * The admin_session cookie only grants access while its id exists in KV - a made-up cookie
+ * value does not
+ */
+
+const COOKIE_NAME = 'admin_session';
+const SESSION_ID_PATTERN = /^[a-f0-9]{64}$/;
+
+function sessionKey(config, id) {
+  return `${config.PREFIX_ADMIN_SESSION}${id}`;
+}
+
+/**
+ * Read the admin_session cookie value
+ */
+function getSessionId(request) {
+  const cookieHeader = request.headers.get('cookie') || '';
+
+  for (const cookie of cookieHeader.split(';')) {
+    const [name, ...value] = cookie.trim().split('=');
+    if (name === COOKIE_NAME) return value.join('=');
+  }
+  return '';
+}
+
+/**
+ * Create a session after a successful login
+ * @returns {string} - Set-Cookie header value
+ */
+export async function createAdminSession(env, config) {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  const id = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+
+  await env.KV.put(sessionKey(config, id), JSON.stringify({ createdAt: new Date().toISOString() }), {
+    expirationTtl: config.TTL_ADMIN_SESSION
+  });
+
+  return `${COOKIE_NAME}=${id}; Path=/; HttpOnly; Secure; SameSite=Strict; Max-Age=${config.TTL_ADMIN_SESSION}`;
+}
+
+/**
+ * Check that the request carries a live admin session
+ */
+export async function hasAdminSession(request, env, config) {
+  const id = getSessionId(request);
+  if (!SESSION_ID_PATTERN.test(id)) return false;
+
+  try {
+    return (await env.KV.get(sessionKey(config, id))) !== null;
+  } catch (error) {
+    console.error('Error checking admin session:', error);
+    return false;
+  }
+}
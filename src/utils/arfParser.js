@@ -0,0 +1,43 @@
+/**
+ * Abuse Reporting Format (spam complaint) parser
+ * Supports RFC 5965 multipart/report feedback reports from mailbox provider feedback loops
+ */
+
+import { parseMimeMessage, parseHeaders, findParts } from './mime.js';
+import { RECIPIENT_HEADER, POST_HEADER } from '../email/feedbackHeaders.js';
+
+/**
+ * Parse a raw inbound message as a spam complaint
+ * @param {string} raw - Raw RFC 5322 message
+ * @returns {Object} - { isComplaint, feedbackType, recipientToken, postId, originalHeaders }
+ */
+export function parseComplaint(raw) {
+  const root = parseMimeMessage(raw);
+
+  const [report] = findParts(root, node => node.contentType.type === 'message/feedback-report');
+  const isReport = root.contentType.type === 'multipart/report' &&
+    String(root.contentType.params['report-type'] || '').toLowerCase() === 'feedback-report';
+
+  if (!report && !isReport) {
+    return { isComplaint: false };
+  }
+
+  const fields = report ? parseHeaders(report.body) : {};
+
+  // The complained-about message, either complete or headers only
+  const [original] = findParts(root, node =>
+    node.contentType.type === 'message/rfc822' || node.contentType.type === 'text/rfc822-headers'
+  );
+  let originalHeaders = {};
+  if (original) {
+    originalHeaders = original.message ? original.message.headers : parseHeaders(original.body);
+  }
+
+  return {
+    isComplaint: true,
+    feedbackType: (fields['feedback-type'] || 'abuse').toLowerCase(),
+    recipientToken: originalHeaders[RECIPIENT_HEADER.toLowerCase()] || '',
+    postId: originalHeaders[POST_HEADER.toLowerCase()] || '',
+    originalHeaders
+  };
+}
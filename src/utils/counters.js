@@ -0,0 +1,168 @@
+/**
+ * Maintained counters
+ * Totals for the status page live in a single KV record that is adjusted as records are
+ * added and removed, so nothing has to list every subscriber or contact key.
+ * KV has no atomic increment - concurrent writers can drift, reconcileCounters recounts and fixes it
+ */
+
+export const COUNTER_NAMES = ['subscribers', 'contacts', 'newslettersSent'];
+
+// Serializes updates made within one isolate (e.g. Promise.all over several records)
+let pendingUpdate = Promise.resolve();
+
+function countersKey(config) {
+  return `${config.KEEP_PREFIX_STATS}counters`;
+}
+
+function snapshotKey(config, date) {
+  return `${config.KEEP_PREFIX_STATS}snapshot:${date}`;
+}
+
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+/**
+ * Read the counters record
+ * @returns {Object|null} - null until the first reconcile has created it
+ */
+export async function getCounters(env, config) {
+  const value = await env.KV.get(countersKey(config));
+  if (!value) return null;
+
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Apply deltas to the counters, e.g. { subscribers: 1, signups: 1 }
+ * Never throws - a missed update only shows up as drift until the next reconcile
+ */
+export function adjustCounters(env, config, deltas) {
+  const update = pendingUpdate.then(async () => {
+    try {
+      const counters = await getCounters(env, config);
+
+      // Starting from zero would under-count existing data - wait for reconcile to create the record
+      if (!counters) return;
+
+      for (const name of COUNTER_NAMES) {
+        if (deltas[name]) {
+          counters[name] = Math.max(0, (counters[name] || 0) + deltas[name]);
+        }
+      }
+
+      if (deltas.signups) {
+        const date = today();
+        if (counters.signupsDate !== date) {
+          counters.signupsDate = date;
+          counters.signupsToday = 0;
+        }
+        counters.signupsToday = Math.max(0, (counters.signupsToday || 0) + deltas.signups);
+      }
+
+      counters.updatedAt = new Date().toISOString();
+      await env.KV.put(countersKey(config), JSON.stringify(counters));
+    } catch (error) {
+      console.error('Error updating counters:', error);
+    }
+  });
+
+  pendingUpdate = update;
+  return update;
+}
+
+/**
+ * Count the keys under a prefix (keys only, values are not read)
+ */
+async function countKeys(env, prefix) {
+  let count = 0;
+  let cursor = null;
+  let hasMore = true;
+
+  while (hasMore) {
+    const list = await env.KV.list({ prefix, limit: 1000, cursor });
+    if (!list || !list.keys) break;
+
+    count += list.keys.length;
+    hasMore = !list.list_complete;
+    cursor = list.cursor;
+  }
+
+  return count;
+}
+
+/**
+ * Recount every counter from KV and overwrite the stored values
+ * @returns {Object} - { success, message, counters, drift } - drift is actual minus stored per counter
+ */
+export async function reconcileCounters(env, config) {
+  try {
+    const actual = {
+      subscribers: await countKeys(env, config.PREFIX_SUBSCRIBER),
+      contacts: await countKeys(env, config.PREFIX_CONTACT),
+      newslettersSent: await countKeys(env, config.PREFIX_NEWSLETTER_SENT)
+    };
+
+    // Wait for queued updates so they are not written over the recount
+    await pendingUpdate;
+
+    const stored = await getCounters(env, config);
+    const drift = {};
+    for (const name of COUNTER_NAMES) {
+      drift[name] = actual[name] - (stored?.[name] || 0);
+    }
+
+    const now = new Date().toISOString();
+    const counters = {
+      ...stored,
+      ...actual,
+      signupsDate: stored?.signupsDate || today(),
+      signupsToday: stored?.signupsToday || 0,
+      updatedAt: now,
+      reconciledAt: now
+    };
+
+    await env.KV.put(countersKey(config), JSON.stringify(counters));
+
+    console.log(`Counters reconciled: ${JSON.stringify(actual)}, drift ${JSON.stringify(drift)}`);
+    return { success: true, message: 'Counters reconciled', counters, drift };
+  } catch (error) {
+    console.error('Error reconciling counters:', error);
+    return { success: false, message: 'Counters could not be reconciled' };
+  }
+}
+
+/**
+ * Store today's counters once per day, kept for TTL_COUNTER_SNAPSHOT
+ */
+export async function snapshotCounters(env, config) {
+  const date = today();
+  const key = snapshotKey(config, date);
+
+  if (await env.KV.get(key)) return;
+
+  const counters = await getCounters(env, config);
+  if (!counters) return;
+
+  await env.KV.put(key, JSON.stringify({ ...counters, date }), {
+    expirationTtl: config.TTL_COUNTER_SNAPSHOT
+  });
+}
+
+/**
+ * Read the snapshot taken on a given day (YYYY-MM-DD, defaults to today)
+ */
+export async function getCounterSnapshot(env, config, date = today()) {
+  const value = await env.KV.get(snapshotKey(config, date));
+  if (!value) return null;
+
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,98 @@
+/**
+ * CSV utilities
+ * Streaming RFC 4180 parser (quoted fields, escaped quotes, CRLF) and row formatting
+ */
+
+// Guards against a runaway quoted field swallowing the whole upload
+const MAX_FIELD_LENGTH = 4096;
+
+/**
+ * Parse a CSV byte stream row by row without buffering the whole file
+ * @param {ReadableStream} stream - Request body or other byte stream
+ * @yields {Array<string>} - Fields of each row
+ */
+export async function* parseCsvStream(stream) {
+  const reader = stream.pipeThrough(new TextDecoderStream()).getReader();
+
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let quotePending = false; // Quote seen inside a quoted field - either escaped ("") or closing
+  let atStart = true;
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      let chunk = value;
+      if (atStart) {
+        // Drop the byte order mark spreadsheet exports often start with
+        chunk = chunk.replace(/^\uFEFF/, '');
+        atStart = false;
+      }
+
+      for (const char of chunk) {
+        if (quotePending) {
+          quotePending = false;
+          if (char === '"') {
+            field += '"';
+            continue;
+          }
+          inQuotes = false;
+        }
+
+        if (inQuotes) {
+          if (char === '"') {
+            quotePending = true;
+          } else if (field.length < MAX_FIELD_LENGTH) {
+            field += char;
+          }
+          continue;
+        }
+
+        if (char === '"' && field === '') {
+          inQuotes = true;
+        } else if (char === ',') {
+          row.push(field);
+          field = '';
+        } else if (char === '\n') {
+          row.push(field);
+          yield row;
+          row = [];
+          field = '';
+        } else if (char !== '\r' && field.length < MAX_FIELD_LENGTH) {
+          field += char;
+        }
+      }
+    }
+
+    // Last row without a trailing newline
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      yield row;
+    }
+  } finally {
+    // Stop reading when the caller stops early (e.g. row limit reached)
+    reader.cancel().catch(() => {});
+  }
+}
+
+/**
+ * Format values as one CSV line
+ * Values that a spreadsheet would treat as a formula are prefixed with a quote
+ */
+export function toCsvRow(values) {
+  return values.map(value => {
+    let text = value === undefined || value === null ? '' : String(value);
+
+    if (/^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+
+    if (/[",\r\n]/.test(text)) {
+      return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+  }).join(',');
+}
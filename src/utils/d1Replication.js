@@ -4,6 +4,33 @@
  * This is a write-only module - NO READS from D1
  */
 
+/**
+ * Subscriber columns written to D1, in order
+ */
+const SUBSCRIBER_COLUMNS = `email, email_canonical, ip_address, timestamp, name, locale, source, referrer,
+             utm_source, utm_medium, utm_campaign, utm_term, utm_content`;
+
+/**
+ * Bind a subscriber row to a prepared INSERT statement
+ */
+function bindSubscriber(statement, email, emailCanonical, ipAddress, timestamp, profile = {}) {
+  return statement.bind(
+    email || '',
+    emailCanonical || null,
+    ipAddress || '',
+    timestamp || new Date().toISOString(),
+    profile.name || '',
+    profile.locale || '',
+    profile.source || '',
+    profile.referrer || '',
+    profile.utmSource || '',
+    profile.utmMedium || '',
+    profile.utmCampaign || '',
+    profile.utmTerm || '',
+    profile.utmContent || ''
+  );
+}
+
 /**
  * Replicate subscriber data to D1 (async, non-blocking)
  * @param {Object} env - Environment with D1 binding
@@ -11,59 +38,40 @@
  * @param {string} email - Subscriber email
  * @param {string} ipAddress - IP address
  * @param {string} timestamp - ISO timestamp
+ * @param {Object} profile - Optional profile { name, locale, source, referrer, utmSource, ... }
+ * @param {string} emailCanonical - Canonical address (see canonicalizeEmail), indexed for data requests
  */
-export async function replicateSubscriberToD1(env, ctx, email, ipAddress, timestamp) {
+export async function replicateSubscriberToD1(env, ctx, email, ipAddress, timestamp, profile = {}, emailCanonical = '') {
   // Only proceed if D1 is configured
   if (!env.D1) {
     return;
   }
 
+  const insert = async () => {
+    try {
+      // Insert or replace to always keep latest timestamp
+      await bindSubscriber(
+        env.D1.prepare(
+          `INSERT OR REPLACE INTO subscriber (${SUBSCRIBER_COLUMNS})
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+        ),
+        email, emailCanonical, ipAddress, timestamp, profile
+      ).run();
+    } catch (error) {
+      // Log error but don't throw - this is non-critical
+      // Handle duplicate key or any other errors gracefully
+      if (!error.message?.includes('UNIQUE constraint') && !error.message?.includes('already exists')) {
+        console.error('D1 subscriber replication error (non-critical):', error.message);
+      }
+    }
+  };
+
   // Use waitUntil to run in background after response is sent
   if (ctx && ctx.waitUntil) {
-    ctx.waitUntil(
-      (async () => {
-        try {
-          // Insert or replace to always keep latest timestamp
-          // Table already exists with columns: email, ip_address, timestamp
-          await env.D1.prepare(
-            `INSERT OR REPLACE INTO subscriber (email, ip_address, timestamp)
-             VALUES (?, ?, ?)`
-          )
-          .bind(
-            email || '',
-            ipAddress || '',
-            timestamp || new Date().toISOString()
-          )
-          .run();
-        } catch (error) {
-          // Log error but don't throw - this is non-critical
-          // Handle duplicate key or any other errors gracefully
-          if (!error.message?.includes('UNIQUE constraint') && !error.message?.includes('already exists')) {
-            console.error('D1 subscriber replication error (non-critical):', error.message);
-          }
-        }
-      })()
-    );
+    ctx.waitUntil(insert());
   } else {
     // Fallback: fire and forget without waitUntil
-    (async () => {
-      try {
-        await env.D1.prepare(
-          `INSERT OR REPLACE INTO subscriber (email, ip_address, timestamp)
-           VALUES (?, ?, ?)`
-        )
-        .bind(
-          email || '',
-          ipAddress || '',
-          timestamp || new Date().toISOString()
-        )
-        .run();
-      } catch (error) {
-        if (!error.message?.includes('UNIQUE constraint') && !error.message?.includes('already exists')) {
-          console.error('D1 subscriber replication error (non-critical):', error.message);
-        }
-      }
-    })();
+    insert();
   }
 }
 
@@ -71,7 +79,7 @@ export async function replicateSubscriberToD1(env, ctx, email, ipAddress, timest
  * Replicate contact data to D1 (async, non-blocking)
  * @param {Object} env - Environment with D1 binding
  * @param {ExecutionContext} ctx - Execution context for waitUntil
- * @param {Object} contactData - Contact form data
+ * @param {Object} contactData - Contact form data, with emailCanonical for data requests
  */
 export async function replicateContactToD1(env, ctx, contactData) {
   // Only proceed if D1 is configured
@@ -85,13 +93,14 @@ export async function replicateContactToD1(env, ctx, contactData) {
       (async () => {
         try {
           // Always insert new contact record (append-only)
-          // Table already exists with columns: email, name, phone, subscribed, ip_address, timestamp, message
+          // Table columns: email, email_canonical, name, phone, subscribed, ip_address, timestamp, message
           await env.D1.prepare(
-            `INSERT INTO contact (email, name, phone, subscribed, ip_address, timestamp, message)
-             VALUES (?, ?, ?, ?, ?, ?, ?)`
+            `INSERT INTO contact (email, email_canonical, name, phone, subscribed, ip_address, timestamp, message)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
           )
           .bind(
             contactData.email || '',
+            contactData.emailCanonical || null,
             contactData.name || '',
             contactData.phone || '',
             contactData.subscribed ? 'true' : 'false',  // Convert boolean to text for D1
@@ -111,11 +120,12 @@ export async function replicateContactToD1(env, ctx, contactData) {
     (async () => {
       try {
         await env.D1.prepare(
-          `INSERT INTO contact (email, name, phone, subscribed, ip_address, timestamp, message)
-           VALUES (?, ?, ?, ?, ?, ?, ?)`
+          `INSERT INTO contact (email, email_canonical, name, phone, subscribed, ip_address, timestamp, message)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
         )
         .bind(
           contactData.email || '',
+          contactData.emailCanonical || null,
           contactData.name || '',
           contactData.phone || '',
           contactData.subscribed ? 'true' : 'false',  // Convert boolean to text for D1
@@ -131,7 +141,170 @@ export async function replicateContactToD1(env, ctx, contactData) {
   }
 }
 
-// Batch replication removed - not needed since data is replicated on-the-fly during form submission
+/**
+ * Replicate a suppression list change to D1 (async, non-blocking)
+ * Append-only: every suppress/lift event is a new row so the full history is kept
+ * @param {Object} env - Environment with D1 binding
+ * @param {ExecutionContext} ctx - Execution context for waitUntil
+ * @param {Object} event - { email, emailCanonical, reason, action, source, timestamp }
+ */
+export async function replicateSuppressionToD1(env, ctx, event) {
+  // Only proceed if D1 is configured
+  if (!env.D1) {
+    return;
+  }
+
+  const insert = async () => {
+    try {
+      // Table columns: email, email_canonical, reason, action, source, timestamp
+      await env.D1.prepare(
+        `INSERT INTO suppression (email, email_canonical, reason, action, source, timestamp)
+         VALUES (?, ?, ?, ?, ?, ?)`
+      )
+      .bind(
+        event.email || '',
+        event.emailCanonical || null,
+        event.reason || '',
+        event.action || 'suppressed',
+        event.source || '',
+        event.timestamp || new Date().toISOString()
+      )
+      .run();
+    } catch (error) {
+      // Log error but don't throw - this is non-critical
+      console.error('D1 suppression replication error (non-critical):', error.message);
+    }
+  };
+
+  // Use waitUntil to run in background after response is sent
+  if (ctx && ctx.waitUntil) {
+    ctx.waitUntil(insert());
+  } else {
+    // Fallback: fire and forget without waitUntil
+    insert();
+  }
+}
+
+/**
+ * Replicate a spam complaint to D1 (async, non-blocking)
+ * @param {Object} env - Environment with D1 binding
+ * @param {ExecutionContext} ctx - Execution context for waitUntil
+ * @param {Object} complaint - { email, emailCanonical, postId, feedbackType, timestamp }
+ */
+export async function replicateComplaintToD1(env, ctx, complaint) {
+  // Only proceed if D1 is configured
+  if (!env.D1) {
+    return;
+  }
+
+  const insert = async () => {
+    try {
+      // Table columns: email, email_canonical, post_id, feedback_type, timestamp
+      await env.D1.prepare(
+        `INSERT INTO complaint (email, email_canonical, post_id, feedback_type, timestamp)
+         VALUES (?, ?, ?, ?, ?)`
+      )
+      .bind(
+        complaint.email || '',
+        complaint.emailCanonical || null,
+        complaint.postId || '',
+        complaint.feedbackType || 'abuse',
+        complaint.timestamp || new Date().toISOString()
+      )
+      .run();
+    } catch (error) {
+      // Log error but don't throw - this is non-critical
+      console.error('D1 complaint replication error (non-critical):', error.message);
+    }
+  };
+
+  // Use waitUntil to run in background after response is sent
+  if (ctx && ctx.waitUntil) {
+    ctx.waitUntil(insert());
+  } else {
+    // Fallback: fire and forget without waitUntil
+    insert();
+  }
+}
+
+/**
+ * Replicate a data erasure receipt to D1 (async, non-blocking)
+ * The receipt holds a keyed hash of the address, never the address itself
+ * @param {Object} env - Environment with D1 binding
+ * @param {ExecutionContext} ctx - Execution context for waitUntil
+ * @param {Object} receipt - { emailHash, kvKeysDeleted, d1RowsAffected, erasedAt }
+ */
+export async function replicateErasureToD1(env, ctx, receipt) {
+  // Only proceed if D1 is configured
+  if (!env.D1) {
+    return;
+  }
+
+  const insert = async () => {
+    try {
+      // Table columns: email_hash, kv_keys_deleted, d1_rows_affected, timestamp
+      await env.D1.prepare(
+        `INSERT INTO erasure (email_hash, kv_keys_deleted, d1_rows_affected, timestamp)
+         VALUES (?, ?, ?, ?)`
+      )
+      .bind(
+        receipt.emailHash || '',
+        receipt.kvKeysDeleted || 0,
+        receipt.d1RowsAffected || 0,
+        receipt.erasedAt || new Date().toISOString()
+      )
+      .run();
+    } catch (error) {
+      // Log error but don't throw - this is non-critical
+      console.error('D1 erasure replication error (non-critical):', error.message);
+    }
+  };
+
+  // Use waitUntil to run in background after response is sent
+  if (ctx && ctx.waitUntil) {
+    ctx.waitUntil(insert());
+  } else {
+    // Fallback: fire and forget without waitUntil
+    insert();
+  }
+}
+
+/**
+ * Replicate many subscribers to D1 in a single batch (async, non-blocking)
+ * Used by the admin CSV import, where one query per row would exhaust the subrequest limit
+ * @param {Object} env - Environment with D1 binding
+ * @param {ExecutionContext} ctx - Execution context for waitUntil
+ * @param {Array} subscribers - [{ email, emailCanonical, ipAddress, timestamp, profile }]
+ */
+export async function replicateSubscribersBatchToD1(env, ctx, subscribers) {
+  // Only proceed if D1 is configured
+  if (!env.D1 || !subscribers || subscribers.length === 0) {
+    return;
+  }
+
+  const insert = async () => {
+    try {
+      const statement = env.D1.prepare(
+        `INSERT OR REPLACE INTO subscriber (${SUBSCRIBER_COLUMNS})
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      );
+      await env.D1.batch(subscribers.map(subscriber => bindSubscriber(
+        statement, subscriber.email, subscriber.emailCanonical, subscriber.ipAddress, subscriber.timestamp, subscriber.profile
+      )));
+    } catch (error) {
+      // Log error but don't throw - this is non-critical
+      console.error('D1 subscriber batch replication error (non-critical):', error.message);
+    }
+  };
+
+  // Use waitUntil to run in background after response is sent
+  if (ctx && ctx.waitUntil) {
+    ctx.waitUntil(insert());
+  } else {
+    // Fallback: fire and forget without waitUntil
+    insert();
+  }
+}
 
 /**
  * Helper to check if D1 is available (for debugging)
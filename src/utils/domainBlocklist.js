@@ -0,0 +1,192 @@
+/**
+ * Disposable domain blocklist
+ * Admin-managed domains are stored as one newline-separated KV value and combined with the
+ * built-in list and the DISPOSABLE_DOMAINS env var. Each isolate keeps the combined list in
+ * memory for BLOCKLIST_CACHE_SECONDS, so checks never read KV per address.
+ * Entries are exact domains (mailinator.com) or wildcards (*.mailinator.com - any subdomain)
+ */
+
+// Always blocked, whatever is stored in KV - wildcards cover providers that hand out subdomains
+export const BUILT_IN_BLOCKED_DOMAINS = [
+  'tempmail.com',
+  'guerrillamail.com',
+  '10minutemail.com',
+  'mailinator.com',
+  '*.mailinator.com',
+  'maildrop.cc',
+  'throwawaymail.com',
+  'yopmail.com',
+  'temp-mail.org',
+  'fakeinbox.com',
+  'sharklasers.com',
+  'guerrillamail.info',
+  'grr.la',
+  '*.33mail.com',
+  '*.spamgourmet.com'
+];
+
+const BLOCKLIST_CACHE_SECONDS = 60;
+
+const DOMAIN_PATTERN = /^([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z0-9-]{2,63}$/;
+
+// Combined blocklist for this isolate, rebuilt when it expires or the stored list changes
+let cachedBlocklist = null;
+let cachedAt = 0;
+
+function blocklistKey(config) {
+  return `${config.PREFIX_BLOCKLIST}domains`;
+}
+
+/**
+ * Normalize one blocklist entry - lowercase, IDN converted to punycode, optional *. prefix
+ * @returns {string|null} - null when the entry is not a domain
+ */
+export function normalizeBlocklistEntry(entry) {
+  let value = String(entry || '').trim().toLowerCase().replace(/^@/, '');
+  const wildcard = value.startsWith('*.');
+  if (wildcard) value = value.slice(2);
+  if (!value || /[\s/\\?#@:%[\]<>"*]/.test(value)) return null;
+
+  try {
+    value = new URL(`http://${value}`).hostname;
+  } catch {
+    return null;
+  }
+
+  if (value.length > 253 || !DOMAIN_PATTERN.test(value)) return null;
+  return wildcard ? `*.${value}` : value;
+}
+
+/**
+ * Parse a bulk list - one entry per line (commas also work), # starts a comment
+ * @returns {Object} - { domains, rejected } - domains sorted and deduplicated
+ */
+export function parseBlocklist(text) {
+  const domains = new Set();
+  const rejected = [];
+
+  for (const line of String(text || '').split(/\r?\n/)) {
+    for (const entry of line.replace(/#.*$/, '').split(/[,;\s]+/)) {
+      if (!entry) continue;
+
+      const domain = normalizeBlocklistEntry(entry);
+      if (domain) {
+        domains.add(domain);
+      } else {
+        rejected.push(entry);
+      }
+    }
+  }
+
+  return { domains: [...domains].sort(), rejected };
+}
+
+/**
+ * Build an in-memory blocklist
+ * @returns {Object} - { size, matches(domain) } - matches checks the domain and each parent for wildcards
+ */
+export function createDomainBlocklist(entries) {
+  const exact = new Set();
+  const wildcards = new Set();
+
+  for (const entry of entries) {
+    if (entry.startsWith('*.')) {
+      wildcards.add(entry.slice(2));
+    } else {
+      exact.add(entry);
+    }
+  }
+
+  return {
+    size: exact.size + wildcards.size,
+    matches(domain) {
+      const value = String(domain || '').toLowerCase();
+      if (exact.has(value)) return true;
+
+      for (let dot = value.indexOf('.'); dot !== -1; dot = value.indexOf('.', dot + 1)) {
+        if (wildcards.has(value.slice(dot + 1))) return true;
+      }
+      return false;
+    }
+  };
+}
+
+// Used when no stored list has been loaded (e.g. by synchronous callers)
+export const DEFAULT_BLOCKLIST = createDomainBlocklist(BUILT_IN_BLOCKED_DOMAINS);
+
+/**
+ * Read the admin-managed list from KV
+ * @returns {Object} - { domains, count, updatedAt }
+ */
+export async function getStoredBlocklist(env, config) {
+  const { value, metadata } = await env.KV.getWithMetadata(blocklistKey(config));
+  const domains = value ? value.split('\n').filter(Boolean) : [];
+
+  return {
+    domains,
+    count: domains.length,
+    updatedAt: metadata?.updatedAt || null
+  };
+}
+
+/**
+ * Get the combined blocklist (built-in, DISPOSABLE_DOMAINS env var and KV), cached per isolate
+ * Falls back to the built-in and env entries when KV cannot be read
+ */
+export async function getDomainBlocklist(env, config) {
+  if (cachedBlocklist && Date.now() - cachedAt < BLOCKLIST_CACHE_SECONDS * 1000) {
+    return cachedBlocklist;
+  }
+
+  const entries = [...BUILT_IN_BLOCKED_DOMAINS, ...parseBlocklist(config.DISPOSABLE_DOMAINS).domains];
+
+  try {
+    const stored = await env.KV.get(blocklistKey(config), { cacheTtl: BLOCKLIST_CACHE_SECONDS });
+    if (stored) entries.push(...stored.split('\n').filter(Boolean));
+  } catch (error) {
+    console.error('Error loading domain blocklist:', error);
+    return createDomainBlocklist(entries);
+  }
+
+  cachedBlocklist = createDomainBlocklist(entries);
+  cachedAt = Date.now();
+  return cachedBlocklist;
+}
+
+/**
+ * Replace the stored list, or add entries to it
+ * @param {string} text - Bulk list as accepted by parseBlocklist
+ * @param {string} mode - 'replace' or 'add'
+ * @returns {Object} - { success, message, count, rejected, rejectedCount } - rejected lists the first 100 bad entries
+ */
+export async function saveDomainBlocklist(env, config, text, mode = 'replace') {
+  try {
+    const { domains, rejected } = parseBlocklist(text);
+    let entries = domains;
+
+    if (mode === 'add') {
+      const stored = await getStoredBlocklist(env, config);
+      entries = [...new Set([...stored.domains, ...domains])].sort();
+    }
+
+    const updatedAt = new Date().toISOString();
+    await env.KV.put(blocklistKey(config), entries.join('\n'), {
+      metadata: { count: entries.length, updatedAt }
+    });
+
+    // Other isolates pick the change up when their cached copy expires
+    cachedBlocklist = null;
+
+    console.log(`Domain blocklist saved (${mode}): ${entries.length} entries, ${rejected.length} rejected`);
+    return {
+      success: true,
+      message: `Blocklist saved with ${entries.length} domains`,
+      count: entries.length,
+      rejected: rejected.slice(0, 100),
+      rejectedCount: rejected.length
+    };
+  } catch (error) {
+    console.error('Error saving domain blocklist:', error);
+    return { success: false, message: 'Blocklist could not be saved' };
+  }
+}
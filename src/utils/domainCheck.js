@@ -0,0 +1,173 @@
+/**
+ * Email domain deliverability check
+ * Asks a DNS-over-HTTPS resolver (JSON API, e.g. Cloudflare or Google) whether a domain can
+ * receive mail and caches the answer in KV for TTL_DOMAIN_CHECK.
+ * The resolver is a plain async function so it can be replaced locally or in scripts
+ */
+
+// DNS response codes and record types used by the JSON API
+const DNS_NOERROR = 0;
+const DNS_NXDOMAIN = 3;
+const DNS_TYPE_A = 1;
+const DNS_TYPE_MX = 15;
+const DNS_TYPE_AAAA = 28;
+
+const RESOLVER_TIMEOUT_MS = 3000;
+
+// Domains most often mistyped in signup forms, used for "did you mean" suggestions
+const COMMON_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.uk', 'hotmail.com', 'hotmail.co.uk',
+  'outlook.com', 'live.com', 'msn.com', 'icloud.com', 'me.com', 'aol.com', 'proton.me',
+  'protonmail.com', 'gmx.com', 'gmx.de', 'web.de', 'mail.com', 'yandex.com', 'zoho.com', 'fastmail.com'
+];
+
+// Mistyped top-level domains and what they were meant to be
+const TLD_TYPOS = {
+  con: 'com', cmo: 'com', ocm: 'com', comm: 'com', coom: 'com',
+  vom: 'com', xom: 'com', cpm: 'com', clm: 'com', nte: 'net', ner: 'net', nett: 'net', ogr: 'org', orgg: 'org'
+};
+
+/**
+ * Create a resolver backed by a DNS-over-HTTPS JSON endpoint
+ * @param {string} url - Resolver endpoint, e.g. https://cloudflare-dns.com/dns-query
+ * @param {Function} fetchFn - fetch implementation (defaults to the global fetch)
+ * @returns {Function} - async (name, type) => { status, answers: [{ type, data }] }
+ */
+export function createDohResolver(url, fetchFn = fetch) {
+  return async (name, type) => {
+    const query = `${url}?name=${encodeURIComponent(name)}&type=${encodeURIComponent(type)}`;
+    const response = await fetchFn(query, {
+      headers: { 'Accept': 'application/dns-json' },
+      signal: AbortSignal.timeout(RESOLVER_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      throw new Error(`DNS resolver returned ${response.status}`);
+    }
+
+    const result = await response.json();
+    return {
+      status: result.Status,
+      answers: (result.Answer || []).map(answer => ({ type: answer.type, data: String(answer.data || '') }))
+    };
+  };
+}
+
+/**
+ * Ask the resolver whether a domain accepts mail
+ * MX records decide; without any, RFC 5321 falls back to the domain's own A/AAAA records.
+ * A null MX (RFC 7505, "0 .") explicitly declares that the domain accepts no mail.
+ * Any answer other than NOERROR or NXDOMAIN (SERVFAIL, REFUSED, ...) says nothing about the domain
+ * @returns {boolean|null} - null when the resolver could not answer
+ */
+async function lookupMailHost(resolver, domain) {
+  const mx = await resolver(domain, 'MX');
+  if (mx.status === DNS_NXDOMAIN) return false;
+  if (mx.status !== DNS_NOERROR) return null;
+
+  const exchanges = mx.answers
+    .filter(answer => answer.type === DNS_TYPE_MX)
+    .map(answer => answer.data.trim().split(/\s+/).pop());
+  if (exchanges.length > 0) {
+    return !exchanges.every(exchange => exchange === '.' || exchange === '');
+  }
+
+  for (const [type, code] of [['A', DNS_TYPE_A], ['AAAA', DNS_TYPE_AAAA]]) {
+    const result = await resolver(domain, type);
+    if (result.status !== DNS_NOERROR && result.status !== DNS_NXDOMAIN) return null;
+    if (result.answers.some(answer => answer.type === code)) return true;
+  }
+
+  return false;
+}
+
+/**
+ * Check whether an email domain can receive mail, using the KV cache when possible
+ * Resolver failures and inconclusive answers are not cached and never block a signup
+ * @param {string} domain - ASCII (punycode) domain as returned by validateEmail
+ * @param {Function} resolver - Optional resolver, defaults to DOMAIN_CHECK_RESOLVER_URL
+ * @returns {Object} - { deliverable: true|false|null, cached } - null when the check could not be made
+ */
+export async function checkEmailDomain(env, config, domain, resolver = null) {
+  const key = `${config.PREFIX_DOMAIN_CHECK}${domain}`;
+
+  try {
+    const cached = await env.KV.get(key);
+    if (cached) {
+      return { deliverable: JSON.parse(cached).deliverable, cached: true };
+    }
+  } catch (error) {
+    console.error('Error reading domain check cache:', error);
+  }
+
+  let deliverable;
+  try {
+    deliverable = await lookupMailHost(resolver || createDohResolver(config.DOMAIN_CHECK_RESOLVER_URL), domain);
+  } catch (error) {
+    console.error(`Domain check failed for ${domain}:`, error);
+    return { deliverable: null, cached: false };
+  }
+
+  if (deliverable === null) {
+    console.warn(`Domain check inconclusive for ${domain}`);
+    return { deliverable: null, cached: false };
+  }
+
+  try {
+    await env.KV.put(key, JSON.stringify({ deliverable, checkedAt: new Date().toISOString() }), {
+      expirationTtl: config.TTL_DOMAIN_CHECK
+    });
+  } catch (error) {
+    console.error('Error caching domain check:', error);
+  }
+
+  return { deliverable, cached: false };
+}
+
+/**
+ * Levenshtein distance, stopping early once it exceeds max
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Suggest a correction for a mistyped domain (gmial.con -> gmail.com)
+ * @returns {string|null} - Suggested domain, or null when nothing close is known
+ */
+export function suggestDomain(domain) {
+  const lower = String(domain || '').toLowerCase();
+  if (!lower || COMMON_DOMAINS.includes(lower)) return null;
+
+  const dot = lower.lastIndexOf('.');
+  const tld = lower.slice(dot + 1);
+  const fixed = dot > 0 && TLD_TYPOS[tld] ? `${lower.slice(0, dot)}.${TLD_TYPOS[tld]}` : lower;
+
+  let best = null;
+  let bestDistance = 3;
+  for (const candidate of COMMON_DOMAINS) {
+    const distance = editDistance(fixed, candidate, 2);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  if (best) return best;
+  return fixed !== lower ? fixed : null;
+}
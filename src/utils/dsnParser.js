@@ -0,0 +1,108 @@
+/**
+ * Delivery Status Notification (bounce) parser
+ * Supports RFC 3464 multipart/report DSNs with an X-Failed-Recipients fallback
+ */
+
+import { parseMimeMessage, parseHeaders, findParts } from './mime.js';
+import { RECIPIENT_HEADER, BATCH_HEADER } from '../email/feedbackHeaders.js';
+
+/**
+ * Classify a recipient's delivery status as a hard or soft bounce
+ * @param {string} action - DSN Action field (failed, delayed, delivered, relayed, expanded)
+ * @param {string} status - DSN Status field (e.g. 5.1.1)
+ * @returns {string|null} - 'hard', 'soft' or null when it is not a bounce
+ * Delayed reports are not bounces - the sending MTA is still retrying
+ */
+export function classifyBounce(action, status) {
+  const normalizedAction = String(action || '').toLowerCase();
+  const code = String(status || '').trim();
+
+  if (normalizedAction && normalizedAction !== 'failed') return null;
+
+  // Mailbox full (5.2.2) is usually temporary even when reported as permanent
+  if (code.startsWith('5.2.2')) return 'soft';
+  if (code.startsWith('5.')) return 'hard';
+  if (code.startsWith('4.')) return 'soft';
+
+  // Failed without a usable status code - treat as permanent
+  return normalizedAction === 'failed' ? 'hard' : null;
+}
+
+/**
+ * Strip the address type from a DSN recipient field ("rfc822; user@example.com")
+ */
+function parseRecipientField(value) {
+  const address = String(value || '').split(';').pop().trim();
+  return address.replace(/^<|>$/g, '').toLowerCase();
+}
+
+/**
+ * Parse the body of a message/delivery-status part
+ * The first field group is per-message, every following group describes one recipient
+ */
+export function parseDeliveryStatus(text) {
+  const groups = String(text || '').split(/\r?\n[ \t]*\r?\n/).filter(group => group.trim());
+  const recipients = [];
+
+  for (const group of groups.slice(1)) {
+    const fields = parseHeaders(group);
+    const email = parseRecipientField(fields['final-recipient'] || fields['original-recipient']);
+    if (!email || !email.includes('@')) continue;
+
+    recipients.push({
+      email,
+      action: (fields['action'] || '').toLowerCase(),
+      status: fields['status'] || '',
+      diagnosticCode: fields['diagnostic-code'] || '',
+      type: classifyBounce(fields['action'], fields['status'])
+    });
+  }
+
+  return recipients;
+}
+
+/**
+ * Parse a raw inbound message as a bounce
+ * @param {string} raw - Raw RFC 5322 message
+ * @returns {Object} - { isBounce, recipients, recipientToken, batchToken, originalHeaders }
+ * recipientToken and batchToken are the signed X-Newsletter-Recipient / X-Newsletter-Batch headers
+ * of the bounced message, when returned
+ */
+export function parseBounce(raw) {
+  const root = parseMimeMessage(raw);
+
+  // Headers of the message that bounced (if the reporting MTA returned them)
+  const [original] = findParts(root, node =>
+    node.contentType.type === 'text/rfc822-headers' || node.contentType.type === 'message/rfc822'
+  );
+  let originalHeaders = null;
+  if (original) {
+    originalHeaders = original.message ? original.message.headers : parseHeaders(original.body);
+  }
+  const recipientToken = originalHeaders?.[RECIPIENT_HEADER.toLowerCase()] || '';
+  const batchToken = originalHeaders?.[BATCH_HEADER.toLowerCase()] || '';
+
+  const isReport = root.contentType.type === 'multipart/report' &&
+    String(root.contentType.params['report-type'] || '').toLowerCase().includes('delivery-status');
+
+  const statusParts = findParts(root, node =>
+    node.contentType.type === 'message/delivery-status' || node.contentType.type === 'message/global-delivery-status'
+  );
+
+  if (isReport || statusParts.length > 0) {
+    const recipients = statusParts.flatMap(part => parseDeliveryStatus(part.body));
+    return { isBounce: recipients.length > 0, recipients, recipientToken, batchToken, originalHeaders };
+  }
+
+  // Non-standard bounces (e.g. some Exim/qmail setups) only name the failed recipients in a header
+  const failed = root.headers['x-failed-recipients'];
+  if (failed) {
+    const recipients = failed.split(',')
+      .map(address => address.trim().toLowerCase())
+      .filter(address => address.includes('@'))
+      .map(email => ({ email, action: 'failed', status: '', diagnosticCode: '', type: 'hard' }));
+    return { isBounce: recipients.length > 0, recipients, recipientToken, batchToken, originalHeaders };
+  }
+
+  return { isBounce: false, recipients: [], recipientToken, batchToken, originalHeaders };
+}
@@ -0,0 +1,248 @@
+/**
+ * Email HTML Sanitizer - allowlist cleanup of feed article HTML for inclusion in emails
+ * Scripts, styles, iframes, forms and embedded media are removed with their content, unknown tags
+ * are unwrapped, links and images are made absolute against the post URL and images are limited
+ * to the width of the email body. The output is balanced so it cannot break the surrounding layout
+ */
+
+import { escapeHtml } from './sanitize.js';
+
+// Removed together with everything inside them
+const DROP_WITH_CONTENT = new Set([
+  'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'applet', 'form', 'noscript',
+  'template', 'svg', 'math', 'canvas', 'audio', 'video', 'select', 'textarea', 'button', 'head', 'title'
+]);
+
+// Dropped elements whose content is raw text - a "<script>" string inside one is not a tag
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title', 'noscript', 'template']);
+
+// Elements without content or closing tag
+const VOID_ELEMENTS = new Set(['br', 'hr', 'img', 'col', 'wbr', 'input', 'link', 'meta', 'base', 'param', 'source', 'track', 'embed', 'area']);
+
+// Allowed elements and their attributes - href, src and style are checked separately
+const ALLOWED_ELEMENTS = {
+  a: ['href', 'title'],
+  img: ['src', 'alt', 'title', 'width', 'height'],
+  p: [], br: [], hr: [], div: [], span: [],
+  h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+  ul: [], ol: ['start', 'type'], li: [], dl: [], dt: [], dd: [],
+  blockquote: [], pre: [], code: [], kbd: [], samp: [], var: [],
+  em: [], strong: [], b: [], i: [], u: [], s: [], strike: [], del: [], ins: [], mark: [],
+  sub: [], sup: [], small: [], abbr: ['title'], cite: [], q: [], time: ['datetime'],
+  figure: [], figcaption: [],
+  table: ['width', 'border', 'cellpadding', 'cellspacing'], caption: [], thead: [], tbody: [], tfoot: [],
+  tr: [], th: ['colspan', 'rowspan', 'scope', 'width'], td: ['colspan', 'rowspan', 'width'], colgroup: ['span'], col: ['span', 'width']
+};
+
+// Allowed on every allowed element
+const GLOBAL_ATTRIBUTES = ['style', 'dir', 'lang', 'align', 'valign'];
+
+// Inline style declarations that could load content or escape the email layout (CSS escapes can hide either)
+const UNSAFE_STYLE = /url\s*\(|expression\s*\(|javascript:|behavior\s*:|-moz-binding|@import|\\|^\s*position\s*:/i;
+
+const LINK_PROTOCOLS = ['http:', 'https:', 'mailto:', 'tel:'];
+const IMAGE_PROTOCOLS = ['http:', 'https:'];
+
+// Width of the content area in the newsletter layouts (600px body minus padding)
+export const MAX_IMAGE_WIDTH = 560;
+
+// Larger sanitized articles are sent as an excerpt - the queue header is rewritten after every batch
+const MAX_ARTICLE_SIZE = 100 * 1024;
+
+const TOKEN_PATTERN = /<!--[\s\S]*?(?:-->|$)|<![^>]*>|<\?[^>]*>|<\/?([a-zA-Z][a-zA-Z0-9:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/g;
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+/**
+ * Decode the entities that can hide a URL scheme (jav&#x61;script:)
+ */
+function decodeAttribute(value) {
+  const character = (code) => code <= 0x10FFFF ? String.fromCodePoint(code) : '';
+
+  return value
+    .replace(/&#x([0-9a-f]+);?/gi, (match, hex) => character(parseInt(hex, 16)))
+    .replace(/&#(\d+);?/g, (match, num) => character(parseInt(num, 10)))
+    .replace(/&quot;/gi, '"')
+    .replace(/&apos;/gi, "'")
+    .replace(/&lt;/gi, '<')
+    .replace(/&gt;/gi, '>')
+    .replace(/&amp;/gi, '&');
+}
+
+/**
+ * Resolve a URL against the post URL
+ * @returns {string|null} - Absolute URL, or null when it is invalid or uses another protocol
+ */
+function resolveUrl(value, baseUrl, protocols) {
+  // Browsers ignore control characters inside URLs (java\tscript:)
+  const cleaned = value.replace(/[\x00-\x1F\x7F]/g, '').trim();
+  if (!cleaned) return null;
+
+  try {
+    const url = baseUrl ? new URL(cleaned, baseUrl) : new URL(cleaned);
+    return protocols.includes(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Keep only the safe declarations of an inline style
+ */
+function sanitizeStyle(value) {
+  return value
+    .split(';')
+    .map(declaration => declaration.trim())
+    .filter(declaration => declaration.includes(':') && !UNSAFE_STYLE.test(declaration))
+    .join('; ');
+}
+
+/**
+ * Build the attribute string for an allowed element, or null when the element must be dropped
+ */
+function sanitizeAttributes(tag, rawAttributes, baseUrl, maxImageWidth) {
+  const allowed = ALLOWED_ELEMENTS[tag];
+  const attributes = {};
+
+  for (const match of rawAttributes.matchAll(ATTRIBUTE_PATTERN)) {
+    const name = match[1].toLowerCase();
+    const value = decodeAttribute(match[2] ?? match[3] ?? match[4] ?? '');
+    if (!allowed.includes(name) && !GLOBAL_ATTRIBUTES.includes(name)) continue;
+
+    if (name === 'href') {
+      const url = resolveUrl(value, baseUrl, LINK_PROTOCOLS);
+      if (url) attributes.href = url;
+    } else if (name === 'src') {
+      const url = resolveUrl(value, baseUrl, IMAGE_PROTOCOLS);
+      if (url) attributes.src = url;
+    } else if (name === 'style') {
+      const style = sanitizeStyle(value);
+      if (style) attributes.style = style;
+    } else {
+      attributes[name] = value;
+    }
+  }
+
+  if (tag === 'img') {
+    if (!attributes.src) return null;
+
+    // Outlook ignores max-width, so inline sizes are removed and the width attribute is clamped instead
+    const declarations = (attributes.style || '').split('; ').filter(Boolean);
+    const inlineWidth = declarations.find(declaration => /^width\s*:\s*\d+(\.\d+)?(px)?$/i.test(declaration));
+    const style = declarations.filter(declaration => !/^(min-|max-)?(width|height)\s*:/i.test(declaration));
+    if (!attributes.width && inlineWidth) attributes.width = String(parseInt(inlineWidth.split(':')[1], 10));
+
+    // A fixed width wider than the email is scaled down; the height follows the aspect ratio
+    const width = parseInt(attributes.width, 10);
+    const percent = /%$/.test(attributes.width || '');
+    if (!width || width > (percent ? 100 : maxImageWidth)) {
+      attributes.width = String(maxImageWidth);
+      delete attributes.height;
+    }
+    attributes.style = [...style, 'max-width: 100%; height: auto; border: 0'].join('; ');
+  }
+
+  return Object.entries(attributes)
+    .map(([name, value]) => ` ${name}="${escapeHtml(value)}"`)
+    .join('');
+}
+
+/**
+ * Sanitize article HTML for an email body
+ * @param {string} html - Article HTML from the feed
+ * @param {string} baseUrl - Post URL that relative links and images are resolved against
+ * @param {Object} options - { maxImageWidth }
+ * @returns {string} - Balanced HTML containing only allowed elements and attributes
+ */
+export function sanitizeEmailHtml(html, baseUrl, options = {}) {
+  const maxImageWidth = options.maxImageWidth || MAX_IMAGE_WIDTH;
+  const source = String(html || '');
+  const output = [];
+  const open = [];
+  let dropping = null;
+  let dropDepth = 0;
+  let last = 0;
+
+  const tokens = new RegExp(TOKEN_PATTERN);
+  let match;
+
+  const text = (value) => value.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+  while ((match = tokens.exec(source)) !== null) {
+    if (!dropping && match.index > last) output.push(text(source.slice(last, match.index)));
+    last = match.index + match[0].length;
+
+    // Comments, doctypes and processing instructions
+    if (!match[1]) continue;
+
+    const tag = match[1].toLowerCase();
+    const closing = match[0].startsWith('</');
+
+    // Raw text ends at the first matching close tag, whatever it contains - continue after it
+    // (also inside a dropped element, whose nesting count must not see the raw text)
+    if (RAW_TEXT_ELEMENTS.has(tag)) {
+      if (!closing) {
+        const close = new RegExp(`</${tag}[\\s/>]`, 'gi');
+        close.lastIndex = last;
+        const end = close.exec(source) ? source.indexOf('>', close.lastIndex - 1) : -1;
+        last = end === -1 ? source.length : end + 1;
+        tokens.lastIndex = last;
+      }
+      continue;
+    }
+
+    // Skip everything up to the matching close of a dropped element
+    if (dropping) {
+      if (tag === dropping) dropDepth += closing ? -1 : 1;
+      if (dropDepth === 0) dropping = null;
+      continue;
+    }
+
+    if (DROP_WITH_CONTENT.has(tag)) {
+      if (!closing && !match[0].endsWith('/>')) {
+        dropping = tag;
+        dropDepth = 1;
+      }
+      continue;
+    }
+
+    // Unknown elements are unwrapped - their text stays
+    if (!ALLOWED_ELEMENTS[tag]) continue;
+
+    if (closing) {
+      const index = open.lastIndexOf(tag);
+      if (index === -1) continue;
+      while (open.length > index) output.push(`</${open.pop()}>`);
+      continue;
+    }
+
+    const attributes = sanitizeAttributes(tag, match[2] || '', baseUrl, maxImageWidth);
+    if (attributes === null) continue;
+
+    output.push(`<${tag}${attributes}>`);
+    if (!VOID_ELEMENTS.has(tag)) open.push(tag);
+  }
+
+  if (!dropping && last < source.length) output.push(text(source.slice(last)));
+  while (open.length > 0) output.push(`</${open.pop()}>`);
+
+  return output.join('').trim();
+}
+
+/**
+ * Get the sanitized full article for a feed item in full-article mode
+ * Used for queued posts and the template editor preview, so both show what will be sent.
+ * Relative links resolve against the post URL as published (normalization drops the trailing slash)
+ * @param {string} contentMode - The feed's content mode ('excerpt' or 'full')
+ * @returns {string} - Email-safe HTML, or '' when the newsletter shows an excerpt
+ */
+export function getArticleContent(item, contentMode) {
+  if (contentMode !== 'full' || !item.content) return '';
+
+  const content = sanitizeEmailHtml(item.content, item.url);
+  if (content.length > MAX_ARTICLE_SIZE) {
+    console.log(`Article too large for the email (${content.length} bytes), sending an excerpt: ${item.title}`);
+    return '';
+  }
+
+  return content;
+}
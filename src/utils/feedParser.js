@@ -82,6 +82,8 @@ function parseRss2Items(xml) {
       categories: ['category'],
       enclosure: ['enclosure']
     });
+    item.image = extractImageFromXml(block);
+    item.content = extractContentFromXml(block, ['content:encoded', 'description']);
 
     if (item.url) {
       items.push(normalizeItem(item));
@@ -126,6 +128,8 @@ function parseAtomEntries(xml) {
     });
 
     item.url = url || item.guid;
+    item.image = extractImageFromXml(block);
+    item.content = extractContentFromXml(block, ['content'], 'text');
 
     if (item.url) {
       items.push(normalizeItem(item));
@@ -156,6 +160,9 @@ function parseRss1Items(xml) {
       categories: ['dc:subject', 'category']
     });
 
+    item.image = extractImageFromXml(block);
+    item.content = extractContentFromXml(block, ['content:encoded', 'description']);
+
     // Check rdf:about attribute on item element
     if (!item.url) {
       const aboutMatch = match[0].match(/rdf:about=["']([^"']+)["']/i);
@@ -188,10 +195,13 @@ function parseJsonFeed(jsonStr) {
           url: item.url || item.external_url || item.id || '',
           guid: item.id || item.url || '',
           pubDate: item.date_published || item.date_modified || '',
-          description: item.content_html || item.content_text || item.summary || '',
+          description: cleanText(item.content_html || '') || item.content_text || item.summary || '',
+          content: item.content_html || textToHtml(item.content_text),
           author: item.author?.name || item.authors?.[0]?.name || '',
           categories: item.tags || [],
-          enclosure: item.attachments?.[0]?.url || ''
+          enclosure: item.attachments?.[0]?.url || '',
+          image: item.image || item.banner_image ||
+            (item.attachments || []).find(attachment => /^image\//i.test(attachment.mime_type || ''))?.url || ''
         };
 
         if (normalizedItem.url) {
@@ -279,6 +289,91 @@ function extractFieldsFromXml(xmlBlock, fieldMappings) {
   return item;
 }
 
+/**
+ * Find an item's featured image - Media RSS content or thumbnail, an image enclosure
+ * (RSS enclosure or Atom link rel="enclosure") or an iTunes image
+ */
+function extractImageFromXml(xmlBlock) {
+  const attribute = (attrs, name) => decodeHtmlEntities((attrs.match(new RegExp(`\\b${name}=["']([^"']+)["']`, 'i')) || [])[1] || '');
+  const isImage = (attrs, url) => /^image\//i.test(attribute(attrs, 'type')) ||
+    attribute(attrs, 'medium').toLowerCase() === 'image' ||
+    (!attribute(attrs, 'type') && !attribute(attrs, 'medium') && isImageUrl(url));
+
+  for (const match of xmlBlock.matchAll(/<media:content\b([^>]*)>/gi)) {
+    const url = attribute(match[1], 'url');
+    if (url && isImage(match[1], url)) return url;
+  }
+
+  const thumbnail = xmlBlock.match(/<media:thumbnail\b([^>]*)>/i);
+  if (thumbnail && attribute(thumbnail[1], 'url')) return attribute(thumbnail[1], 'url');
+
+  for (const match of xmlBlock.matchAll(/<enclosure\b([^>]*)>/gi)) {
+    const url = attribute(match[1], 'url');
+    if (url && isImage(match[1], url)) return url;
+  }
+
+  for (const match of xmlBlock.matchAll(/<link\b([^>]*)>/gi)) {
+    const url = attribute(match[1], 'href');
+    if (url && attribute(match[1], 'rel') === 'enclosure' && isImage(match[1], url)) return url;
+  }
+
+  const itunes = xmlBlock.match(/<itunes:image\b([^>]*)>/i);
+  return itunes ? attribute(itunes[1], 'href') : '';
+}
+
+/**
+ * Extract an item's full article HTML from the first matching element - unlike cleanText the markup is kept
+ * Escaped HTML is decoded; Atom content is XHTML markup when type="xhtml" and plain text without a type
+ * @param {string} defaultType - Content type when the element has no type attribute
+ */
+function extractContentFromXml(xmlBlock, tags, defaultType = 'html') {
+  for (const tag of tags) {
+    const match = xmlBlock.match(new RegExp(`<${tag}(\\s[^>]*)?>([\\s\\S]*?)<\\/${tag}>`, 'i'));
+    if (!match || !match[2].trim()) continue;
+
+    const type = (((match[1] || '').match(/\btype=["']([^"']+)["']/i) || [])[1] || defaultType).toLowerCase();
+    const body = match[2].trim();
+
+    if (type.includes('xhtml')) return body;
+
+    const isCdata = /^<!\[CDATA\[/.test(body);
+    const content = body.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1');
+    const decoded = isCdata ? content : decodeHtmlEntities(content);
+    return type.includes('html') ? decoded.trim() : textToHtml(decoded);
+  }
+
+  return '';
+}
+
+/**
+ * Turn plain-text content into escaped HTML paragraphs
+ */
+function textToHtml(text) {
+  return String(text || '')
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .map(paragraph => `<p>${paragraph.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')}</p>`)
+    .join('\n');
+}
+
+/**
+ * Check whether a URL points to an image file by its extension
+ */
+function isImageUrl(url) {
+  return /\.(jpe?g|png|gif|webp|avif)(\?|#|$)/i.test(String(url || ''));
+}
+
+/**
+ * Get the featured image of a stored post - queues created before images were parsed
+ * only have the enclosure, which is used when it looks like an image
+ * @returns {string} - http(s) image URL, or '' when the post has none
+ */
+export function getPostImage(post) {
+  const url = post?.image || (isImageUrl(post?.enclosure) ? post.enclosure : '');
+  return /^https?:\/\//i.test(url) ? url : '';
+}
+
 /**
  * Clean and normalize text content
  */
@@ -347,7 +442,9 @@ function normalizeItem(item) {
     description: truncateDescription(item.description || ''),
     author: item.author || '',
     categories: Array.isArray(item.categories) ? item.categories : [],
-    enclosure: item.enclosure || ''
+    enclosure: item.enclosure || '',
+    image: /^https?:\/\//i.test(item.image || '') ? item.image.trim() : '',
+    content: item.content || ''
   };
 }
 
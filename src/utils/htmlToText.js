@@ -0,0 +1,266 @@
+/**
+ * HTML to plain text - builds the text/plain part of an email from its HTML
+ * Keeps the structure readable: headings are underlined, paragraphs separated by a blank line,
+ * list items bulleted or numbered, quotes prefixed with "> ", images replaced by their alt text
+ * and links numbered ([1]) with the URLs listed as footnotes at the end
+ */
+
+// Removed together with everything inside them
+const SKIP_WITH_CONTENT = new Set(['head', 'title', 'style', 'script', 'noscript', 'template', 'svg', 'object', 'iframe', 'select', 'textarea']);
+
+// Skipped elements whose content is raw text - a "<script>" string inside one is not a tag
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title', 'noscript', 'template']);
+
+// Elements without content or closing tag
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+
+// Blocks followed by a blank line; other block elements only start a new line
+const PARAGRAPH_ELEMENTS = new Set(['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'dl', 'blockquote', 'pre', 'table', 'figure', 'hr']);
+const LINE_ELEMENTS = new Set([
+  'div', 'li', 'dt', 'dd', 'tr', 'caption', 'figcaption', 'section', 'article', 'header', 'footer',
+  'main', 'nav', 'aside', 'address', 'center', 'form', 'fieldset', 'details', 'summary'
+]);
+
+const SEPARATOR = '-------------------------------------';
+
+const TOKEN_PATTERN = /<!--[\s\S]*?(?:-->|$)|<![^>]*>|<\?[^>]*>|<(\/?)([a-zA-Z][a-zA-Z0-9:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/g;
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  mdash: '—', ndash: '–', hellip: '…', laquo: '«', raquo: '»', lsquo: '‘', rsquo: '’',
+  ldquo: '“', rdquo: '”', bull: '•', middot: '·', copy: '©', reg: '®', trade: '™', euro: '€'
+};
+
+/**
+ * Decode entities in a single pass so &amp;lt; stays &lt;
+ */
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      if (code === 160) return ' ';
+      return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : '';
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+function parseAttributes(rawAttributes) {
+  const attributes = {};
+  for (const match of rawAttributes.matchAll(ATTRIBUTE_PATTERN)) {
+    const name = match[1].toLowerCase();
+    if (!(name in attributes)) attributes[name] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+  }
+  return attributes;
+}
+
+/**
+ * Only links a reader can open get a footnote - not anchors or script links
+ */
+function isFootnoteUrl(href) {
+  return /^(https?:|mailto:|tel:)/i.test(href) || /^\{\{\s*[a-z_]+\s*\}\}$/i.test(href);
+}
+
+/**
+ * Convert email HTML to plain text
+ * @param {string} html - Email or article HTML
+ * @returns {string} - Text with the link URLs as numbered footnotes
+ */
+export function htmlToText(html) {
+  const source = String(html || '');
+  const links = [];
+  const lists = [];
+  const openLinks = [];
+  let output = '';
+  let pendingBreaks = 0;
+  let marker = '';
+  let quoteDepth = 0;
+  let preDepth = 0;
+  let heading = null;
+  let skipping = null;
+  let skipDepth = 0;
+  let last = 0;
+
+  // Quote markers and list indentation for the start of a line
+  const linePrefix = () => '> '.repeat(quoteDepth) + '  '.repeat(Math.max(lists.length - 1, 0));
+
+  const breakLine = (count) => {
+    if (output) pendingBreaks = Math.max(pendingBreaks, count);
+  };
+
+  // Nested lists only start a new line
+  const breakBlock = (tag) => {
+    if (PARAGRAPH_ELEMENTS.has(tag)) breakLine((tag === 'ul' || tag === 'ol') && lists.length > 0 ? 1 : 2);
+    if (LINE_ELEMENTS.has(tag)) breakLine(1);
+  };
+
+  const write = (text) => {
+    let value = preDepth > 0 ? text : text.replace(/\s+/g, ' ');
+    const atLineStart = pendingBreaks > 0 || !output || output.endsWith('\n');
+
+    if (atLineStart && preDepth === 0) value = value.replace(/^ /, '');
+    if (!value) return;
+    if (!atLineStart && value.startsWith(' ') && output.endsWith(' ')) value = value.slice(1);
+    if (!value) return;
+
+    if (pendingBreaks > 0) {
+      output += '\n'.repeat(pendingBreaks);
+      pendingBreaks = 0;
+    }
+    if (!output || output.endsWith('\n')) {
+      output += linePrefix() + marker;
+      marker = '';
+    }
+    output += value.replace(/\n/g, `\n${linePrefix()}`);
+  };
+
+  const openTag = (tag, attributes) => {
+    breakBlock(tag);
+
+    switch (tag) {
+      case 'br':
+        // Two in a row leave a blank line
+        if (output) pendingBreaks = Math.min(pendingBreaks + 1, 2);
+        break;
+      case 'hr':
+        write(SEPARATOR);
+        breakLine(2);
+        break;
+      case 'h1':
+      case 'h2':
+        heading = { tag, start: output.length };
+        break;
+      case 'ul':
+      case 'ol':
+        lists.push({ ordered: tag === 'ol', count: parseInt(attributes.start, 10) || 1 });
+        break;
+      case 'li': {
+        const list = lists[lists.length - 1];
+        marker = list?.ordered ? `${list.count++}. ` : '* ';
+        break;
+      }
+      case 'blockquote':
+        quoteDepth++;
+        break;
+      case 'pre':
+        preDepth++;
+        break;
+      case 'td':
+      case 'th':
+        if (!output.endsWith('\n') && pendingBreaks === 0) write(' ');
+        break;
+      case 'img':
+        if (attributes.alt && attributes.alt.trim()) write(` [${attributes.alt.trim()}] `);
+        break;
+      case 'a':
+        openLinks.push({ href: (attributes.href || '').trim(), start: output.length });
+        break;
+    }
+  };
+
+  const closeTag = (tag) => {
+    switch (tag) {
+      case 'h1':
+      case 'h2':
+        if (heading?.tag === tag && output.length > heading.start) {
+          const title = output.slice(output.lastIndexOf('\n') + 1).replace(/^[> ]+/, '').trim();
+          breakLine(1);
+          write((tag === 'h1' ? '=' : '-').repeat(Math.min([...title].length, 60)));
+        }
+        heading = null;
+        break;
+      case 'ul':
+      case 'ol':
+        lists.pop();
+        break;
+      case 'blockquote':
+        quoteDepth = Math.max(quoteDepth - 1, 0);
+        break;
+      case 'pre':
+        preDepth = Math.max(preDepth - 1, 0);
+        break;
+      case 'a': {
+        const link = openLinks.pop();
+        if (!link || !isFootnoteUrl(link.href)) break;
+
+        const label = output.slice(link.start).trim();
+        const bare = link.href.replace(/^mailto:/i, '');
+        if (!label) {
+          write(link.href);
+        } else if (label !== bare && label.replace(/\/$/, '') !== bare.replace(/\/$/, '')) {
+          let number = links.indexOf(link.href) + 1;
+          if (number === 0) number = links.push(link.href);
+          write(` [${number}]`);
+        }
+        break;
+      }
+    }
+
+    breakBlock(tag);
+  };
+
+  const tokens = new RegExp(TOKEN_PATTERN);
+  let match;
+
+  while ((match = tokens.exec(source)) !== null) {
+    if (!skipping && match.index > last) write(decodeEntities(source.slice(last, match.index)));
+    last = match.index + match[0].length;
+
+    // Comments, doctypes and processing instructions
+    if (!match[2]) continue;
+
+    const tag = match[2].toLowerCase();
+    const closing = !!match[1];
+
+    // Raw text ends at the first matching close tag, whatever it contains - continue after it
+    if (RAW_TEXT_ELEMENTS.has(tag)) {
+      if (!closing) {
+        const close = new RegExp(`</${tag}[\\s/>]`, 'gi');
+        close.lastIndex = last;
+        const end = close.exec(source) ? source.indexOf('>', close.lastIndex - 1) : -1;
+        last = end === -1 ? source.length : end + 1;
+        tokens.lastIndex = last;
+      }
+      continue;
+    }
+
+    // Skip everything up to the matching close of a skipped element
+    if (skipping) {
+      if (tag === skipping && !VOID_ELEMENTS.has(tag)) skipDepth += closing ? -1 : 1;
+      if (skipDepth === 0) skipping = null;
+      continue;
+    }
+
+    if (closing) {
+      closeTag(tag);
+      continue;
+    }
+
+    const attributes = parseAttributes(match[3] || '');
+
+    // Hidden content (preheaders, tracking blocks) is not part of the text
+    const hidden = SKIP_WITH_CONTENT.has(tag) || /display\s*:\s*none/i.test(attributes.style || '');
+    if (hidden && !VOID_ELEMENTS.has(tag) && !match[0].endsWith('/>')) {
+      skipping = tag;
+      skipDepth = 1;
+      continue;
+    }
+
+    openTag(tag, attributes);
+    if (VOID_ELEMENTS.has(tag)) closeTag(tag);
+  }
+
+  if (!skipping && last < source.length) write(decodeEntities(source.slice(last)));
+
+  let text = output
+    .replace(/[ \t]+$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  if (links.length > 0) {
+    text += `\n\n${SEPARATOR}\n${links.map((url, index) => `[${index + 1}] ${url}`).join('\n')}`;
+  }
+
+  return text;
+}
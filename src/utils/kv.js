@@ -2,6 +2,19 @@
  * KV Storage utility functions
  */
 
+import {
+  SUPPRESSION_REASONS,
+  addSuppression,
+  removeSuppression,
+  getSuppression,
+  getSuppressedEmails,
+  isSuppressed,
+  canSelfResubscribe
+} from './suppression.js';
+import { toCsvRow } from './csv.js';
+import { SUBSCRIBER_PROFILE_FIELDS, canonicalizeEmail } from './validation.js';
+import { adjustCounters } from './counters.js';
+
 /**
  * Get all items with a specific prefix
  */
@@ -41,14 +54,93 @@ export async function getAllByPrefix(env, prefix, limit = 1000) {
 }
 
 /**
- * Get all subscriber emails
+ * Parse a stored subscriber value (JSON record or legacy plain email string)
  */
-export async function getAllSubscribers(env, config) {
+function parseSubscriberRecord(data) {
+  try {
+    const subscriberData = JSON.parse(data);
+    if (subscriberData && typeof subscriberData === 'object') {
+      return subscriberData;
+    }
+  } catch {
+    // Fall through to plain email string (old format)
+  }
+
+  if (typeof data === 'string' && data.includes('@')) {
+    return { email: data };
+  }
+
+  return null;
+}
+
+// Subscriber fields copied into key metadata so the roster loads from list calls alone
+// (status keeps legacy pending records out of sends after migration)
+const ROSTER_FIELDS = ['email', 'status', 'topics', 'delivery', 'name', 'locale'];
+
+// Cloudflare KV rejects metadata larger than 1024 bytes once serialized
+const MAX_METADATA_BYTES = 1024;
+
+/**
+ * Build the key metadata stored alongside a subscriber record
+ * Oversized metadata is reduced to the address and flagged so readers fetch the full record
+ */
+function buildRosterMetadata(record) {
+  const metadata = {};
+  for (const field of ROSTER_FIELDS) {
+    if (record[field] !== undefined && record[field] !== '') {
+      metadata[field] = record[field];
+    }
+  }
+
+  if (new TextEncoder().encode(JSON.stringify(metadata)).length > MAX_METADATA_BYTES) {
+    return { email: record.email, partial: true };
+  }
+  return metadata;
+}
+
+/**
+ * Write a subscriber record together with its roster metadata
+ */
+async function putSubscriberRecord(env, key, record) {
+  await env.KV.put(key, JSON.stringify(record), {
+    metadata: buildRosterMetadata(record)
+  });
+}
+
+/**
+ * Find the record for an address under a prefix (subscriber or pending subscriber)
+ * Records are keyed by the canonical address - records written before canonicalization
+ * are still found under the typed address
+ * @returns {Object|null} - { key, data }
+ */
+export async function findEmailRecord(env, config, prefix, email) {
+  const canonicalKey = `${prefix}${canonicalizeEmail(email, config)}`;
+  const data = await env.KV.get(canonicalKey);
+  if (data) return { key: canonicalKey, data };
+
+  const typedKey = `${prefix}${email}`;
+  if (typedKey !== canonicalKey) {
+    const legacy = await env.KV.get(typedKey);
+    if (legacy) return { key: typedKey, data: legacy };
+  }
+
+  return null;
+}
+
+/**
+ * Get all active subscriber records (email plus preferences)
+ * Records come from key metadata - only keys written before the roster migration (or with
+ * oversized metadata) cost a KV read each
+ */
+export async function getAllSubscriberRecords(env, config) {
   const subscribers = [];
   let cursor = null;
   let hasMore = true;
 
   try {
+    // Suppressed addresses never receive newsletters, even if a subscriber key survived
+    const suppressed = await getSuppressedEmails(env, config);
+
     while (hasMore) {
       const list = await env.KV.list({
         prefix: config.PREFIX_SUBSCRIBER,
@@ -60,19 +152,18 @@ export async function getAllSubscribers(env, config) {
 
       for (const key of list.keys) {
         try {
-          const data = await env.KV.get(key.name);
+          const data = key.metadata?.email && !key.metadata.partial ? key.metadata : await env.KV.get(key.name);
           if (data) {
-            // Try to parse as JSON first (new format)
-            try {
-              const subscriberData = JSON.parse(data);
-              if (subscriberData.email && subscriberData.email.includes('@')) {
-                subscribers.push(subscriberData.email);
-              }
-            } catch {
-              // Fall back to plain email string (old format)
-              if (typeof data === 'string' && data.includes('@')) {
-                subscribers.push(data);
-              }
+            const subscriberData = typeof data === 'string' ? parseSubscriberRecord(data) : data;
+            // Never send newsletters to unconfirmed addresses
+            if (!subscriberData || subscriberData.status === 'pending') {
+              continue;
+            }
+            if (isSuppressed(suppressed, config, subscriberData.email)) {
+              continue;
+            }
+            if (subscriberData.email && subscriberData.email.includes('@')) {
+              subscribers.push(subscriberData);
             }
           }
         } catch (error) {
@@ -90,44 +181,279 @@ export async function getAllSubscribers(env, config) {
   return subscribers;
 }
 
+/**
+ * Get all subscriber emails
+ */
+export async function getAllSubscribers(env, config) {
+  const records = await getAllSubscriberRecords(env, config);
+  return records.map(record => record.email);
+}
+
+/**
+ * Get a single subscriber record
+ */
+export async function getSubscriber(env, config, email) {
+  const found = await findEmailRecord(env, config, config.PREFIX_SUBSCRIBER, email);
+  if (!found) return null;
+
+  const record = parseSubscriberRecord(found.data);
+  if (record && !record.email) {
+    record.email = email;
+  }
+  return record;
+}
+
+/**
+ * Update preferences stored on a subscriber record
+ */
+export async function updateSubscriberPreferences(env, config, email, preferences) {
+  const found = await findEmailRecord(env, config, config.PREFIX_SUBSCRIBER, email);
+  const record = found ? parseSubscriberRecord(found.data) : null;
+
+  if (!record) {
+    return { success: false, message: 'Email not found' };
+  }
+  record.email = record.email || email;
+
+  const updated = {
+    ...record,
+    ...preferences,
+    preferencesUpdatedAt: new Date().toISOString()
+  };
+
+  await putSubscriberRecord(env, found.key, updated);
+
+  return { success: true, message: 'Preferences updated', subscriber: updated };
+}
+
+/**
+ * Pick the optional profile fields (name, locale, source, referrer, utm*) from a record
+ */
+function pickSubscriberProfile(record) {
+  const profile = {};
+  for (const field of SUBSCRIBER_PROFILE_FIELDS) {
+    if (record && record[field]) {
+      profile[field] = record[field];
+    }
+  }
+  return profile;
+}
+
 /**
  * Add a subscriber
+ * Suppressed addresses are refused - they must re-confirm via confirmPendingSubscriber
+ * @param {Object} profile - Validated profile fields from validateSubscriberProfile
+ * @param {Object} options - { updateCounters } - bulk callers pass false and adjust the counters once
  */
-export async function addSubscriber(env, config, email, ipAddress = '') {
-  const key = `${config.PREFIX_SUBSCRIBER}${email}`;
-  const existing = await env.KV.get(key);
+export async function addSubscriber(env, config, email, ipAddress = '', profile = {}, options = {}) {
+  const { updateCounters = true } = options;
+  const canonicalEmail = canonicalizeEmail(email, config);
+  const existing = await findEmailRecord(env, config, config.PREFIX_SUBSCRIBER, email);
 
   if (existing) {
     return { success: false, message: 'Already subscribed' };
   }
 
-  // Store subscriber data as JSON with email, IP, and timestamp
+  const suppression = await getSuppression(env, config, email);
+  if (suppression) {
+    return { success: false, message: 'Address is suppressed', suppressed: true, reason: suppression.reason };
+  }
+
+  // Store subscriber data as JSON with the typed email, its canonical form, IP, timestamp and profile
   const subscriberData = {
     email: email,
+    canonicalEmail: canonicalEmail,
     ipAddress: ipAddress,
-    timestamp: new Date().toISOString()
+    timestamp: new Date().toISOString(),
+    ...pickSubscriberProfile(profile)
   };
 
-  await env.KV.put(key, JSON.stringify(subscriberData));
+  await putSubscriberRecord(env, `${config.PREFIX_SUBSCRIBER}${canonicalEmail}`, subscriberData);
+
+  if (updateCounters) {
+    await adjustCounters(env, config, { subscribers: 1, signups: 1 });
+  }
 
   return { success: true, message: 'Successfully subscribed' };
 }
 
+/**
+ * Store a pending (unconfirmed) subscription
+ * Pending records live under their own prefix and expire after TTL_PENDING_SUBSCRIBER
+ */
+export async function addPendingSubscriber(env, config, email, ipAddress = '', profile = {}) {
+  const existing = await findEmailRecord(env, config, config.PREFIX_SUBSCRIBER, email);
+
+  if (existing) {
+    return { success: false, message: 'Already subscribed' };
+  }
+
+  const suppression = await getSuppression(env, config, email);
+  if (!canSelfResubscribe(suppression)) {
+    return { success: false, message: 'Address is blocked', suppressed: true, reason: suppression.reason };
+  }
+
+  // Overwriting an existing pending record refreshes its TTL
+  const pendingData = {
+    email: email,
+    ipAddress: ipAddress,
+    status: 'pending',
+    timestamp: new Date().toISOString(),
+    ...pickSubscriberProfile(profile)
+  };
+
+  await env.KV.put(`${config.PREFIX_PENDING_SUBSCRIBER}${canonicalizeEmail(email, config)}`, JSON.stringify(pendingData), {
+    expirationTtl: config.TTL_PENDING_SUBSCRIBER
+  });
+
+  return { success: true, message: 'Confirmation pending' };
+}
+
+/**
+ * Promote a pending subscription to an active subscriber
+ * Confirming the signed link is the explicit re-confirmation that lifts a suppression
+ */
+export async function confirmPendingSubscriber(env, config, email, ctx = null) {
+  const found = await findEmailRecord(env, config, config.PREFIX_PENDING_SUBSCRIBER, email);
+
+  if (!found) {
+    // Link clicked twice - treat an existing subscriber as already confirmed
+    const existing = await findEmailRecord(env, config, config.PREFIX_SUBSCRIBER, email);
+    if (existing) {
+      return { success: false, message: 'Already subscribed' };
+    }
+    return { success: false, message: 'Subscription request not found or expired' };
+  }
+
+  const pendingKey = found.key;
+  let pendingData = {};
+  try {
+    pendingData = JSON.parse(found.data);
+  } catch {
+    // Corrupt record - still confirm the address from the signed link
+  }
+
+  const suppression = await getSuppression(env, config, email);
+  if (suppression) {
+    if (!canSelfResubscribe(suppression)) {
+      await env.KV.delete(pendingKey);
+      return { success: false, message: 'Address is blocked' };
+    }
+    await removeSuppression(env, config, email, { source: 'reconfirmed', ctx });
+  }
+
+  const profile = pickSubscriberProfile(pendingData);
+  // Keep the address as typed at signup (the link may carry another variant of the mailbox)
+  const result = await addSubscriber(env, config, pendingData.email || email, pendingData.ipAddress || '', profile);
+  await env.KV.delete(pendingKey);
+
+  return {
+    ...result,
+    ipAddress: pendingData.ipAddress || '',
+    profile
+  };
+}
+
 /**
  * Remove a subscriber
+ * The address is always added to the suppression list so it cannot be re-added without re-confirmation
+ * @param {Object} options - { reason, source, ctx } - reason defaults to 'unsubscribed'
  */
-export async function removeSubscriber(env, config, email) {
-  const key = `${config.PREFIX_SUBSCRIBER}${email}`;
-  const existing = await env.KV.get(key);
+export async function removeSubscriber(env, config, email, options = {}) {
+  const { reason = SUPPRESSION_REASONS.UNSUBSCRIBED, source = '', ctx = null } = options;
+  const existing = await findEmailRecord(env, config, config.PREFIX_SUBSCRIBER, email);
+
+  await addSuppression(env, config, email, reason, { source, ctx });
+
+  const pending = await findEmailRecord(env, config, config.PREFIX_PENDING_SUBSCRIBER, email);
+  if (pending) {
+    await env.KV.delete(pending.key);
+  }
 
   if (!existing) {
     return { success: false, message: 'Email not found' };
   }
 
-  await env.KV.delete(key);
+  await env.KV.delete(existing.key);
+  await adjustCounters(env, config, { subscribers: -1 });
+
   return { success: true, message: 'Successfully unsubscribed' };
 }
 
+/**
+ * Rewrite subscriber keys that have no roster metadata yet or are not keyed by the canonical address
+ * Variants of one mailbox stored under separate keys are merged into the canonical record
+ * Processes one page of ROSTER_MIGRATION_BATCH keys per call to stay within KV operation limits
+ * @param {Object} options - { cursor } - cursor returned by the previous call
+ * @returns {Object} - { success, message, migrated, merged, skipped, nextCursor } (nextCursor is null when done)
+ */
+export async function migrateSubscriberRoster(env, config, options = {}) {
+  let migrated = 0;
+  let merged = 0;
+  let skipped = 0;
+
+  try {
+    const list = await env.KV.list({
+      prefix: config.PREFIX_SUBSCRIBER,
+      limit: config.ROSTER_MIGRATION_BATCH,
+      cursor: options.cursor || null
+    });
+
+    for (const key of list.keys || []) {
+      const keyEmail = key.name.slice(config.PREFIX_SUBSCRIBER.length);
+      if (key.metadata?.email && keyEmail === canonicalizeEmail(keyEmail, config)) {
+        skipped++;
+        continue;
+      }
+
+      const data = await env.KV.get(key.name);
+      const record = data ? parseSubscriberRecord(data) : null;
+      if (!record) {
+        skipped++;
+        continue;
+      }
+
+      // Legacy plain-string records are upgraded to JSON on the way
+      record.email = record.email || keyEmail;
+      record.canonicalEmail = canonicalizeEmail(record.email, config);
+      const canonicalKey = `${config.PREFIX_SUBSCRIBER}${record.canonicalEmail}`;
+
+      if (canonicalKey !== key.name) {
+        // Another variant of the same mailbox already holds the canonical key - keep that one
+        if (await env.KV.get(canonicalKey)) {
+          await env.KV.delete(key.name);
+          merged++;
+          continue;
+        }
+        await putSubscriberRecord(env, canonicalKey, record);
+        await env.KV.delete(key.name);
+      } else {
+        await putSubscriberRecord(env, key.name, record);
+      }
+      migrated++;
+    }
+
+    if (merged > 0) {
+      await adjustCounters(env, config, { subscribers: -merged });
+    }
+
+    const nextCursor = list.list_complete ? null : list.cursor;
+    console.log(`Roster migration: ${migrated} migrated, ${merged} merged, ${skipped} skipped${nextCursor ? ', more to do' : ''}`);
+
+    return {
+      success: true,
+      message: `Migrated ${migrated} subscribers, merged ${merged} duplicates (${skipped} already up to date)`,
+      migrated,
+      merged,
+      skipped,
+      nextCursor
+    };
+  } catch (error) {
+    console.error('Roster migration error:', error);
+    return { success: false, message: 'Roster migration failed', migrated, merged, skipped, nextCursor: options.cursor || null };
+  }
+}
+
 
 /**
  * Verify Turnstile captcha
@@ -236,6 +562,8 @@ export async function getQueuesByStatus(env, config, status) {
 
 /**
  * Store contact form submission
+ * The canonical sender address goes into key metadata so data requests find a person's
+ * messages from list calls without reading every contact
  */
 export async function storeContact(env, config, contactData) {
   const timestamp = Date.now();
@@ -243,81 +571,350 @@ export async function storeContact(env, config, contactData) {
   const key = `${config.PREFIX_CONTACT}${timestamp}-${random}`;
 
   // Store the complete contact data (already includes IP and timestamp)
-  await env.KV.put(key, JSON.stringify(contactData));
+  await env.KV.put(key, JSON.stringify(contactData), {
+    metadata: { email: canonicalizeEmail(contactData.email, config) }
+  });
+  await adjustCounters(env, config, { contacts: 1 });
 
   return key;
 }
 
 /**
- * Export all KV data to CSV format
+ * Add the canonical sender address as key metadata to contacts stored without it
+ * Processes one page of ROSTER_MIGRATION_BATCH keys per call to stay within KV operation limits
+ * @param {Object} options - { cursor } - cursor returned by the previous call
+ * @returns {Object} - { success, message, migrated, merged, skipped, nextCursor } (nextCursor is null when done)
+ */
+export async function migrateContactKeys(env, config, options = {}) {
+  let migrated = 0;
+  let skipped = 0;
+
+  try {
+    const list = await env.KV.list({
+      prefix: config.PREFIX_CONTACT,
+      limit: config.ROSTER_MIGRATION_BATCH,
+      cursor: options.cursor || null
+    });
+
+    for (const key of list.keys || []) {
+      if (key.metadata?.email !== undefined) {
+        skipped++;
+        continue;
+      }
+
+      const data = await env.KV.get(key.name);
+      if (!data) {
+        skipped++;
+        continue;
+      }
+
+      let contact;
+      try {
+        contact = JSON.parse(data);
+      } catch {
+        skipped++;
+        continue;
+      }
+
+      await env.KV.put(key.name, data, {
+        metadata: { email: canonicalizeEmail(contact.email, config) }
+      });
+      migrated++;
+    }
+
+    const nextCursor = list.list_complete ? null : list.cursor;
+    console.log(`Contact migration: ${migrated} migrated, ${skipped} skipped${nextCursor ? ', more to do' : ''}`);
+
+    return {
+      success: true,
+      message: `Migrated ${migrated} contacts (${skipped} already up to date)`,
+      migrated,
+      merged: 0,
+      skipped,
+      nextCursor
+    };
+  } catch (error) {
+    console.error('Contact migration error:', error);
+    return { success: false, message: 'Contact migration failed', migrated, merged: 0, skipped, nextCursor: options.cursor || null };
+  }
+}
+
+/**
+ * Record types available for export
+ * Each type maps a stored value to flat fields; dateField drives the date range filter
  */
-export async function exportToCSV(env, config) {
-  const allData = [];
-
-  // Define all prefixes to export
-  const prefixes = [
-    { prefix: config.PREFIX_SUBSCRIBER, type: 'subscriber' },
-    { prefix: config.PREFIX_CONTACT, type: 'contact' },
-    { prefix: config.PREFIX_EMAIL_QUEUE, type: 'queue' },
-    { prefix: config.PREFIX_NEWSLETTER_SENT, type: 'sent' },
-    { prefix: config.PREFIX_NEWSLETTER_SENT_URL, type: 'sent_url' }
+function getExportTypes(config) {
+  const subscriberFields = value => {
+    const record = parseSubscriberRecord(value);
+    if (!record) return null;
+    return {
+      email: record.email || '',
+      canonicalEmail: record.canonicalEmail || '',
+      name: record.name || '',
+      ipAddress: record.ipAddress || '',
+      timestamp: record.timestamp || '',
+      status: record.status || 'active',
+      locale: record.locale || '',
+      source: record.source || '',
+      referrer: record.referrer || '',
+      utmSource: record.utmSource || '',
+      utmMedium: record.utmMedium || '',
+      utmCampaign: record.utmCampaign || '',
+      utmTerm: record.utmTerm || '',
+      utmContent: record.utmContent || '',
+      delivery: record.delivery || '',
+      topics: record.topics || [],
+      preferencesUpdatedAt: record.preferencesUpdatedAt || ''
+    };
+  };
+
+  const sentFields = value => {
+    const record = JSON.parse(value);
+    return {
+      title: record.title || '',
+      url: record.url || '',
+      slug: record.slug || '',
+      lastmod: record.lastmod || '',
+      sentAt: record.sentAt || '',
+      recipientCount: record.recipientCount || 0
+    };
+  };
+
+  return [
+    { type: 'subscriber', prefix: config.PREFIX_SUBSCRIBER, dateField: 'timestamp', toFields: subscriberFields },
+    { type: 'pending', prefix: config.PREFIX_PENDING_SUBSCRIBER, dateField: 'timestamp', toFields: subscriberFields },
+    {
+      type: 'contact',
+      prefix: config.PREFIX_CONTACT,
+      dateField: 'timestamp',
+      toFields: value => {
+        const record = JSON.parse(value);
+        return {
+          name: record.name || '',
+          email: record.email || '',
+          phone: record.phone || '',
+          message: record.message || '',
+          subscribed: !!record.subscribed,
+          ipAddress: record.ipAddress || '',
+          timestamp: record.timestamp || ''
+        };
+      }
+    },
+    {
+      type: 'suppression',
+      prefix: config.PREFIX_SUPPRESSION,
+      dateField: 'timestamp',
+      toFields: value => {
+        const record = JSON.parse(value);
+        return {
+          email: record.email || '',
+          reason: record.reason || '',
+          source: record.source || '',
+          timestamp: record.timestamp || ''
+        };
+      }
+    },
+    {
+      type: 'queue',
+      prefix: config.PREFIX_EMAIL_QUEUE,
+      dateField: 'createdAt',
+      toFields: value => {
+        const record = JSON.parse(value);
+        return {
+          title: record.post?.title || '',
+          url: record.post?.url || '',
+          queueType: record.type || 'newsletter',
+          status: record.status || '',
+          createdAt: record.createdAt || '',
+          recipientCount: record.total ?? (record.subscribers?.length || 0),
+          sentCount: record.sentCount ?? (record.stats?.sent || 0),
+          failedCount: record.failedCount ?? (record.stats?.failed || 0)
+        };
+      }
+    },
+    { type: 'sent', prefix: config.PREFIX_NEWSLETTER_SENT, dateField: 'sentAt', toFields: sentFields },
+    { type: 'sent_url', prefix: config.PREFIX_NEWSLETTER_SENT_URL, dateField: 'sentAt', toFields: sentFields }
   ];
+}
 
-  for (const { prefix, type } of prefixes) {
-    const items = await getAllByPrefix(env, prefix);
+export const EXPORT_TYPES = ['subscriber', 'pending', 'contact', 'suppression', 'queue', 'sent', 'sent_url'];
 
-    for (const item of items) {
-      let email = '';
-      let data = {};
+/**
+ * Check an ISO timestamp against an optional [from, to] range of Date objects
+ */
+function isInDateRange(value, from, to) {
+  if (!from && !to) return true;
+
+  const time = Date.parse(value);
+  if (isNaN(time)) return false; // Undated records cannot match a range
+
+  if (from && time < from.getTime()) return false;
+  if (to && time > to.getTime()) return false;
+  return true;
+}
+
+// Keys exported per request - each costs one KV read, well under the per-invocation operation limit
+const EXPORT_PAGE_SIZE = 500;
+
+/**
+ * Decode an export cursor ({ type, cursor } - the record type and its KV list cursor)
+ * @returns {Object|null} - null when the value is not a cursor
+ */
+export function parseExportCursor(value) {
+  try {
+    const position = JSON.parse(atob(value));
+    if (position && EXPORT_TYPES.includes(position.type) && (position.cursor === null || typeof position.cursor === 'string')) {
+      return position;
+    }
+  } catch {
+    // Fall through
+  }
+  return null;
+}
+
+function createExportCursor(type, cursor = null) {
+  return btoa(JSON.stringify({ type, cursor }));
+}
+
+/**
+ * List the keys of the next export page - types without keys are skipped in the same request
+ * @returns {Object} - { exportType, keys, nextCursor } - nextCursor is null after the last page
+ */
+async function listExportPage(env, config, types, cursor) {
+  const exportTypes = getExportTypes(config).filter(exportType => types.includes(exportType.type));
+  const position = cursor ? parseExportCursor(cursor) : { type: exportTypes[0]?.type, cursor: null };
+  let index = exportTypes.findIndex(exportType => exportType.type === position?.type);
+  let listCursor = position?.cursor || null;
+
+  for (; index !== -1 && index < exportTypes.length; index++) {
+    const exportType = exportTypes[index];
+    const list = await env.KV.list({ prefix: exportType.prefix, limit: EXPORT_PAGE_SIZE, cursor: listCursor });
+    listCursor = null;
+
+    const keys = list?.keys || [];
+    let nextCursor = null;
+    if (list && !list.list_complete) {
+      nextCursor = createExportCursor(exportType.type, list.cursor);
+    } else if (index + 1 < exportTypes.length) {
+      nextCursor = createExportCursor(exportTypes[index + 1].type);
+    }
+
+    if (keys.length > 0 || (list && !list.list_complete)) {
+      return { exportType, keys, nextCursor };
+    }
+  }
+
+  return { exportType: null, keys: [], nextCursor: null };
+}
+
+/**
+ * Read the records of one export page
+ * @param {Object} options - { from, to }
+ */
+async function* readExportRecords(env, exportType, keys, { from = null, to = null } = {}) {
+  for (const key of keys) {
+    try {
+      const value = await env.KV.get(key.name);
+      if (!value) continue;
+
+      const fields = exportType.toFields(value);
+      if (!fields || !isInDateRange(fields[exportType.dateField], from, to)) continue;
+
+      yield { type: exportType.type, key: key.name.slice(exportType.prefix.length), ...fields };
+    } catch (error) {
+      console.error(`Error exporting key ${key.name}:`, error);
+    }
+  }
+}
+
+/**
+ * CSV columns for the selected types (type and key first, then each type's fields in order)
+ */
+function getExportColumns(config, types) {
+  const columns = ['type', 'key'];
+
+  for (const exportType of getExportTypes(config)) {
+    if (!types.includes(exportType.type)) continue;
+    // toFields always returns every field, even for an empty record
+    for (const column of Object.keys(exportType.toFields('{}'))) {
+      if (!columns.includes(column)) columns.push(column);
+    }
+  }
+
+  return columns;
+}
+
+/**
+ * Stream records as text lines, one KV read ahead of the consumer
+ */
+function createExportStream(records, header, formatRecord) {
+  const encoder = new TextEncoder();
+  let headerSent = !header;
+
+  return new ReadableStream({
+    async pull(controller) {
+      if (!headerSent) {
+        headerSent = true;
+        controller.enqueue(encoder.encode(header + '\n'));
+        return;
+      }
 
       try {
-        // Extract email based on type
-        if (type === 'subscriber') {
-          email = item.value;
-          data = { subscribedAt: item.metadata?.subscribedAt || '' };
-        } else if (type === 'contact') {
-          const contactData = JSON.parse(item.value);
-          email = contactData.email;
-          data = contactData;
-        } else if (type === 'queue') {
-          const queueData = JSON.parse(item.value);
-          email = ''; // Queue doesn't have a single email
-          data = {
-            postTitle: queueData.post?.title || '',
-            status: queueData.status,
-            createdAt: queueData.createdAt,
-            subscriberCount: queueData.subscribers?.length || 0
-          };
-        } else if (type === 'sent' || type === 'sent_url') {
-          const sentData = JSON.parse(item.value);
-          email = ''; // Sent records don't have email
-          data = sentData;
+        const { done, value } = await records.next();
+        if (done) {
+          controller.close();
+          return;
         }
-
-        allData.push({
-          email: email,
-          type: type,
-          key: item.key.replace(prefix, ''),
-          data: JSON.stringify(data),
-          timestamp: new Date().toISOString()
-        });
+        controller.enqueue(encoder.encode(formatRecord(value) + '\n'));
       } catch (error) {
-        console.error(`Error processing item ${item.key}:`, error);
+        console.error('Export stream error:', error);
+        controller.error(error);
       }
+    },
+    async cancel() {
+      await records.return();
     }
-  }
+  });
+}
+
+/**
+ * Export one page of KV data as a CSV stream with one column per field
+ * Only the first page (no cursor) starts with the header row
+ * @param {Object} options - { types, from, to, cursor } - types defaults to all EXPORT_TYPES, from/to are Dates,
+ *                           cursor is the nextCursor of the previous page
+ * @returns {Object} - { stream, nextCursor } - nextCursor is null after the last page
+ */
+export async function exportToCSV(env, config, options = {}) {
+  const types = options.types || EXPORT_TYPES;
+  const columns = getExportColumns(config, types);
+  const { exportType, keys, nextCursor } = await listExportPage(env, config, types, options.cursor);
+
+  const stream = createExportStream(
+    readExportRecords(env, exportType, keys, options),
+    options.cursor ? null : toCsvRow(columns),
+    record => toCsvRow(columns.map(column => {
+      const value = record[column];
+      return Array.isArray(value) ? value.join(';') : value;
+    }))
+  );
+
+  return { stream, nextCursor };
+}
+
+/**
+ * Export one page of KV data as a JSON Lines stream (one JSON object per record)
+ * @param {Object} options - Same as exportToCSV
+ * @returns {Object} - { stream, nextCursor }
+ */
+export async function exportToJSONL(env, config, options = {}) {
+  const types = options.types || EXPORT_TYPES;
+  const { exportType, keys, nextCursor } = await listExportPage(env, config, types, options.cursor);
+
+  const stream = createExportStream(
+    readExportRecords(env, exportType, keys, options),
+    null,
+    record => JSON.stringify(record)
+  );
 
-  // Convert to CSV
-  const csvHeader = 'email,type,key,data,timestamp\n';
-  const csvRows = allData.map(row => {
-    return [
-      row.email,
-      row.type,
-      row.key,
-      `"${row.data.replace(/"/g, '""')}"`, // Escape quotes in JSON
-      row.timestamp
-    ].join(',');
-  }).join('\n');
-
-  return csvHeader + csvRows;
-}
\ No newline at end of file
+  return { stream, nextCursor };
+}
@@ -0,0 +1,180 @@
+/**
+ * Minimal MIME message parser
+ * Enough to walk multipart/report messages (bounces, complaints) received by the email handler
+ */
+
+/**
+ * Split a raw message into header and body sections
+ */
+function splitHeaderBody(raw) {
+  const match = raw.match(/\r?\n\r?\n/);
+  if (!match) {
+    return { headerText: raw, body: '' };
+  }
+
+  return {
+    headerText: raw.slice(0, match.index),
+    body: raw.slice(match.index + match[0].length)
+  };
+}
+
+/**
+ * Parse header lines (with folding) into an object of lowercase name -> value
+ * The first occurrence of a header wins
+ */
+export function parseHeaders(text) {
+  const headers = {};
+  const unfolded = String(text || '').replace(/\r?\n[ \t]+/g, ' ');
+
+  for (const line of unfolded.split(/\r?\n/)) {
+    const index = line.indexOf(':');
+    if (index <= 0) continue;
+
+    const name = line.slice(0, index).trim().toLowerCase();
+    const value = line.slice(index + 1).trim();
+    if (!(name in headers)) {
+      headers[name] = value;
+    }
+  }
+
+  return headers;
+}
+
+/**
+ * Parse a Content-Type header value into { type, params }
+ */
+export function parseContentType(value) {
+  const [type, ...rest] = String(value || 'text/plain').split(';');
+  const params = {};
+
+  for (const param of rest) {
+    const index = param.indexOf('=');
+    if (index <= 0) continue;
+
+    const name = param.slice(0, index).trim().toLowerCase();
+    let paramValue = param.slice(index + 1).trim();
+    if (paramValue.startsWith('"') && paramValue.endsWith('"')) {
+      paramValue = paramValue.slice(1, -1);
+    }
+    params[name] = paramValue;
+  }
+
+  return { type: type.trim().toLowerCase() || 'text/plain', params };
+}
+
+/**
+ * Decode a body according to its Content-Transfer-Encoding
+ */
+function decodeBody(body, encoding) {
+  const transferEncoding = String(encoding || '').toLowerCase();
+
+  if (transferEncoding === 'base64') {
+    try {
+      const binary = atob(body.replace(/\s+/g, ''));
+      const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+      return new TextDecoder().decode(bytes);
+    } catch {
+      return body;
+    }
+  }
+
+  if (transferEncoding === 'quoted-printable') {
+    const binary = body
+      .replace(/=\r?\n/g, '')
+      .replace(/=([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0) & 0xff);
+    return new TextDecoder().decode(bytes);
+  }
+
+  return body;
+}
+
+/**
+ * Split a multipart body on its boundary
+ */
+function splitMultipart(body, boundary) {
+  const parts = [];
+  const delimiter = `--${boundary}`;
+  const sections = body.split(delimiter);
+
+  // First section is the preamble, a section starting with "--" is the closing delimiter
+  for (let i = 1; i < sections.length; i++) {
+    const section = sections[i];
+    if (section.startsWith('--')) break;
+    parts.push(section.replace(/^[ \t]*\r?\n/, '').replace(/\r?\n$/, ''));
+  }
+
+  return parts;
+}
+
+/**
+ * Parse a raw MIME message (or body part) into a tree
+ * @param {string} raw - Raw message text
+ * @param {number} depth - Current nesting depth (guards against hostile input)
+ * @returns {Object} - { headers, contentType, body, parts, message }
+ */
+export function parseMimeMessage(raw, depth = 0) {
+  const { headerText, body } = splitHeaderBody(String(raw || ''));
+  const headers = parseHeaders(headerText);
+  const contentType = parseContentType(headers['content-type']);
+
+  const node = {
+    headers,
+    contentType,
+    body: '',
+    parts: [],
+    message: null
+  };
+
+  if (depth > 5) {
+    node.body = body;
+    return node;
+  }
+
+  if (contentType.type.startsWith('multipart/') && contentType.params.boundary) {
+    node.parts = splitMultipart(body, contentType.params.boundary)
+      .map(part => parseMimeMessage(part, depth + 1));
+    return node;
+  }
+
+  node.body = decodeBody(body, headers['content-transfer-encoding']);
+
+  // Embedded messages (e.g. the returned original in a bounce)
+  if (contentType.type === 'message/rfc822' || contentType.type === 'message/global') {
+    node.message = parseMimeMessage(node.body, depth + 1);
+  }
+
+  return node;
+}
+
+/**
+ * Find all nodes in a parsed message tree matching a predicate
+ */
+export function findParts(node, predicate, results = []) {
+  if (!node) return results;
+
+  if (predicate(node)) {
+    results.push(node);
+  }
+
+  for (const part of node.parts) {
+    findParts(part, predicate, results);
+  }
+
+  if (node.message) {
+    findParts(node.message, predicate, results);
+  }
+
+  return results;
+}
+
+/**
+ * Read the raw text of an inbound email message (Workers email handler)
+ */
+export async function readRawEmail(message, maxBytes) {
+  if (maxBytes && message.rawSize > maxBytes) {
+    throw new Error(`Inbound email too large: ${message.rawSize} bytes`);
+  }
+
+  return await new Response(message.raw).text();
+}
@@ -3,6 +3,8 @@
  * Prevents XSS attacks by escaping HTML entities
  */
 
+import { decodeEntities } from './htmlToText.js';
+
 /**
  * Escape HTML entities to prevent XSS attacks
  * IMPORTANT: Escape ampersands first to avoid double-escaping
@@ -54,4 +56,17 @@ export function sanitizeEmail(email) {
     .toLowerCase()
     .trim()
     .replace(/[^\w.@+-]/g, ''); // Keep only valid email characters
-}
\ No newline at end of file
+}
+/**
+ * Build a plain-text excerpt from feed content
+ * Tags are removed, entities decoded, whitespace collapsed and long text cut at a word boundary.
+ * The result is plain text - escape it where it is placed in HTML
+ */
+export function createExcerpt(content, maxLength = 300) {
+  const text = sanitizeInput(decodeEntities(String(content || '').replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' '));
+  if (text.length <= maxLength) return text;
+
+  const truncated = text.slice(0, maxLength);
+  const lastSpace = truncated.lastIndexOf(' ');
+  return `${(lastSpace > maxLength * 0.8 ? truncated.slice(0, lastSpace) : truncated).replace(/[\s.,;:!?-]+$/, '')}…`;
+}
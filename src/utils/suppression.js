@@ -0,0 +1,237 @@
+/**
+ * Suppression list utilities
+ * Addresses that must not receive newsletters (unsubscribed, bounced, complained, blocked)
+ * KV holds the current state, every change is appended to D1 for history
+ * Records are keyed by the canonical address so variants of one mailbox share a suppression
+ */
+
+import { replicateSuppressionToD1 } from './d1Replication.js';
+import { canonicalizeEmail } from './validation.js';
+
+export const SUPPRESSION_REASONS = {
+  UNSUBSCRIBED: 'unsubscribed',
+  HARD_BOUNCE: 'hard-bounce',
+  SOFT_BOUNCE: 'soft-bounce',
+  COMPLAINT: 'complaint',
+  ADMIN_BLOCK: 'admin-block'
+};
+
+/**
+ * Check whether a suppression can be lifted by the address owner re-confirming
+ * Admin blocks can only be lifted by an admin
+ */
+export function canSelfResubscribe(suppression) {
+  return !suppression || suppression.reason !== SUPPRESSION_REASONS.ADMIN_BLOCK;
+}
+
+/**
+ * KV keys that may hold an address's suppression - canonical first, then the typed address
+ * used by records written before canonicalization
+ */
+function suppressionKeys(config, email) {
+  const canonicalKey = `${config.PREFIX_SUPPRESSION}${canonicalizeEmail(email, config)}`;
+  const typedKey = `${config.PREFIX_SUPPRESSION}${email}`;
+  return typedKey === canonicalKey ? [canonicalKey] : [canonicalKey, typedKey];
+}
+
+/**
+ * Get the suppression record for an email (null when not suppressed)
+ */
+export async function getSuppression(env, config, email) {
+  let data = null;
+  for (const key of suppressionKeys(config, email)) {
+    data = await env.KV.get(key);
+    if (data) break;
+  }
+  if (!data) return null;
+
+  try {
+    return JSON.parse(data);
+  } catch {
+    return { email, reason: SUPPRESSION_REASONS.UNSUBSCRIBED };
+  }
+}
+
+/**
+ * Add an email to the suppression list
+ * @param {Object} options - { source, ctx } - source describes what triggered it (e.g. 'link', 'form', 'dsn')
+ */
+export async function addSuppression(env, config, email, reason, options = {}) {
+  const { source = '', ctx = null } = options;
+
+  if (!Object.values(SUPPRESSION_REASONS).includes(reason)) {
+    throw new Error(`Unknown suppression reason: ${reason}`);
+  }
+
+  const existing = await getSuppression(env, config, email);
+
+  // An admin block is never downgraded by a later unsubscribe or bounce
+  if (existing && existing.reason === SUPPRESSION_REASONS.ADMIN_BLOCK && reason !== SUPPRESSION_REASONS.ADMIN_BLOCK) {
+    return { success: true, message: 'Already suppressed', suppression: existing };
+  }
+
+  const record = {
+    email: email,
+    reason: reason,
+    source: source,
+    timestamp: new Date().toISOString(),
+    history: existing
+      ? [...(existing.history || []), { reason: existing.reason, source: existing.source || '', timestamp: existing.timestamp }].slice(-20)
+      : []
+  };
+
+  const [canonicalKey, typedKey] = suppressionKeys(config, email);
+  await env.KV.put(canonicalKey, JSON.stringify(record));
+
+  // The canonical record replaces one still keyed by the typed address
+  if (existing && typedKey) {
+    await env.KV.delete(typedKey);
+  }
+
+  try {
+    replicateSuppressionToD1(env, ctx, {
+      email,
+      emailCanonical: canonicalizeEmail(email, config),
+      reason,
+      action: 'suppressed',
+      source,
+      timestamp: record.timestamp
+    });
+  } catch (error) {
+    console.error('D1 suppression replication error (non-blocking):', error);
+  }
+
+  return { success: true, message: 'Suppressed', suppression: record };
+}
+
+/**
+ * Remove an email from the suppression list
+ * Called after an explicit re-confirmation or by an admin
+ */
+export async function removeSuppression(env, config, email, options = {}) {
+  const { source = '', ctx = null } = options;
+
+  const existing = await getSuppression(env, config, email);
+  if (!existing) {
+    return { success: false, message: 'Not suppressed' };
+  }
+
+  for (const key of suppressionKeys(config, email)) {
+    await env.KV.delete(key);
+  }
+
+  try {
+    replicateSuppressionToD1(env, ctx, {
+      email,
+      emailCanonical: canonicalizeEmail(email, config),
+      reason: existing.reason,
+      action: 'lifted',
+      source,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('D1 suppression replication error (non-blocking):', error);
+  }
+
+  return { success: true, message: 'Suppression lifted', suppression: existing };
+}
+
+/**
+ * Get all suppressed emails as a Set
+ * Uses key names only so it costs one list operation per 1000 entries
+ * Keys are canonical addresses (typed addresses for records older than canonicalization) -
+ * check both with isSuppressed
+ */
+export async function getSuppressedEmails(env, config) {
+  const emails = new Set();
+  let cursor = null;
+  let hasMore = true;
+
+  while (hasMore) {
+    const list = await env.KV.list({
+      prefix: config.PREFIX_SUPPRESSION,
+      limit: 1000,
+      cursor
+    });
+
+    if (!list || !list.keys) break;
+
+    for (const key of list.keys) {
+      emails.add(key.name.substring(config.PREFIX_SUPPRESSION.length));
+    }
+
+    hasMore = !list.list_complete;
+    cursor = list.cursor;
+  }
+
+  return emails;
+}
+
+/**
+ * Check an address against a set from getSuppressedEmails
+ */
+export function isSuppressed(suppressed, config, email) {
+  return suppressed.has(canonicalizeEmail(email, config)) || suppressed.has(email);
+}
+
+/**
+ * Re-key one page of suppression records written before canonicalization
+ * When two variants of a mailbox are both suppressed, the canonical record is kept unless
+ * the other one is an admin block
+ * @param {Object} options - { cursor } - cursor returned by the previous call
+ * @returns {Object} - { success, message, migrated, merged, skipped, nextCursor }
+ */
+export async function migrateSuppressionKeys(env, config, options = {}) {
+  let migrated = 0;
+  let merged = 0;
+  let skipped = 0;
+
+  try {
+    const list = await env.KV.list({
+      prefix: config.PREFIX_SUPPRESSION,
+      limit: config.ROSTER_MIGRATION_BATCH,
+      cursor: options.cursor || null
+    });
+
+    for (const key of list.keys || []) {
+      const email = key.name.slice(config.PREFIX_SUPPRESSION.length);
+      const canonicalKey = `${config.PREFIX_SUPPRESSION}${canonicalizeEmail(email, config)}`;
+      if (canonicalKey === key.name) {
+        skipped++;
+        continue;
+      }
+
+      const data = await env.KV.get(key.name);
+      const existing = await env.KV.get(canonicalKey);
+      let reason = '';
+      try {
+        reason = JSON.parse(data).reason;
+      } catch {
+        // Treated as a plain unsubscribe
+      }
+
+      if (data && (!existing || reason === SUPPRESSION_REASONS.ADMIN_BLOCK)) {
+        await env.KV.put(canonicalKey, data);
+        migrated++;
+      } else {
+        merged++;
+      }
+      await env.KV.delete(key.name);
+    }
+
+    const nextCursor = list.list_complete ? null : list.cursor;
+    console.log(`Suppression migration: ${migrated} migrated, ${merged} merged, ${skipped} skipped`);
+
+    return {
+      success: true,
+      message: `Migrated ${migrated} suppressions, merged ${merged} duplicates (${skipped} already up to date)`,
+      migrated,
+      merged,
+      skipped,
+      nextCursor
+    };
+  } catch (error) {
+    console.error('Suppression migration error:', error);
+    return { success: false, message: 'Suppression migration failed', migrated, merged, skipped, nextCursor: options.cursor || null };
+  }
+}
@@ -0,0 +1,213 @@
+/**
+ * Signed token utilities
+ * HMAC-SHA256 tokens used for links sent by email (confirmation, unsubscribe, etc.)
+ * Uses the Web Crypto API available in Workers - no external dependencies
+ */
+
+const encoder = new TextEncoder();
+
+/**
+ * Encode bytes or a string as base64url (no padding)
+ */
+function base64UrlEncode(input) {
+  const bytes = typeof input === 'string' ? encoder.encode(input) : new Uint8Array(input);
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode a base64url string to a UTF-8 string
+ */
+function base64UrlDecode(input) {
+  const base64 = input.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+  const binary = atob(padded);
+  const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Import the signing secret as an HMAC key
+ */
+async function getSigningKey(secret) {
+  return await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+}
+
+/**
+ * Compute the base64url HMAC signature of a payload string
+ */
+async function sign(secret, data) {
+  const key = await getSigningKey(secret);
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(data));
+  return base64UrlEncode(signature);
+}
+
+/**
+ * Constant-time string comparison to avoid timing attacks
+ */
+function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+    return false;
+  }
+
+  let mismatch = 0;
+  for (let i = 0; i < a.length; i++) {
+    mismatch |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return mismatch === 0;
+}
+
+/**
+ * Create a signed token for an email address and purpose
+ * @param {Object} config - Configuration with SIGNING_SECRET
+ * @param {string} email - Email address the token is bound to
+ * @param {string} purpose - Token purpose (e.g. 'confirm'), prevents reuse across flows
+ * @param {number} ttlSeconds - Lifetime in seconds (0 = never expires)
+ * @returns {Promise<string>} - Token in the form payload.signature
+ */
+export async function createSignedToken(config, email, purpose, ttlSeconds = 0) {
+  if (!config.SIGNING_SECRET) {
+    throw new Error('SIGNING_SECRET is not configured');
+  }
+
+  const payload = {
+    e: email,
+    p: purpose
+  };
+
+  if (ttlSeconds > 0) {
+    payload.x = Math.floor(Date.now() / 1000) + ttlSeconds;
+  }
+
+  const encodedPayload = base64UrlEncode(JSON.stringify(payload));
+  const signature = await sign(config.SIGNING_SECRET, encodedPayload);
+
+  return `${encodedPayload}.${signature}`;
+}
+
+/**
+ * Verify a signed token
+ * @param {Object} config - Configuration with SIGNING_SECRET
+ * @param {string} token - Token to verify
+ * @param {string} purpose - Expected token purpose
+ * @returns {Promise<Object>} - { valid, email } or { valid: false, error }
+ */
+export async function verifySignedToken(config, token, purpose) {
+  if (!config.SIGNING_SECRET) {
+    return { valid: false, error: 'Signing is not configured' };
+  }
+
+  if (!token || typeof token !== 'string' || !token.includes('.')) {
+    return { valid: false, error: 'Invalid token' };
+  }
+
+  const [encodedPayload, signature] = token.split('.');
+
+  try {
+    const expected = await sign(config.SIGNING_SECRET, encodedPayload);
+    if (!safeEqual(signature, expected)) {
+      return { valid: false, error: 'Invalid token' };
+    }
+
+    const payload = JSON.parse(base64UrlDecode(encodedPayload));
+
+    if (payload.p !== purpose) {
+      return { valid: false, error: 'Invalid token' };
+    }
+
+    if (payload.x && Math.floor(Date.now() / 1000) > payload.x) {
+      return { valid: false, error: 'This link has expired' };
+    }
+
+    if (!payload.e || typeof payload.e !== 'string') {
+      return { valid: false, error: 'Invalid token' };
+    }
+
+    return { valid: true, email: payload.e };
+  } catch (error) {
+    console.error('Token verification error:', error);
+    return { valid: false, error: 'Invalid token' };
+  }
+}
+
+/**
+ * Build a signed link for an email address
+ * Returns null when signing or a base URL is not available so callers can fall back
+ */
+async function createSignedLink(config, email, purpose, path, ttlSeconds, request = null) {
+  const baseUrl = getWorkerBaseUrl(config, request);
+  if (!config.SIGNING_SECRET || !baseUrl) {
+    return null;
+  }
+
+  const token = await createSignedToken(config, email, purpose, ttlSeconds);
+  return `${baseUrl}${path}?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Build a per-subscriber signed unsubscribe URL
+ * Returns null when signing or WORKER_URL is not configured so callers can fall back to UNSUBSCRIBE_URL
+ */
+export async function createUnsubscribeUrl(config, email) {
+  return await createSignedLink(config, email, 'unsubscribe', config.UNSUBSCRIBE_LINK_PATH, config.TTL_UNSUBSCRIBE_TOKEN);
+}
+
+/**
+ * Build a per-subscriber signed preference center (magic link) URL
+ */
+export async function createManageUrl(config, email, request = null) {
+  return await createSignedLink(config, email, 'manage', config.PREFERENCES_WEB_PATH, config.TTL_MANAGE_TOKEN, request);
+}
+
+/**
+ * Build a signed data access / erasure verification URL
+ */
+export async function createPrivacyUrl(config, email, request = null) {
+  return await createSignedLink(config, email, 'privacy', config.PRIVACY_LINK_PATH, config.TTL_PRIVACY_TOKEN, request);
+}
+
+/**
+ * Keyed hash of an email address for records that must not hold the address itself (erasure receipts)
+ * Pass the canonical address (see canonicalizeEmail) so every spelling of a mailbox hashes the same
+ */
+export async function hashEmail(config, email) {
+  return await sign(config.SIGNING_SECRET, String(email).toLowerCase());
+}
+
+/**
+ * Build a signed token identifying the recipient of an outgoing newsletter
+ * Carried in a message header and never expires, since complaints can arrive weeks later
+ * Returns null when signing is not configured
+ */
+export async function createRecipientToken(config, email) {
+  if (!config.SIGNING_SECRET) {
+    return null;
+  }
+
+  return await createSignedToken(config, email, 'feedback');
+}
+
+/**
+ * Get the public base URL of this worker for building links
+ * Prefers the configured WORKER_URL, falls back to the request origin
+ */
+export function getWorkerBaseUrl(config, request = null) {
+  if (config.WORKER_URL) {
+    return config.WORKER_URL.replace(/\/+$/, '');
+  }
+
+  if (request) {
+    return new URL(request.url).origin;
+  }
+
+  return '';
+}
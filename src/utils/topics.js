@@ -0,0 +1,95 @@
+/**
+ * Topic utilities - newsletter topics are the categories found in the feed
+ */
+
+import { resilientFetch } from './retry.js';
+import { parseFeed } from './feedParser.js';
+
+/**
+ * Normalize a topic name for comparison
+ */
+export function normalizeTopic(topic) {
+  return String(topic || '').trim().toLowerCase();
+}
+
+/**
+ * Collect the unique categories from parsed feed items
+ */
+export function collectTopics(items) {
+  const topics = new Map();
+
+  for (const item of items || []) {
+    for (const category of item.categories || []) {
+      const key = normalizeTopic(category);
+      if (key && !topics.has(key)) {
+        topics.set(key, String(category).trim());
+      }
+    }
+  }
+
+  return Array.from(topics.values()).sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Store the topics available in the feed (refreshed on every feed discovery run)
+ */
+export async function saveAvailableTopics(env, config, items) {
+  const topics = collectTopics(items);
+  if (topics.length === 0) return topics;
+
+  await env.KV.put(`${config.PREFIX_TOPICS}available`, JSON.stringify({
+    topics: topics,
+    updatedAt: new Date().toISOString()
+  }));
+
+  return topics;
+}
+
+/**
+ * Get the topics available in the feed
+ * Falls back to fetching the feed when discovery has not stored them yet
+ */
+export async function getAvailableTopics(env, config) {
+  try {
+    const stored = await env.KV.get(`${config.PREFIX_TOPICS}available`);
+    if (stored) {
+      return JSON.parse(stored).topics || [];
+    }
+  } catch (error) {
+    console.error('Error reading available topics:', error);
+  }
+
+  if (!config.RSS_FEED_URL) return [];
+
+  try {
+    const fetchResult = await resilientFetch(config.RSS_FEED_URL, {
+      headers: {
+        'User-Agent': config.USER_AGENT,
+        'Accept': 'application/rss+xml, application/atom+xml, application/xml, text/xml, application/json, */*'
+      },
+      timeout: config.FETCH_TIMEOUT_MS
+    });
+
+    if (!fetchResult.success) return [];
+
+    const response = fetchResult.result;
+    const items = parseFeed(await response.text(), response.headers.get('content-type') || '');
+    return await saveAvailableTopics(env, config, items);
+  } catch (error) {
+    console.error('Error fetching feed topics:', error);
+    return [];
+  }
+}
+
+/**
+ * Check whether a subscriber's topic preferences match a post's categories
+ * Subscribers without topic preferences receive every post
+ */
+export function matchesTopics(subscriberTopics, postCategories) {
+  if (!Array.isArray(subscriberTopics) || subscriberTopics.length === 0) {
+    return true;
+  }
+
+  const categories = new Set((postCategories || []).map(normalizeTopic));
+  return subscriberTopics.some(topic => categories.has(normalizeTopic(topic)));
+}
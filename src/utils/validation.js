@@ -2,21 +2,7 @@
  * Validation utilities for email addresses and other inputs
  */
 
-// Disposable email domains to block
-const DISPOSABLE_DOMAINS = [
-  'tempmail.com',
-  'guerrillamail.com',
-  '10minutemail.com',
-  'mailinator.com',
-  'maildrop.cc',
-  'throwawaymail.com',
-  'yopmail.com',
-  'temp-mail.org',
-  'fakeinbox.com',
-  'sharklasers.com',
-  'guerrillamail.info',
-  'grr.la'
-];
+import { DEFAULT_BLOCKLIST } from './domainBlocklist.js';
 
 // Invalid domain patterns
 const INVALID_PATTERNS = [
@@ -34,74 +20,212 @@ const INVALID_PATTERNS = [
   /\.example$/i
 ];
 
+// Reason codes returned by validateEmail, with the message shown to the user
+export const EMAIL_ERRORS = {
+  required: 'Email is required',
+  invalid_format: 'Invalid email format',
+  too_long: 'Email address too long',
+  local_part_too_long: 'Email local part too long',
+  invalid_local_part: 'Email address contains characters that are not allowed before the @',
+  unicode_local_part: 'Email addresses with non-ASCII characters before the @ are not supported',
+  address_literal: 'Email addresses with an IP address instead of a domain are not allowed',
+  invalid_domain: 'Invalid email domain',
+  disposable_domain: 'Disposable email addresses are not allowed',
+  // Set by the DNS domain check on subscribe, not by validateEmail
+  undeliverable_domain: 'This email domain cannot receive mail'
+};
+
+// RFC 5322 atext - the characters allowed in an unquoted local part besides dots
+const ATEXT = "a-z0-9!#$%&'*+/=?^_`{|}~\\-";
+const DOT_ATOM = new RegExp(`^[${ATEXT}]+(\\.[${ATEXT}]+)*$`, 'i');
+// RFC 6531 extends atext with any non-ASCII character
+const UTF8_DOT_ATOM = new RegExp(`^[${ATEXT}\\u0080-\\u{10FFFF}]+(\\.[${ATEXT}\\u0080-\\u{10FFFF}]+)*$`, 'iu');
+// RFC 5321 quoted string - qtextSMTP (printable ASCII except " and \) or a quoted-pair (\ and printable ASCII)
+const QUOTED_STRING = /^"((?:[\x20\x21\x23-\x5b\x5d-\x7e]|\\[\x20-\x7e])*)"$/;
+const UTF8_QUOTED_STRING = /^"((?:[\x20\x21\x23-\x5b\x5d-\x7e\u0080-\u{10FFFF}]|\\[\x20-\x7e])*)"$/u;
+
+// LDH label (letters, digits, hyphens - not at either end) after IDNA conversion
+const DOMAIN_LABEL = /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/;
+
+const encoder = new TextEncoder();
+
+function emailError(code) {
+  return { valid: false, error: EMAIL_ERRORS[code], code };
+}
+
+/**
+ * Parse an RFC 5321 local part - a dot-atom or a quoted string ("a b"@example.com)
+ * A quoted string is stored in its shortest form: unquoted when the content is a valid dot-atom
+ * ("john"@ is john@), otherwise with only " and \ escaped. Non-ASCII characters are only
+ * accepted when SMTPUTF8 is allowed
+ * @returns {Object} - { localPart } or { code } - code is a key of EMAIL_ERRORS
+ */
+function parseLocalPart(localPart, allowUtf8) {
+  if (!localPart) return { code: 'invalid_format' };
+
+  const ascii = /^[\x00-\x7f]*$/.test(localPart);
+  if (!ascii && !allowUtf8) return { code: 'unicode_local_part' };
+
+  const dotAtom = ascii ? DOT_ATOM : UTF8_DOT_ATOM;
+  let parsed = localPart;
+
+  if (localPart.startsWith('"')) {
+    const quoted = localPart.match(ascii ? QUOTED_STRING : UTF8_QUOTED_STRING);
+    if (!quoted) return { code: 'invalid_local_part' };
+
+    const content = quoted[1].replace(/\\(.)/g, '$1');
+    parsed = dotAtom.test(content) ? content : `"${content.replace(/["\\]/g, '\\$&')}"`;
+  } else if (!dotAtom.test(localPart)) {
+    return { code: 'invalid_local_part' };
+  }
+
+  if (encoder.encode(parsed).length > 64) return { code: 'local_part_too_long' };
+  return { localPart: parsed };
+}
+
+/**
+ * Convert a domain to its ASCII (punycode) form and check it is a public hostname
+ * @returns {Object} - { domain } or { code }
+ */
+function toAsciiDomain(domain) {
+  if (!domain) return { code: 'invalid_format' };
+  if (domain.startsWith('[')) return { code: 'address_literal' };
+
+  // Characters the URL parser would treat as part of a path, port or credentials
+  if (/[\s/\\?#@:%[\]<>"]/.test(domain)) return { code: 'invalid_domain' };
+
+  let ascii;
+  try {
+    // The URL parser applies UTS #46 IDNA processing: münchen.de -> xn--mnchen-3ya.de
+    ascii = new URL(`http://${domain}`).hostname;
+  } catch {
+    return { code: 'invalid_domain' };
+  }
+
+  const labels = ascii.split('.');
+  if (ascii.length > 253 || labels.length < 2 || !labels.every(label => DOMAIN_LABEL.test(label))) {
+    return { code: 'invalid_domain' };
+  }
+
+  // Top-level domains are alphabetic (or IDN) - this also rejects bare IPv4 addresses
+  if (!/^([a-z]{2,63}|xn--[a-z0-9-]{1,59})$/.test(labels[labels.length - 1])) {
+    return { code: 'invalid_domain' };
+  }
+
+  return { domain: ascii };
+}
+
 /**
- * Validate email address format
+ * Validate an email address against RFC 5321/5322 with internationalized domains
+ * Domains are converted to punycode, non-ASCII local parts need config.EMAIL_ALLOW_SMTPUTF8
+ * @param {Object} blocklist - Disposable domains from getDomainBlocklist (defaults to the built-in list)
+ * @returns {Object} - { valid: true, email } or { valid: false, error, code } - code is a key of EMAIL_ERRORS
  */
-export function validateEmail(email) {
-  if (!email || typeof email !== 'string') {
-    return { valid: false, error: 'Email is required' };
+export function validateEmail(email, config = {}, blocklist = DEFAULT_BLOCKLIST) {
+  if (!email || typeof email !== 'string' || !email.trim()) {
+    return emailError('required');
   }
 
-  const trimmed = email.trim().toLowerCase();
+  const trimmed = email.trim().normalize('NFC');
 
-  // Check basic format
-  const emailRegex = /^[a-zA-Z0-9._-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
-  if (!emailRegex.test(trimmed)) {
-    return { valid: false, error: 'Invalid email format' };
+  // Split on the last @ so a stray one in the local part is reported as an invalid local part
+  const at = trimmed.lastIndexOf('@');
+  if (at <= 0 || at === trimmed.length - 1) {
+    return emailError('invalid_format');
   }
 
-  // Check length
-  if (trimmed.length > 254) {
-    return { valid: false, error: 'Email address too long' };
+  const { localPart, code: localError } = parseLocalPart(trimmed.slice(0, at).toLowerCase(), config.EMAIL_ALLOW_SMTPUTF8 === true);
+  if (localError) {
+    return emailError(localError);
   }
 
-  // Extract domain
-  const [localPart, domain] = trimmed.split('@');
+  const { domain, code } = toAsciiDomain(trimmed.slice(at + 1).toLowerCase());
+  if (code) {
+    return emailError(code);
+  }
 
-  // Check local part length
-  if (localPart.length > 64) {
-    return { valid: false, error: 'Email local part too long' };
+  const normalized = `${localPart}@${domain}`;
+  if (encoder.encode(normalized).length > 254) {
+    return emailError('too_long');
   }
 
-  // Check for disposable domains
-  if (DISPOSABLE_DOMAINS.includes(domain)) {
-    return { valid: false, error: 'Disposable email addresses are not allowed' };
+  if (blocklist.matches(domain)) {
+    return emailError('disposable_domain');
   }
 
-  // Check for invalid patterns
   for (const pattern of INVALID_PATTERNS) {
     if (pattern.test(domain)) {
-      return { valid: false, error: 'Invalid email domain' };
+      return emailError('invalid_domain');
     }
   }
 
-  return { valid: true, email: trimmed };
+  return { valid: true, email: normalized };
 }
 
 /**
  * Check if email domain is invalid or disposable
+ * @param {Object} blocklist - Disposable domains from getDomainBlocklist (defaults to the built-in list)
  */
-export function isInvalidDomain(email, additionalBlocklist = '') {
+export function isInvalidDomain(email, blocklist = DEFAULT_BLOCKLIST) {
   if (!email || typeof email !== 'string') return true;
 
-  const domain = email.split('@')[1]?.toLowerCase();
+  const at = email.lastIndexOf('@');
+  const domain = at >= 0 ? email.slice(at + 1).toLowerCase() : '';
   if (!domain) return true;
 
-  // Check default disposable domains
-  if (DISPOSABLE_DOMAINS.includes(domain)) return true;
+  // Check disposable domains
+  if (blocklist.matches(domain)) return true;
 
   // Check invalid patterns
   for (const pattern of INVALID_PATTERNS) {
     if (pattern.test(domain)) return true;
   }
 
-  // Check additional blocklist from config
-  if (additionalBlocklist) {
-    const additionalDomains = additionalBlocklist.split(',').map(d => d.trim().toLowerCase());
-    if (additionalDomains.includes(domain)) return true;
+  return false;
+}
+
+/**
+ * Check a domain against a comma-separated config list ('*' matches every domain)
+ */
+function domainInList(domain, list) {
+  const domains = String(list || '').split(',').map(d => d.trim().toLowerCase()).filter(Boolean);
+  return domains.includes('*') || domains.includes(domain);
+}
+
+/**
+ * Reduce an address to the mailbox it is delivered to, using provider rules from config:
+ * EMAIL_DOMAIN_ALIASES (googlemail.com=gmail.com), EMAIL_PLUS_TAG_DOMAINS (john+news -> john)
+ * and EMAIL_DOT_INSENSITIVE_DOMAINS (john.doe -> johndoe)
+ * Used as the storage key so variants of one mailbox are treated as the same subscriber
+ */
+export function canonicalizeEmail(email, config = {}) {
+  const trimmed = String(email || '').trim().toLowerCase();
+  const at = trimmed.lastIndexOf('@');
+  if (at <= 0) return trimmed;
+
+  let localPart = trimmed.slice(0, at);
+  let domain = trimmed.slice(at + 1);
+
+  for (const alias of String(config.EMAIL_DOMAIN_ALIASES || '').split(',')) {
+    const [from, to] = alias.split('=').map(d => d.trim().toLowerCase());
+    if (from && to && from === domain) {
+      domain = to;
+      break;
+    }
+  }
+
+  // Plus tags and dots inside a quoted local part are part of the mailbox name
+  const quoted = localPart.startsWith('"');
+
+  if (!quoted && domainInList(domain, config.EMAIL_PLUS_TAG_DOMAINS)) {
+    localPart = localPart.split('+')[0] || localPart;
   }
 
-  return false;
+  if (!quoted && domainInList(domain, config.EMAIL_DOT_INSENSITIVE_DOMAINS)) {
+    localPart = localPart.replace(/\./g, '') || localPart;
+  }
+
+  return `${localPart}@${domain}`;
 }
 
 /**
@@ -156,6 +280,87 @@ export function sanitizeHtml(input) {
     .replace(/'/g, '&#39;');
 }
 
+// Optional profile fields stored on subscriber records (besides email, ipAddress, timestamp)
+export const SUBSCRIBER_PROFILE_FIELDS = [
+  'name', 'locale', 'source', 'referrer',
+  'utmSource', 'utmMedium', 'utmCampaign', 'utmTerm', 'utmContent'
+];
+
+const UTM_PARAMS = {
+  utm_source: 'utmSource',
+  utm_medium: 'utmMedium',
+  utm_campaign: 'utmCampaign',
+  utm_term: 'utmTerm',
+  utm_content: 'utmContent'
+};
+
+/**
+ * Trim a free-text value and strip control characters
+ */
+function cleanText(value, maxLength) {
+  if (value === undefined || value === null) return '';
+  return String(value).replace(/[\u0000-\u001f\u007f]/g, ' ').trim().substring(0, maxLength);
+}
+
+/**
+ * Validate optional subscriber profile fields (name, locale, source, referrer, utm_*)
+ * Only a bad name is an error - attribution fields that fail validation are dropped
+ * so tracking data can never block a signup
+ * @param {Object} data - Submitted form data
+ * @param {Object} defaults - { source, acceptLanguage } - fallbacks for missing values
+ * @returns {Object} - { valid, profile } or { valid: false, error }
+ */
+export function validateSubscriberProfile(data, defaults = {}) {
+  const profile = {};
+  const input = data || {};
+
+  if (input.name) {
+    const name = cleanText(input.name, 200).replace(/[<>]/g, '');
+    if (name.length > 100) {
+      return { valid: false, error: 'Name is too long' };
+    }
+    if (name) profile.name = name;
+  }
+
+  // BCP 47 language tag (e.g. en, en-US, zh-Hant-TW), falling back to the browser's Accept-Language
+  const localePattern = /^[a-z]{2,3}(-[a-z0-9]{2,8}){0,3}$/i;
+  const acceptedLocale = String(defaults.acceptLanguage || '').split(',')[0].split(';')[0].trim();
+  for (const candidate of [cleanText(input.locale, 35), acceptedLocale]) {
+    if (candidate && localePattern.test(candidate)) {
+      profile.locale = candidate;
+      break;
+    }
+  }
+
+  // The entry point (defaults.source) always comes first so signup channels stay distinguishable,
+  // a submitted source such as "footer" refines it: "subscribe-form:footer"
+  const source = cleanText(input.source, 50);
+  const sourceParts = [defaults.source, /^[a-z0-9][a-z0-9_.-]*$/i.test(source) ? source.toLowerCase() : '']
+    .filter(Boolean);
+  if (sourceParts.length > 0) {
+    profile.source = sourceParts.join(':');
+  }
+
+  // Keep origin and path only - query strings and fragments can carry tokens or personal data
+  if (input.referrer) {
+    try {
+      const referrer = new URL(String(input.referrer));
+      if (referrer.protocol === 'https:' || referrer.protocol === 'http:') {
+        profile.referrer = `${referrer.origin}${referrer.pathname}`.substring(0, 500);
+      }
+    } catch {
+      // Not a URL - ignore
+    }
+  }
+
+  for (const [param, field] of Object.entries(UTM_PARAMS)) {
+    const value = cleanText(input[param] ?? input[field], 100);
+    if (value) profile[field] = value;
+  }
+
+  return { valid: true, profile };
+}
+
 /**
  * Validate Turnstile token format
  */
@@ -197,7 +402,7 @@ export function createSlug(text) {
  * Simple email validation helper (for use in other modules)
  * Returns boolean instead of validation object
  */
-export function isValidEmail(email) {
-  const result = validateEmail(email);
+export function isValidEmail(email, config = {}) {
+  const result = validateEmail(email, config);
   return result.valid;
 }
\ No newline at end of file